@@ -2,9 +2,56 @@
 
 const { Command } = require('commander');
 const { execute } = require('../src/index');
+const { watch } = require('../src/watch');
+const { replace } = require('../src/replace');
+const { check } = require('../src/check');
+const { progress } = require('../src/progress');
+const { exportForReview, importReviewed } = require('../src/handoff');
+const { lint } = require('../src/lint');
+const { exportTranslationMemory, importTranslationMemory } = require('../src/memory');
+const { resolveOptions } = require('../src/config');
+
+const CONFIG_DESCRIPTION = 'Project config file (default: pick-cn.config.js/.cjs/.json or the "pick-cn" key of package.json in the source directory)';
+
+/**
+ * 合并项目配置文件与命令行参数（命令行参数优先）
+ * @param {Object} options - 命令行参数
+ * @param {Function} log - 日志输出函数
+ * @param {number} exitCode - 配置加载失败时的退出码
+ * @returns {Promise<Object>} 最终配置
+ */
+async function loadOptions(options, log = console.log, exitCode = 1) {
+  try {
+    return await resolveOptions(options, log);
+  } catch (error) {
+    console.error('❌ 加载配置失败:', error.message);
+    process.exit(exitCode);
+  }
+}
+
+/**
+ * 加载输出报告的命令的配置：报告格式可能来自配置文件，确定格式后再输出配置加载日志
+ * 机器可读格式输出到标准输出时，日志改为输出到标准错误，避免混入报告
+ * @param {Object} options - 命令行参数
+ * @returns {Promise<Object>} 最终配置
+ */
+async function loadReportOptions(options) {
+  const messages = [];
+  const resolved = await loadOptions(options, message => messages.push(message), 2);
+  const machineReadable = resolved.reportFormat !== 'text' && !resolved.reportFile;
+  messages.forEach(message => (machineReadable ? console.error : console.log)(message));
+  return resolved;
+}
 
 const program = new Command();
 
+// --no-xxx 选项未指定时 commander 会填入 true，去掉这个默认值，使配置文件中的设置（如 cache: false）生效
+program.hook('preAction', (_, actionCommand) => {
+  actionCommand.options
+    .filter(option => option.negate && actionCommand.getOptionValueSource(option.attributeName()) === 'default')
+    .forEach(option => actionCommand.setOptionValue(option.attributeName(), undefined));
+});
+
 program
   .name('chinese-to-english')
   .description('A command line tool to translate Chinese text to English and generate JSON mapping files')
@@ -16,9 +63,27 @@ program
   .description('Execute the Chinese to English translation process. Use "noTranslate" as mode to skip translation')
   .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
   .option('-t, --target <path>', 'Target directory path for JSON output')
-  .option('-o, --output <filename>', 'Output JSON filename', 'Chinese-To-English.json')
-  .option('--translator <service>', 'Translation service to use (baidu, youdao, google)', 'baidu')
+  .option('-o, --output <filename>', 'Output JSON filename (default: Chinese-To-English.json)')
+  .option('--translator <service>', 'Translation service: baidu, youdao, google, openai, a provider registered in the config file, or a module path or npm package; a comma separated list (e.g. baidu,youdao,google) retries failed strings on the next one (default: baidu)')
   .option('--api-config <path>', 'API configuration file path (optional, auto-lookup for api-config.json in project directory)')
+  .option('--to <languages>', 'Target languages, comma separated (e.g. en,ja,zh-TW) (default: en)')
+  .option('--combined', 'With multiple target languages, write one nested { key: { en, ja } } file instead of one file per language')
+  .option('--merge', 'Merge with the existing output file, keeping translated entries and only translating new keys')
+  .option('--prune', 'With --merge, remove keys that are no longer found in the source')
+  .option('--translation-memory <path>', 'Translation memory file (default: .pick-cn/translation-memory.json in the source directory)')
+  .option('--no-translation-memory', 'Do not read or write the translation memory')
+  .option('--glossary <files>', 'Glossary files (.json, .csv or .tbx), comma separated: exact matches use the glossary translation, other strings are checked for glossary terms after translation')
+  .option('--max-length-ratio <n>', 'Warn about translations wider than n times the source text after translation (full-width characters count as two) (default: 2)')
+  .option('--report', 'Write a references report (JSON and gettext-style .pot) with the file, line and context of every string, and an .ignored.json report of ignored files and strings')
+  .option('--verbose', 'List every file and string skipped by .pickcnignore or pick-cn-ignore comments')
+  .option('--watch', 'Keep running and update the output file in place when source files change, re-extracting only changed files and translating only new strings (always merges with the existing output file)')
+  .option('--since <ref>', 'Only scan files changed since a git ref (branch, tag or commit), including uncommitted and untracked files, and list the Chinese strings introduced or removed')
+  .option('--staged', 'Only scan files with staged changes (for pre-commit hooks)')
+  .option('--jobs <n>', 'Worker threads used to parse source files (default: number of CPUs minus one)')
+  .option('--no-cache', 'Parse every file instead of reusing results cached by content hash in .pick-cn/extract-cache.json')
+  .option('-f, --format <format>', 'Output format: json, vue-i18n, i18next, po, pot, xliff, properties or ts (default: json)')
+  .option('--key-strategy <strategy>', 'Message keys: text (the Chinese text), semantic (e.g. orderDetail.submitOrder) or hash; semantic and hash also write a key-to-Chinese zh-CN file (default: text)')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
   .action(async (mode, options) => {
     if (mode === 'noTranslate') {
       console.log('🚀 开始执行中文提取（不翻译）...');
@@ -26,7 +91,144 @@ program
     } else {
       console.log('🚀 开始执行中文转英文翻译...');
     }
-    await execute(options);
+    const resolved = await loadOptions(options);
+    await (resolved.watch ? watch(resolved) : execute(resolved));
+  });
+
+program
+  .command('replace')
+  .description('Rewrite hardcoded Chinese literals into i18n function calls')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('--fn <name>', 'Translation function used in scripts, e.g. t or i18n.t (default: t)')
+  .option('--vue-fn <name>', 'Translation function used in Vue templates (default: $t)')
+  .option('--import-from <module>', 'Module to import the translation function from when it is not imported yet')
+  .option('--key-strategy <strategy>', 'Key strategy used when the mapping was generated (text, semantic, hash); with semantic or hash, strings are replaced with their keys from the zh-CN key file (default: text)')
+  .option('-t, --target <path>', 'Directory of the mapping file (used with --key-strategy)')
+  .option('-o, --output <filename>', 'Mapping JSON filename (used with --key-strategy) (default: Chinese-To-English.json)')
+  .option('--combined', 'The mapping file is a combined { key: { en, ja } } file (used with --key-strategy)')
+  .option('-f, --format <format>', 'Format of the mapping file (used with --key-strategy) (json, vue-i18n, i18next, po, pot, xliff, properties, ts) (default: json)')
+  .option('--dry-run', 'Print a diff instead of writing files')
+  .option('--since <ref>', 'Only scan files changed since a git ref (branch, tag or commit), including uncommitted and untracked files')
+  .option('--staged', 'Only scan files with staged changes (for pre-commit hooks)')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (options) => {
+    console.log('🚀 开始替换中文文本为 i18n 调用...');
+    await replace(await loadOptions(options));
+  });
+
+program
+  .command('check')
+  .description('Fail when source strings are missing from the mapping file or still untranslated (for CI)')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('-t, --target <path>', 'Directory of the mapping file')
+  .option('-o, --output <filename>', 'Mapping JSON filename (default: Chinese-To-English.json)')
+  .option('--to <languages>', 'Target languages to check, comma separated (default: en)')
+  .option('--combined', 'The mapping file is a combined { key: { en, ja } } file')
+  .option('--key-strategy <strategy>', 'Key strategy used when the mapping was generated (text, semantic, hash) (default: text)')
+  .option('-f, --format <format>', 'Format of the mapping file (json, vue-i18n, i18next, po, pot, xliff, properties, ts) (default: json)')
+  .option('--since <ref>', 'Only scan files changed since a git ref (branch, tag or commit), including uncommitted and untracked files, and list the Chinese strings introduced or removed')
+  .option('--staged', 'Only scan files with staged changes (for pre-commit hooks)')
+  .option('--jobs <n>', 'Worker threads used to parse source files (default: number of CPUs minus one)')
+  .option('--no-cache', 'Parse every file instead of reusing results cached by content hash in .pick-cn/extract-cache.json')
+  .option('--report-format <format>', 'Report format (text, json, sarif) (default: text)')
+  .option('--report-file <path>', 'Write the report to a file instead of stdout')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (options) => {
+    await check(await loadReportOptions(options));
+  });
+
+program
+  .command('lint')
+  .description('Check the translations in the mapping file: changed placeholders, HTML tags, leftover Chinese, untranslated copies of the source, overlong text, trailing punctuation, glossary terms and terms translated inconsistently across entries; fails on errors (for CI)')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('-t, --target <path>', 'Directory of the mapping file')
+  .option('-o, --output <filename>', 'Mapping JSON filename (default: Chinese-To-English.json)')
+  .option('--to <languages>', 'Target languages to check, comma separated (default: en)')
+  .option('--combined', 'The mapping file is a combined { key: { en, ja } } file')
+  .option('--key-strategy <strategy>', 'Key strategy used when the mapping was generated (text, semantic, hash) (default: text)')
+  .option('-f, --format <format>', 'Format of the mapping file (json, vue-i18n, i18next, po, xliff, properties, ts) (default: json)')
+  .option('--glossary <files>', 'Glossary files (.json, .csv or .tbx), comma separated, whose terms must be translated as specified')
+  .option('--max-length-ratio <n>', 'Warn about translations wider than n times the source text (full-width characters count as two) (default: 2)')
+  .option('--report-format <format>', 'Report format (text, json) (default: text)')
+  .option('--report-file <path>', 'Write the report to a file instead of stdout')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (options) => {
+    await lint(await loadReportOptions(options));
+  });
+
+program
+  .command('progress')
+  .description('List strings still hardcoded (not wrapped in a translation function or component) and the i18n migration progress per directory')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('--depth <n>', 'Group directories by their first n path segments (default: the directory of each file)')
+  .option('--since <ref>', 'Only scan files changed since a git ref (branch, tag or commit), including uncommitted and untracked files')
+  .option('--staged', 'Only scan files with staged changes (for pre-commit hooks)')
+  .option('--jobs <n>', 'Worker threads used to parse source files (default: number of CPUs minus one)')
+  .option('--no-cache', 'Parse every file instead of reusing results cached by content hash in .pick-cn/extract-cache.json')
+  .option('--report-format <format>', 'Report format (text, json) (default: text)')
+  .option('--report-file <path>', 'Write the report to a file instead of stdout')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (options) => {
+    await progress(await loadReportOptions(options));
+  });
+
+program
+  .command('export <file>')
+  .description('Export the mapping as a .csv or .xlsx file for translator review, with the source text, machine translation, review status (machine, reviewed, needs-work) and source references of every string')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('-t, --target <path>', 'Directory of the mapping file')
+  .option('-o, --output <filename>', 'Mapping JSON filename (default: Chinese-To-English.json)')
+  .option('--to <languages>', 'Target languages to export, comma separated (default: en)')
+  .option('--combined', 'The mapping file is a combined { key: { en, ja } } file')
+  .option('--key-strategy <strategy>', 'Key strategy used when the mapping was generated (text, semantic, hash) (default: text)')
+  .option('-f, --format <format>', 'Format of the mapping file (json, vue-i18n, i18next, po, xliff, properties, ts) (default: json)')
+  .option('--translation-memory <path>', 'Translation memory file holding the review status (default: .pick-cn/translation-memory.json in the source directory)')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (file, options) => {
+    await exportForReview(file, await loadOptions(options));
+  });
+
+program
+  .command('import <file>')
+  .description('Validate a reviewed .csv or .xlsx file and merge its reviewed translations into the mapping; reviewed translations are never overwritten by machine translation afterwards')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('-t, --target <path>', 'Directory of the mapping file')
+  .option('-o, --output <filename>', 'Mapping JSON filename (default: Chinese-To-English.json)')
+  .option('--to <languages>', 'Target languages, comma separated (default: en)')
+  .option('--combined', 'The mapping file is a combined { key: { en, ja } } file')
+  .option('--key-strategy <strategy>', 'Key strategy used when the mapping was generated (text, semantic, hash) (default: text)')
+  .option('-f, --format <format>', 'Format of the mapping file (json, vue-i18n, i18next, po, xliff, properties, ts) (default: json)')
+  .option('--translation-memory <path>', 'Translation memory file holding the review status (default: .pick-cn/translation-memory.json in the source directory)')
+  .option('--dry-run', 'Only validate the file and list the changes, without writing the mapping or the translation memory')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (file, options) => {
+    await importReviewed(file, await loadOptions(options));
+  });
+
+const tm = program
+  .command('tm')
+  .description('Manage the translation memory');
+
+tm
+  .command('export <file>')
+  .description('Export the translation memory as TMX')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('--translation-memory <path>', 'Translation memory file (default: .pick-cn/translation-memory.json in the source directory)')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (file, options) => {
+    await exportTranslationMemory(file, await loadOptions(options));
+  });
+
+tm
+  .command('import <file>')
+  .description('Import translation units from a TMX file into the translation memory')
+  .option('-s, --source <path>', 'Source directory path (default: current directory)', process.cwd())
+  .option('--translation-memory <path>', 'Translation memory file (default: .pick-cn/translation-memory.json in the source directory)')
+  .option('--translator <service>', 'Translation service chain the memory is used with (default: baidu)')
+  .option('--provider <name>', 'Provider to record for units without an x-provider property (default: the first service of --translator)')
+  .option('-c, --config <path>', CONFIG_DESCRIPTION)
+  .action(async (file, options) => {
+    await importTranslationMemory(file, await loadOptions(options));
   });
 
 program.parse();
@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// 提取缓存文件的默认位置（相对于源目录）
+const DEFAULT_CACHE_PATH = path.join('.pick-cn', 'extract-cache.json');
+
+// 缓存格式版本，提取结果的结构变化时加一
+const CACHE_VERSION = 1;
+
+// 工具版本变化时提取逻辑可能不同，缓存全部失效
+const { version: TOOL_VERSION } = require('../package.json');
+
+/**
+ * 提取缓存：按文件内容哈希保存提取结果，文件未修改时直接复用，不再解析
+ * 提取规则或工具版本变化时整个缓存失效
+ */
+class ExtractCache {
+  /**
+   * @param {string} filePath - 缓存文件路径
+   * @param {string} rootPath - 缓存中文件路径的基准目录（源目录）
+   * @param {Object} rules - 提取规则（用于判断缓存是否失效）
+   */
+  constructor(filePath, rootPath, rules = {}) {
+    this.filePath = filePath;
+    this.rootPath = rootPath;
+    this.fingerprint = hashContent(JSON.stringify({ version: TOOL_VERSION, rules }, (key, value) =>
+      value instanceof RegExp ? String(value) : value
+    ));
+    this.entries = new Map(); // 相对路径 -> { hash, occurrences, ignored, messages }
+    this.changed = false;
+  }
+
+  /**
+   * 读取缓存（文件不存在、无法解析或已失效时为空缓存）
+   * @returns {Promise<ExtractCache>}
+   */
+  async load() {
+    if (!await fs.pathExists(this.filePath)) {
+      return this;
+    }
+    let data;
+    try {
+      data = await fs.readJson(this.filePath);
+    } catch (error) {
+      return this;
+    }
+    if (data.version === CACHE_VERSION && data.fingerprint === this.fingerprint) {
+      Object.entries(data.files || {}).forEach(([file, entry]) => this.entries.set(file, entry));
+    }
+    return this;
+  }
+
+  /**
+   * 保存缓存（没有变化时不写入），删除已不存在的文件的条目
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.changed) {
+      return;
+    }
+    const files = {};
+    for (const [file, entry] of this.entries) {
+      if (await fs.pathExists(path.resolve(this.rootPath, file))) {
+        files[file] = entry;
+      }
+    }
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, { version: CACHE_VERSION, fingerprint: this.fingerprint, files });
+    this.changed = false;
+  }
+
+  /**
+   * 查找文件的提取结果
+   * @param {string} file - 文件路径
+   * @param {string} hash - 文件内容哈希
+   * @returns {Object|null} 提取结果 { occurrences, ignored, messages }（file 字段为传入的路径），未命中时为 null
+   */
+  get(file, hash) {
+    const entry = this.entries.get(this.toKey(file));
+    if (!entry || entry.hash !== hash) {
+      return null;
+    }
+    // 缓存中的 file 为相对路径，还原为本次传入的路径（保持字段顺序不变）
+    return {
+      occurrences: entry.occurrences.map(item => ({ ...item, file })),
+      ignored: entry.ignored.map(item => ({ ...item, file })),
+      messages: entry.messages
+    };
+  }
+
+  /**
+   * 保存文件的提取结果
+   * @param {string} file - 文件路径
+   * @param {string} hash - 文件内容哈希
+   * @param {Object} result - 提取结果 { occurrences, ignored, messages }
+   */
+  set(file, hash, result) {
+    const key = this.toKey(file);
+    this.entries.set(key, {
+      hash,
+      occurrences: result.occurrences.map(item => ({ ...item, file: key })),
+      ignored: result.ignored.map(item => ({ ...item, file: key })),
+      messages: result.messages
+    });
+    this.changed = true;
+  }
+
+  /**
+   * 缓存条目的 key：相对于基准目录的路径（/ 分隔），源目录移动后缓存仍然有效
+   * @param {string} file - 文件路径
+   * @returns {string} key
+   */
+  toKey(file) {
+    return path.relative(this.rootPath, path.resolve(file)).split(path.sep).join('/');
+  }
+}
+
+/**
+ * 计算内容哈希
+ * @param {string|Buffer} content - 内容
+ * @returns {string} sha1 哈希
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * 获取提取缓存文件路径
+ * @param {string} sourcePath - 源目录路径
+ * @returns {string} 缓存文件路径
+ */
+function resolveCachePath(sourcePath) {
+  return path.join(sourcePath, DEFAULT_CACHE_PATH);
+}
+
+module.exports = {
+  ExtractCache,
+  hashContent,
+  resolveCachePath
+};
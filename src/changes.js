@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isSourceFile, extractChineseFromContent } = require('./extractor');
+const { resolveGitScope, getGitChanges, readGitFile } = require('./git');
+const { loadIgnorePatterns } = require('./ignore');
+const { toReference } = require('./report');
+
+/**
+ * 对比变更文件在基准版本和当前版本中的中文文本，找出新增和删除的文本
+ *   --since：基准为指定引用，当前版本为工作区中的文件
+ *   --staged：基准为 HEAD，当前版本为暂存区中的文件
+ * 同一文件中相同文本按出现次数对比，只是移动位置的文本不算变化
+ * @param {string} sourcePath - 源目录路径
+ * @param {Object} options - 选项 { since, staged }、文件范围和提取规则
+ * @returns {Promise<{ref: string, staged: boolean, introduced: Object[], removed: Object[]}>}
+ *   introduced 为当前版本中的出现位置，removed 为基准版本中的出现位置（行列号为基准版本中的位置）
+ * @throws {ConfigError} git 命令失败
+ */
+async function compareWithGit(sourcePath, options) {
+  const { ref, staged } = resolveGitScope(options);
+  const changes = await getGitChanges(sourcePath, options);
+  const ignorePatterns = await loadIgnorePatterns(sourcePath);
+  const introduced = [];
+  const removed = [];
+
+  for (const change of changes) {
+    if (!isSourceFile(path.relative(sourcePath, change.file), options, ignorePatterns)) {
+      continue;
+    }
+
+    const base = change.baseFile ? await readGitFile(sourcePath, ref, change.baseFile) : null;
+    let current = null;
+    if (change.status !== 'D') {
+      current = staged
+        ? await readGitFile(sourcePath, '', change.gitPath)
+        : await fs.readFile(change.file, 'utf-8').catch(() => null);
+    }
+
+    const before = extractSafely(base, change.file, options);
+    const after = extractSafely(current, change.file, options);
+    introduced.push(...subtractTexts(after, before));
+    removed.push(...subtractTexts(before, after));
+  }
+
+  return { ref, staged, introduced, removed };
+}
+
+/**
+ * 提取文件内容中的中文文本（内容不存在或无法解析时为空）
+ * @param {string|null} content - 文件内容
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 提取规则
+ * @returns {Object[]} 出现位置数组
+ */
+function extractSafely(content, filePath, options) {
+  if (content === null) {
+    return [];
+  }
+  try {
+    return extractChineseFromContent(content, filePath, options);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 找出 occurrences 中比 others 多出的文本（按文本计数）
+ * @param {Object[]} occurrences - 出现位置数组
+ * @param {Object[]} others - 对比的出现位置数组
+ * @returns {Object[]} 多出的出现位置
+ */
+function subtractTexts(occurrences, others) {
+  const counts = new Map();
+  others.forEach(occurrence => counts.set(occurrence.text, (counts.get(occurrence.text) || 0) + 1));
+  return occurrences.filter(occurrence => {
+    const count = counts.get(occurrence.text) || 0;
+    if (count > 0) {
+      counts.set(occurrence.text, count - 1);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * 输出新增和删除的中文文本
+ * @param {Object} result - compareWithGit 的结果
+ * @param {string} sourcePath - 源目录路径
+ * @param {Function} log - 日志输出函数
+ */
+function logGitChanges(result, sourcePath, log = console.log) {
+  const { ref, staged, introduced, removed } = result;
+  const label = staged ? '暂存区相对 HEAD' : `相对 ${ref}`;
+  log(`🔀 ${label}：新增 ${introduced.length} 处中文文本，删除 ${removed.length} 处`);
+
+  const describe = occurrence => {
+    const { file, line, column } = toReference(occurrence, sourcePath);
+    return `${file}:${line}:${column}  ${occurrence.text}`;
+  };
+  introduced.forEach(occurrence => log(`   + ${describe(occurrence)}`));
+  removed.forEach(occurrence => log(`   - ${describe(occurrence)}`));
+}
+
+module.exports = {
+  compareWithGit,
+  logGitChanges
+};
@@ -0,0 +1,205 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { findSourceFiles } = require('./extractor');
+const { extractChineseFromFiles } = require('./parallel');
+const { compareWithGit, logGitChanges } = require('./changes');
+const { normalizeText } = require('./dedupe');
+const { getTranslationStatus } = require('./merge');
+const { SOURCE_LOCALE, parseLanguages, resolveOutputPath, getLocaleOutputPath, loadExistingLocales } = require('./output');
+const { getFormat } = require('./formats');
+const { toReference } = require('./report');
+const { ConfigError } = require('./errors');
+const { parseKeyStrategy, toTextLocales } = require('./keys');
+
+// 检查规则
+const CHECK_RULES = {
+  'new-string': '源码中的中文在映射文件中不存在',
+  'untranslated': '映射值为空或 to do translate',
+  'placeholder': '映射值为 translate_xxx 占位符'
+};
+
+/**
+ * 检查源码中的中文是否都已有翻译（用于 CI）
+ * 存在问题时以退出码 1 结束
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {string} options.target - 映射文件所在目录
+ * @param {string} options.output - 映射文件名
+ * @param {string} options.to - 目标语言，逗号分隔
+ * @param {boolean} options.combined - 映射文件是否为多语言嵌套文件
+ * @param {string} options.format - 映射文件格式（默认 json，见 formats.js）
+ * @param {string} options.reportFormat - 报告格式：text、json 或 sarif
+ * @param {string} options.reportFile - 报告输出文件（可选，默认输出到标准输出）
+ * @param {string} options.keyStrategy - 生成映射时使用的 key 生成策略（非 text 时通过 zh-CN key 文件对照中文）
+ * @param {string[]} options.include - 包含的 glob（其它提取规则见 isValidChineseText）
+ * @param {string} options.since - 只检查相对该 git 引用有变更的文件
+ * @param {boolean} options.staged - 只检查暂存区中有变更的文件
+ */
+async function check(options) {
+  try {
+    const { source, target, output, combined, format = 'json', reportFormat = 'text', reportFile } = options;
+    const { template } = getFormat(format);
+    // 模板格式不含译文，只检查源码中的中文是否都已收录
+    const languages = template ? [SOURCE_LOCALE] : parseLanguages(options.to);
+    const keyed = parseKeyStrategy(options.keyStrategy) !== 'text';
+
+    if (!['text', 'json', 'sarif'].includes(reportFormat)) {
+      throw new ConfigError(`不支持的报告格式: ${reportFormat}`);
+    }
+
+    // 机器可读格式输出到标准输出时，进度信息改为输出到标准错误，避免混入报告
+    const log = reportFormat === 'text' || reportFile ? console.log : console.error;
+
+    const outputPath = resolveOutputPath(path.join(target || source, output), format);
+    const singleFile = combined || template;
+    for (const language of languages) {
+      const mappingPath = singleFile ? outputPath : getLocaleOutputPath(outputPath, language, languages, format);
+      if (!await fs.pathExists(mappingPath)) {
+        console.warn(`⚠️  映射文件不存在: ${mappingPath}，所有中文都将视为新增`);
+      }
+    }
+    let locales = await loadExistingLocales(outputPath, languages, combined, format);
+    if (keyed && template) {
+      locales = toTextLocales(locales, locales[SOURCE_LOCALE]);
+    } else if (keyed) {
+      const sourceLocale = (await loadExistingLocales(outputPath, [SOURCE_LOCALE], combined, format))[SOURCE_LOCALE];
+      locales = toTextLocales(locales, sourceLocale);
+    }
+
+    const files = await findSourceFiles(source, options);
+    log(`🔍 检查 ${files.length} 个文件...`);
+
+    const results = await extractChineseFromFiles(files, { ...options, silent: true });
+    const occurrences = results.flatMap(result => result.occurrences);
+    if (options.since || options.staged) {
+      logGitChanges(await compareWithGit(source, options), source, log);
+    }
+
+    const issues = findIssues(occurrences, locales, source);
+
+    const report = formatReport(issues, reportFormat);
+    if (reportFile) {
+      await fs.writeFile(reportFile, report);
+      log(`📄 检查报告已保存到: ${reportFile}`);
+    } else if (reportFormat !== 'text' || issues.length > 0) {
+      process.stdout.write(report);
+    }
+
+    if (issues.length > 0) {
+      log(`❌ 检查未通过：发现 ${issues.length} 个问题`);
+      process.exitCode = 1;
+    } else {
+      log(`✅ 检查通过：${occurrences.length} 处中文文本均已翻译`);
+    }
+
+  } catch (error) {
+    console.error('❌ 检查失败:', error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * 对比提取结果与映射文件，找出问题
+ * @param {Object[]} occurrences - 中文文本出现位置数组
+ * @param {Object} locales - 各语言的映射 { 语言: { 中文: 译文 } }
+ * @param {string} sourcePath - 源目录路径
+ * @returns {Object[]} 问题数组 { rule, language, text, value, file, line, column }
+ */
+function findIssues(occurrences, locales, sourcePath) {
+  const issues = [];
+
+  for (const [language, mapping] of Object.entries(locales)) {
+    // 与去重规则一致：仅标点、空格不同的文本视为同一个 key
+    const keys = new Map(Object.keys(mapping).map(key => [normalizeText(key), key]));
+
+    occurrences.forEach(occurrence => {
+      const key = mapping[occurrence.text] !== undefined
+        ? occurrence.text
+        : keys.get(normalizeText(occurrence.text));
+      const value = key === undefined ? undefined : mapping[key];
+      const status = getTranslationStatus(value);
+
+      if (status === 'translated') {
+        return;
+      }
+
+      const { file, line, column } = toReference(occurrence, sourcePath);
+      issues.push({
+        rule: status === 'missing' ? 'new-string' : status,
+        language,
+        text: occurrence.text,
+        value,
+        file,
+        line,
+        column
+      });
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * 生成检查报告
+ * @param {Object[]} issues - 问题数组
+ * @param {string} format - 报告格式：text、json 或 sarif
+ * @returns {string} 报告内容
+ */
+function formatReport(issues, format) {
+  if (format === 'json') {
+    return JSON.stringify({ issues }, null, 2) + '\n';
+  }
+
+  if (format === 'sarif') {
+    return JSON.stringify(toSarif(issues), null, 2) + '\n';
+  }
+
+  return issues
+    .map(issue => `${issue.file}:${issue.line}:${issue.column}  [${issue.rule}] (${issue.language}) ${issue.text}`)
+    .join('\n') + (issues.length > 0 ? '\n' : '');
+}
+
+/**
+ * 转换为 SARIF 2.1.0 报告（可用于代码扫描平台的行内标注）
+ * @param {Object[]} issues - 问题数组
+ * @returns {Object} SARIF 报告
+ */
+function toSarif(issues) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'pick-cn',
+            informationUri: 'https://github.com/jiankechen/pick-cn',
+            rules: Object.entries(CHECK_RULES).map(([id, description]) => ({
+              id,
+              shortDescription: { text: description }
+            }))
+          }
+        },
+        results: issues.map(issue => ({
+          ruleId: issue.rule,
+          level: 'error',
+          message: { text: `[${issue.language}] ${CHECK_RULES[issue.rule]}: ${issue.text}` },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: issue.file },
+                region: { startLine: issue.line, startColumn: issue.column }
+              }
+            }
+          ]
+        }))
+      }
+    ]
+  };
+}
+
+module.exports = {
+  check,
+  findIssues,
+  formatReport
+};
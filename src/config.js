@@ -0,0 +1,211 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+// 按顺序在源目录中查找的配置文件
+const CONFIG_FILES = ['pick-cn.config.js', 'pick-cn.config.cjs', 'pick-cn.config.json'];
+
+// package.json 中的配置字段
+const PACKAGE_JSON_KEY = 'pick-cn';
+
+/**
+ * 默认配置（配置文件和命令行参数都未指定时使用）
+ */
+const DEFAULT_CONFIG = {
+  // 文件范围（相对于源目录的 glob）
+  include: ['src/**/*.{js,jsx,ts,tsx,vue}', '**/*.{js,jsx,ts,tsx,vue}'],
+  exclude: [],
+
+  // 提取规则
+  ignoredCallees: [
+    'console.log',
+    'console.warn',
+    'console.error',
+    'console.info',
+    'console.debug',
+    'console.trace'
+  ],
+  ignoredAttributes: [],
+  ignoredDecorators: [],
+  ignoreTexts: [],
+  minLength: 1,
+  maxLength: 50,
+
+  // 提取缓存（.pick-cn/extract-cache.json）
+  cache: true,
+
+  // 已国际化的写法（用于区分已包裹和硬编码的文本）
+  i18nFunctions: ['t', '$t', 'i18n.t', 'i18n.global.t', 'this.$t'],
+  i18nComponents: ['Trans', 'i18n-t', 'I18nT'],
+  i18nHooks: ['useTranslation', 'useI18n'],
+
+  // 输出
+  output: 'Chinese-To-English.json',
+  combined: false,
+  keyStrategy: 'text',
+  format: 'json',
+
+  // 翻译
+  translator: 'baidu',
+  translators: {},
+  rateLimits: {},
+  glossary: [],
+  to: 'en',
+
+  // 译文检查：译文宽度超过原文宽度的倍数时视为过长（全角字符按两个字符计算）
+  maxLengthRatio: 2,
+
+  // 替换
+  fn: 't',
+  vueFn: '$t',
+
+  // 报告（check、lint、progress）
+  reportFormat: 'text'
+};
+
+// 配置文件中相对于配置文件所在目录解析的路径字段
+const PATH_KEYS = ['target', 'apiConfig', 'translationMemory'];
+
+/**
+ * 判断模块标识是否为相对路径（npm 包名不处理）
+ * @param {*} spec - 模块标识
+ * @returns {boolean} 是否为相对路径
+ */
+function isRelativeModule(spec) {
+  return typeof spec === 'string' && /^\.{1,2}[\\/]/.test(spec);
+}
+
+/**
+ * 加载项目配置文件
+ * 查找顺序：--config 指定的文件 > pick-cn.config.js/.cjs/.json > package.json 的 "pick-cn" 字段
+ * @param {string} sourcePath - 源目录路径
+ * @param {string} customConfigPath - 自定义配置文件路径（可选）
+ * @returns {Promise<{config: Object, filePath: string|null}>} 配置内容和配置文件路径
+ */
+async function loadConfig(sourcePath, customConfigPath) {
+  let filePath = null;
+  let config = null;
+
+  if (customConfigPath) {
+    filePath = path.resolve(customConfigPath);
+    if (!await fs.pathExists(filePath)) {
+      throw new ConfigError(`配置文件不存在: ${filePath}`);
+    }
+    config = await readConfigFile(filePath);
+  } else {
+    for (const fileName of CONFIG_FILES) {
+      const candidate = path.resolve(sourcePath, fileName);
+      if (await fs.pathExists(candidate)) {
+        filePath = candidate;
+        config = await readConfigFile(candidate);
+        break;
+      }
+    }
+
+    if (!config) {
+      const packageJsonPath = path.resolve(sourcePath, 'package.json');
+      if (await fs.pathExists(packageJsonPath)) {
+        const packageJson = await fs.readJson(packageJsonPath);
+        if (packageJson[PACKAGE_JSON_KEY]) {
+          filePath = packageJsonPath;
+          config = packageJson[PACKAGE_JSON_KEY];
+        }
+      }
+    }
+  }
+
+  if (!config) {
+    return { config: {}, filePath: null };
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`配置文件格式不正确: ${filePath}`);
+  }
+
+  return { config: resolveConfigPaths(config, path.dirname(filePath)), filePath };
+}
+
+/**
+ * 读取配置文件（.js/.cjs 通过 require 加载，其它按 JSON 解析）
+ * @param {string} filePath - 配置文件路径
+ * @returns {Promise<Object>} 配置内容
+ */
+async function readConfigFile(filePath) {
+  try {
+    if (/\.c?js$/.test(filePath)) {
+      delete require.cache[require.resolve(filePath)];
+      const loaded = require(filePath);
+      return loaded && loaded.__esModule ? loaded.default : loaded;
+    }
+    return await fs.readJson(filePath);
+  } catch (error) {
+    throw new ConfigError(`配置文件读取失败: ${filePath}（${error.message}）`, { cause: error });
+  }
+}
+
+/**
+ * 将配置中的相对路径转换为基于配置文件目录的绝对路径
+ * @param {Object} config - 配置内容
+ * @param {string} baseDir - 配置文件所在目录
+ * @returns {Object} 处理后的配置
+ */
+function resolveConfigPaths(config, baseDir) {
+  const resolved = { ...config };
+  PATH_KEYS.forEach(key => {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+  });
+
+  // 术语表文件可以是单个路径或数组
+  if (typeof resolved.glossary === 'string') {
+    resolved.glossary = resolved.glossary.split(',');
+  }
+  if (Array.isArray(resolved.glossary)) {
+    resolved.glossary = resolved.glossary.map(file => path.resolve(baseDir, String(file).trim()));
+  }
+
+  // 翻译服务模块的相对路径同样基于配置文件目录
+  if (isRelativeModule(resolved.translator)) {
+    resolved.translator = path.resolve(baseDir, resolved.translator);
+  }
+  if (resolved.translators && typeof resolved.translators === 'object') {
+    resolved.translators = { ...resolved.translators };
+    for (const [name, spec] of Object.entries(resolved.translators)) {
+      if (isRelativeModule(spec)) {
+        resolved.translators[name] = path.resolve(baseDir, spec);
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * 合并默认配置、配置文件和命令行参数（命令行参数优先）
+ * @param {Object} cliOptions - 命令行参数（未指定的参数为 undefined）
+ * @param {Function} log - 日志输出函数（默认 console.log）
+ * @returns {Promise<Object>} 最终配置
+ */
+async function resolveOptions(cliOptions, log = console.log) {
+  const source = cliOptions.source || process.cwd();
+  const { config, filePath } = await loadConfig(source, cliOptions.config);
+
+  if (filePath) {
+    log(`⚙️  加载项目配置: ${filePath}`);
+  }
+
+  const overrides = {};
+  for (const [key, value] of Object.entries(cliOptions)) {
+    if (value !== undefined) {
+      overrides[key] = value;
+    }
+  }
+
+  return { ...DEFAULT_CONFIG, ...config, ...overrides, source };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  resolveOptions
+};
@@ -0,0 +1,68 @@
+/**
+ * 解析 CSV 内容（RFC 4180：逗号分隔，双引号包裹的字段可以包含逗号、换行，"" 表示一个双引号）
+ * @param {string} content - CSV 内容（可带 BOM）
+ * @returns {string[][]} 行数组，每行为字段数组（跳过空行）
+ */
+function parseCsv(content) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * 生成 CSV 内容（包含逗号、双引号、换行或首尾空白的字段用双引号包裹）
+ * 开头加 BOM，Excel 打开时能正确识别 UTF-8 编码的中文
+ * @param {string[][]} rows - 行数组，每行为字段数组
+ * @returns {string} CSV 内容
+ */
+function formatCsv(rows) {
+  const formatField = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `\uFEFF${rows.map(row => row.map(formatField).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv
+};
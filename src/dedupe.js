@@ -0,0 +1,98 @@
+/**
+ * 智能去重中文文本（处理空格、标点符等细微差异）
+ * @param {string[]} texts - 中文文本数组
+ * @returns {string[]} 去重后的中文文本数组
+ */
+function deduplicateTexts(texts) {
+  const seen = new Map(); // 使用 Map 来存储规范化后的文本和原始文本的映射
+  const result = [];
+  
+  for (const text of texts) {
+    const normalized = normalizeText(text);
+    
+    if (!seen.has(normalized)) {
+      seen.set(normalized, text);
+      result.push(text); // 保留原始文本格式
+    } else {
+      // 如果发现重复，选择更好的版本（更完整或更常见的格式）
+      const existingText = seen.get(normalized);
+      if (text.length > existingText.length || 
+          (文本质量评分(text) > 文本质量评分(existingText))) {
+        // 更新为更好的版本
+        const index = result.indexOf(existingText);
+        if (index !== -1) {
+          result[index] = text;
+          seen.set(normalized, text);
+        }
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * 规范化文本，用于判断两个文本是否重复
+ * @param {string} text - 中文文本
+ * @returns {string} 规范化后的文本
+ */
+function normalizeText(text) {
+  // 规范化文本：去除首尾空格、统一多个空格为一个、去除部分标点符
+  return text
+    .trim() // 去除首尾空格
+    .replace(/\s+/g, ' ') // 多个空格合并为一个
+    .replace(/[。，；：“”‘’（）、《》]/g, '') // 去除常见中文标点符
+    .toLowerCase(); // 转为小写（对于英文字母）
+}
+
+/**
+ * 按去重后的文本归集出现位置（去重时合并的文本，其位置归入保留的版本）
+ * @param {Object[]} occurrences - 中文文本出现位置数组
+ * @param {string[]} uniqueTexts - 去重后的中文文本数组
+ * @returns {Object} 引用 { 中文: 出现位置数组 }
+ */
+function groupReferences(occurrences, uniqueTexts) {
+  const keys = new Map(uniqueTexts.map(text => [normalizeText(text), text]));
+  const references = {};
+  
+  uniqueTexts.forEach(text => {
+    references[text] = [];
+  });
+  
+  occurrences.forEach(occurrence => {
+    const key = keys.get(normalizeText(occurrence.text));
+    if (key !== undefined) {
+      references[key].push(occurrence);
+    }
+  });
+  
+  return references;
+}
+
+/**
+ * 评估文本质量分数（用于选择更好的重复文本版本）
+ * @param {string} text - 文本
+ * @returns {number} 质量分数（越高越好）
+ */
+function 文本质量评分(text) {
+  let score = 0;
+  
+  // 长度加分（但不过度偏向长文本）
+  score += Math.min(text.length, 20);
+  
+  // 完整性加分（包含标点符说明更完整）
+  if (/[。？！]$/.test(text)) score += 5; // 以句号结尾
+  if (/[，、]/.test(text)) score += 2; // 包含逗号
+  
+  // 减分项（不完整的文本）
+  if (text.startsWith('，') || text.startsWith('、')) score -= 3; // 以逗号开头
+  if (text.endsWith('，') || text.endsWith('、')) score -= 1; // 以逗号结尾
+  
+  return score;
+}
+
+module.exports = {
+  deduplicateTexts,
+  normalizeText,
+  groupReferences
+};
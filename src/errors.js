@@ -0,0 +1,86 @@
+/**
+ * pick-cn 错误基类，code 用于程序中区分错误类型
+ */
+class PickCnError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误选项
+   * @param {Error} options.cause - 原始错误（可选）
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'PICK_CN_ERROR';
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * 配置错误：配置文件、参数不正确
+ */
+class ConfigError extends PickCnError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'CONFIG_ERROR';
+  }
+}
+
+/**
+ * 提取错误：源目录或源文件无法读取
+ */
+class ExtractError extends PickCnError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'EXTRACT_ERROR';
+  }
+}
+
+/**
+ * 翻译错误：翻译服务、翻译记忆不可用
+ */
+class TranslateError extends PickCnError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'TRANSLATE_ERROR';
+  }
+}
+
+/**
+ * 限流错误：翻译服务返回限流（如 HTTP 429），调度器会退避后重试
+ */
+class RateLimitError extends TranslateError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} options - 错误选项
+   * @param {number} options.retryAfter - 服务要求的等待时间（毫秒，可选，来自 Retry-After）
+   * @param {Error} options.cause - 原始错误（可选）
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = 'RATE_LIMITED';
+    if (options.retryAfter !== undefined) {
+      this.retryAfter = options.retryAfter;
+    }
+  }
+}
+
+/**
+ * 输出错误：映射文件无法读取或写入
+ */
+class OutputError extends PickCnError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'OUTPUT_ERROR';
+  }
+}
+
+module.exports = {
+  PickCnError,
+  ConfigError,
+  ExtractError,
+  TranslateError,
+  RateLimitError,
+  OutputError
+};
@@ -0,0 +1,129 @@
+const { SyntaxKind } = require('ts-morph');
+const { DEFAULT_CONFIG } = require('./config');
+
+/**
+ * 编译排除规则（配置中的写法见 README「排除规则」）
+ * @param {Object} options - 提取规则
+ * @param {Array<string|Object>} options.ignoredCallees - 不提取其参数的函数，字符串为函数名（支持 * 通配符，new 开头匹配构造调用），
+ *   对象为 { callee, arguments }，arguments 为只忽略的参数位置（从 0 开始）
+ * @param {string[]} options.ignoredAttributes - 不提取的 JSX / Vue 模板属性名，如 className、data-*
+ * @param {string[]} options.ignoredDecorators - 不提取其参数的装饰器名，如 ApiProperty、Column
+ * @returns {Object} 编译后的规则 { callees, attributes, decorators }
+ */
+function compileExclusionRules(options = {}) {
+  const {
+    ignoredCallees = DEFAULT_CONFIG.ignoredCallees,
+    ignoredAttributes = DEFAULT_CONFIG.ignoredAttributes,
+    ignoredDecorators = DEFAULT_CONFIG.ignoredDecorators
+  } = options;
+
+  return {
+    callees: ignoredCallees.map(rule => {
+      const { callee, arguments: positions } = typeof rule === 'string' ? { callee: rule } : rule;
+      return { pattern: toNamePattern(callee, '[\\w$]*'), positions: Array.isArray(positions) ? positions : null };
+    }),
+    attributes: ignoredAttributes.map(name => toNamePattern(name, '[\\w$:.-]*')),
+    decorators: ignoredDecorators.map(name => toNamePattern(name, '[\\w$]*'))
+  };
+}
+
+/**
+ * 将名称规则转换为正则
+ * @param {string} pattern - 名称规则，* 为通配符
+ * @param {string} wildcard - * 对应的正则
+ * @returns {RegExp} 正则
+ */
+function toNamePattern(pattern, wildcard) {
+  const source = String(pattern)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join(wildcard);
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 检查节点是否被排除规则排除：向上查找所有父节点（不限层级），
+ * 位于忽略函数的（指定位置的）参数、忽略的 JSX 属性或忽略的装饰器参数中时排除
+ * @param {Node} node - 包含中文的节点
+ * @param {Object} rules - compileExclusionRules 返回的规则
+ * @returns {boolean} 是否排除
+ */
+function isExcluded(node, rules) {
+  let child = null;
+  for (let current = node; current; child = current, current = current.getParent()) {
+    const kind = current.getKind();
+
+    if (kind === SyntaxKind.CallExpression || kind === SyntaxKind.NewExpression) {
+      if (child && isExcludedArgument(current, child, rules.callees)) {
+        return true;
+      }
+    } else if (kind === SyntaxKind.JsxAttribute) {
+      if (matchesAny(current.getNameNode().getText(), rules.attributes)) {
+        return true;
+      }
+    } else if (kind === SyntaxKind.Decorator) {
+      if (matchesAny(current.getFullName(), rules.decorators)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * 检查子节点是否为忽略函数的（指定位置的）参数
+ * @param {Node} call - CallExpression 或 NewExpression 节点
+ * @param {Node} child - 调用表达式的子节点
+ * @param {Object[]} callees - 函数规则
+ * @returns {boolean} 是否排除
+ */
+function isExcludedArgument(call, child, callees) {
+  const position = (call.getArguments() || []).indexOf(child);
+  if (position === -1) {
+    return false;
+  }
+
+  const name = getCalleeName(call);
+  return callees.some(rule => rule.pattern.test(name) && (!rule.positions || rule.positions.includes(position)));
+}
+
+/**
+ * 获取被调用函数的名称，如 console.log、Sentry.captureMessage、new Error
+ * @param {Node} call - CallExpression 或 NewExpression 节点
+ * @returns {string} 名称（去除空白，可选链 ?. 视为 .）
+ */
+function getCalleeName(call) {
+  const name = call.getExpression().getText().replace(/\s+/g, '').replace(/\?\./g, '.');
+  return call.getKind() === SyntaxKind.NewExpression ? `new ${name}` : name;
+}
+
+/**
+ * 检查 Vue 模板属性是否被忽略（绑定属性按去掉 :、v-bind: 前缀后的名称匹配）
+ * @param {string} name - 属性名，如 class、:title、v-bind:data-testid
+ * @param {Object} rules - compileExclusionRules 返回的规则
+ * @returns {boolean} 是否忽略
+ */
+function isExcludedAttribute(name, rules) {
+  return matchesAny(name.replace(/^(?::|v-bind:)/, ''), rules.attributes);
+}
+
+/**
+ * 检查名称是否匹配任一规则
+ * @param {string} name - 名称
+ * @param {RegExp[]} patterns - 规则
+ * @returns {boolean} 是否匹配
+ */
+function matchesAny(name, patterns) {
+  return patterns.some(pattern => pattern.test(name));
+}
+
+module.exports = {
+  compileExclusionRules,
+  isExcluded,
+  isExcludedAttribute,
+  toNamePattern,
+  getCalleeName,
+  matchesAny
+};
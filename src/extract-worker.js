@@ -0,0 +1,11 @@
+const { parentPort, workerData } = require('worker_threads');
+const { extractFile } = require('./parallel');
+
+// 提取工作线程：逐批接收文件路径（和 --staged 时暂存区中的内容），返回每个文件的提取结果（见 extractChineseFromFiles）
+parentPort.on('message', async ({ start, files, contents }) => {
+  const results = [];
+  for (let index = 0; index < files.length; index++) {
+    results.push(await extractFile(files[index], workerData.rules, contents[index]));
+  }
+  parentPort.postMessage({ start, results });
+});
@@ -0,0 +1,604 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const minimatch = require('minimatch');
+const { Project, SyntaxKind } = require('ts-morph');
+const { splitVueFile, collectTemplateParts } = require('./vue');
+const { stripPlaceholders } = require('./placeholders');
+const { DEFAULT_CONFIG } = require('./config');
+const { createLogger } = require('./logger');
+const { getGitChanges } = require('./git');
+const { compileExclusionRules, isExcluded, isExcludedAttribute } = require('./exclusions');
+const { STATUS, compileI18nRules, isWrapped, isInI18nComponent } = require('./wrapped');
+const {
+  IGNORE_FILE,
+  DIRECTIVES,
+  loadIgnorePatterns,
+  isIgnoredFile,
+  hasFileDirective,
+  getIgnoredLines,
+  getIgnoreDirective
+} = require('./ignore');
+const {
+  createOrigin,
+  toLineAndColumn,
+  getTextStart,
+  getNodeContext,
+  getContainerName,
+  getComponentName
+} = require('./location');
+
+// 始终排除的文件
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/dist/**', '**/*.min.js'];
+
+/**
+ * 查找源文件
+ * @param {string} sourcePath - 源目录路径
+ * @param {Object} options - 文件范围
+ * @param {string[]} options.include - 包含的 glob（相对于源目录，按顺序扫描，默认优先扫描 src 目录）
+ * @param {string[]} options.exclude - 额外排除的 glob
+ * @param {Object[]} options.ignored - 收集被 .pickcnignore 忽略的文件 { file, reason }（可选）
+ * @param {string} options.since - 只返回相对该 git 引用有变更的文件（包括未提交的修改和未跟踪的新文件）
+ * @param {boolean} options.staged - 只返回暂存区中有变更的文件（包括已从工作区删除、只存在于暂存区中的文件）
+ * @returns {Promise<string[]>} 文件路径数组
+ * @throws {ConfigError} 指定 since 或 staged 时 git 命令失败
+ */
+async function findSourceFiles(sourcePath, options = {}) {
+  const { include = DEFAULT_CONFIG.include, exclude = [] } = options;
+  const ignore = [...DEFAULT_EXCLUDE, ...exclude];
+  const ignorePatterns = await loadIgnorePatterns(sourcePath);
+  
+  // 多个 include 可能匹配到同一文件，用 Set 去重并保留首次出现的顺序
+  const files = new Set();
+  const ignoredFiles = new Set();
+  for (const pattern of include) {
+    glob.sync(pattern, { cwd: sourcePath, ignore, nodir: true }).forEach(match => {
+      if (isIgnoredFile(match, ignorePatterns)) {
+        ignoredFiles.add(path.join(sourcePath, match));
+      } else {
+        files.add(path.join(sourcePath, match));
+      }
+    });
+  }
+  
+  if (options.ignored) {
+    ignoredFiles.forEach(file => options.ignored.push({ file, reason: IGNORE_FILE }));
+  }
+  
+  if (options.staged) {
+    // 暂存区中的文件可能已从工作区删除，按暂存区的变更列表筛选（提取时读取暂存区中的内容）
+    return (await getGitChanges(sourcePath, options))
+      .filter(change => change.status !== 'D' && isSourceFile(path.relative(sourcePath, change.file), options, ignorePatterns))
+      .map(change => change.file);
+  }
+  
+  if (options.since) {
+    const changed = new Set((await getGitChanges(sourcePath, options)).map(change => change.file));
+    return Array.from(files).filter(file => changed.has(file));
+  }
+  
+  return Array.from(files);
+}
+
+/**
+ * 判断文件是否在扫描范围内（与 findSourceFiles 的规则一致，用于已删除、无法扫描到的文件）
+ * @param {string} relativePath - 相对于源目录的文件路径
+ * @param {Object} options - 文件范围 { include, exclude }
+ * @param {string[]} ignorePatterns - .pickcnignore 中的 glob
+ * @returns {boolean} 是否在扫描范围内
+ */
+function isSourceFile(relativePath, options, ignorePatterns) {
+  const { include = DEFAULT_CONFIG.include, exclude = [] } = options;
+  const file = relativePath.split(path.sep).join('/');
+  return include.some(pattern => minimatch(file, pattern))
+    && ![...DEFAULT_EXCLUDE, ...exclude].some(pattern => minimatch(file, pattern))
+    && !isIgnoredFile(file, ignorePatterns);
+}
+
+/**
+ * 检查字符串字面量是否作为 key 使用（对象属性名或枚举成员名）
+ * @param {Node} node - 字符串字面量节点
+ * @returns {boolean} 是否作为 key 使用
+ */
+function isStringLiteralAsKey(node) {
+  const parent = node.getParent();
+  if (!parent) return false;
+  
+  const parentKind = parent.getKind();
+  
+  // 检查是否为对象属性的 key
+  if (parentKind === SyntaxKind.PropertyAssignment) {
+    try {
+      // 检查当前节点是否是属性名（而不是属性值）
+      const nameNode = parent.getNameNode();
+      return nameNode === node;
+    } catch (e) {
+      // 如果获取名称节点失败，检查节点位置
+      const children = parent.getChildren();
+      return children.length > 0 && children[0] === node;
+    }
+  }
+  
+  // 检查是否为枚举成员的 key
+  if (parentKind === SyntaxKind.EnumMember) {
+    try {
+      // 检查当前节点是否是枚举成员名（而不是枚举成员值）
+      const nameNode = parent.getNameNode();
+      return nameNode === node;
+    } catch (e) {
+      // 如果获取名称节点失败，检查节点位置
+      const children = parent.getChildren();
+      return children.length > 0 && children[0] === node;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * 从文件中提取中文文本
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 提取选项（提取规则见 isValidChineseText、compileExclusionRules）
+ * @param {boolean} options.silent - 不输出每个文件的提取日志
+ * @param {Object} options.logger - 日志对象（默认 console）
+ * @param {Object[]} options.ignored - 收集被忽略指令忽略的文件和文本（可选）
+ * @param {string} options.content - 文件内容（可选，默认读取文件，--staged 时为暂存区中的内容）
+ * @returns {Promise<Object[]>} 中文文本出现位置数组，见 extractChineseFromSource
+ */
+async function extractChineseFromFile(filePath, options = {}) {
+  const logger = createLogger(options);
+  try {
+    const content = typeof options.content === 'string' ? options.content : await fs.readFile(filePath, 'utf-8');
+    
+    if (hasFileDirective(content)) {
+      if (options.ignored) {
+        options.ignored.push({ file: filePath, reason: DIRECTIVES.file });
+      }
+      if (!options.silent) {
+        logger.log(`🙈 ${path.basename(filePath)}: ${DIRECTIVES.file}，跳过`);
+      }
+      return [];
+    }
+    
+    const occurrences = extractChineseFromContent(content, filePath, options);
+    
+    if (!options.silent) {
+      logger.log(`📄 ${path.basename(filePath)}: 提取到 ${occurrences.length} 个中文文本`);
+    }
+    return occurrences;
+    
+  } catch (error) {
+    logger.warn(`⚠️  处理文件失败: ${filePath}`, error.message);
+    return [];
+  }
+}
+
+/**
+ * 从文件内容中提取中文文本（按扩展名区分 Vue 单文件组件和脚本，有 pick-cn-ignore-file 指令时不提取）
+ * @param {string} content - 文件内容
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 提取规则
+ * @returns {Object[]} 中文文本出现位置数组
+ */
+function extractChineseFromContent(content, filePath, options = {}) {
+  // 不含中文的文件无需解析
+  if (hasFileDirective(content) || !mayContainChinese(content)) {
+    return [];
+  }
+  return path.extname(filePath) === '.vue'
+    ? extractChineseFromVue(content, filePath, options)
+    : extractChineseFromSource(content, filePath, options);
+}
+
+/**
+ * 从 Vue 单文件组件中提取中文文本
+ * @param {string} content - .vue 文件内容
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 提取规则
+ * @returns {Object[]} 中文文本出现位置数组
+ */
+function extractChineseFromVue(content, filePath, options = {}) {
+  const occurrences = [];
+  const origin = createOrigin(filePath, content);
+  const component = getComponentName(filePath);
+  const { template, scripts } = splitVueFile(content, filePath);
+  const rules = compileExclusionRules(options);
+  const i18nRules = compileI18nRules(null, options);
+  
+  // 模板：文本节点（及与插值合并的消息）、静态属性直接校验，绑定表达式交给 AST 遍历
+  collectTemplateParts(template).forEach((part, index) => {
+    // 排除规则中的属性（如 class、data-testid）不提取
+    if (part.name && isExcludedAttribute(part.name, rules)) {
+      return;
+    }
+    
+    // 被 <!-- pick-cn-ignore --> 等指令忽略的片段只记录，不提取
+    const target = part.ignore ? [] : occurrences;
+    
+    if (part.type === 'expression') {
+      // 包裹的括号不在原始文件中，位置需要前移一位
+      const partOrigin = { ...origin, offset: part.offset - (part.wrapped ? 1 : 0) };
+      const context = part.name ? { kind: 'vue-binding', name: part.name } : { kind: 'vue-interpolation' };
+      
+      extractChineseFromSource(part.value, `${filePath}.template-${index}.ts`, { ...options, origin: partOrigin }).forEach(occurrence => {
+        // 表达式顶层的字符串以所在的绑定或插值作为上下文
+        if (occurrence.context.kind === 'string' || occurrence.context.kind === 'template') {
+          occurrence.context = context;
+        }
+        occurrence.container = occurrence.container || component;
+        if (isInI18nComponent(part.tags, i18nRules)) {
+          occurrence.status = STATUS.wrapped;
+        }
+        target.push(occurrence);
+      });
+    } else if (isValidChineseText(part.type === 'message' ? stripPlaceholders(part.value) : part.value, options)) {
+      let position;
+      let context;
+      if (part.type === 'text' || part.type === 'message') {
+        const raw = content.slice(part.loc.start.offset, part.loc.end.offset);
+        position = part.loc.start.offset + (raw.length - raw.trimStart().length);
+        context = { kind: 'vue-text' };
+      } else {
+        // 跳过属性值的引号
+        position = part.loc.start.offset + 1;
+        context = { kind: 'vue-attribute', name: part.name };
+      }
+      
+      target.push({
+        text: part.value,
+        file: filePath,
+        ...toLineAndColumn(origin, position),
+        context,
+        container: component,
+        status: isInI18nComponent(part.tags, i18nRules) ? STATUS.wrapped : STATUS.hardcoded
+      });
+    }
+    
+    if (part.ignore && options.ignored) {
+      target.forEach(occurrence => options.ignored.push({ ...occurrence, reason: part.ignore }));
+    }
+  });
+  
+  // <script> 与 <script setup> 按各自的 lang 解析
+  scripts.forEach(script => {
+    const scriptPath = `${filePath}.${script.setup ? 'setup' : 'script'}.${script.extension}`;
+    const scriptOrigin = { ...origin, offset: script.loc.start.offset };
+    
+    extractChineseFromSource(script.content, scriptPath, { ...options, origin: scriptOrigin }).forEach(occurrence => {
+      occurrence.container = occurrence.container || component;
+      occurrences.push(occurrence);
+    });
+  });
+  
+  return occurrences;
+}
+
+/**
+ * 从源码中提取中文文本（使用 TypeScript AST 遍历）
+ * @param {string} content - 源码内容
+ * @param {string} filePath - 文件路径（决定 ts-morph 的解析方式）
+ * @param {Object} options - 提取规则
+ * @param {Object} options.origin - 位置来源（可选），content 是 Vue 文件中的片段时用于换算原始行列号
+ * @param {Object[]} options.ignored - 收集被忽略指令忽略的文本（可选，每项比出现位置多一个 reason）
+ * @returns {Object[]} 中文文本出现位置数组，每项为
+ *   { text, file, line, column, context: { kind, name }, container, status }
+ *   status 为 wrapped（已包裹在翻译函数或组件中）或 hardcoded（硬编码）
+ */
+function extractChineseFromSource(content, filePath, options = {}) {
+  const occurrences = [];
+  const origin = options.origin || createOrigin(filePath, content);
+  const sourceFile = createSourceFile(content, filePath);
+  const i18nRules = compileI18nRules(sourceFile, options);
+  
+  const toOccurrences = (node, texts) => {
+    const position = toLineAndColumn(origin, origin.offset + getTextStart(node));
+    const context = getNodeContext(node);
+    const container = getContainerName(node);
+    const status = isWrapped(node, i18nRules) ? STATUS.wrapped : STATUS.hardcoded;
+    return texts.map(text => ({ text, file: origin.filePath, ...position, context, container, status }));
+  };
+  
+  forEachChineseNode(sourceFile, (node, texts) => {
+    occurrences.push(...toOccurrences(node, texts));
+  }, {
+    ...options,
+    onIgnore: (node, texts, reason) => {
+      if (options.ignored) {
+        toOccurrences(node, texts).forEach(occurrence => options.ignored.push({ ...occurrence, reason }));
+      }
+    }
+  });
+  
+  return occurrences;
+}
+
+// 所有文件共用的 ts-morph 项目（只用于解析，创建项目的开销比解析单个文件大得多）
+let sharedProject = null;
+
+/**
+ * 创建用于解析的 ts-morph 源文件
+ * 所有文件共用同一个项目，项目中只保留最近创建的源文件：返回的源文件在下一次调用后失效，
+ * 调用方需要在下一次调用前处理完（提取和替换都是逐个文件处理，结果为普通对象）
+ * @param {string} content - 源码内容
+ * @param {string} filePath - 文件路径（决定 ts-morph 的解析方式）
+ * @returns {SourceFile} ts-morph 源文件
+ */
+function createSourceFile(content, filePath) {
+  if (!sharedProject) {
+    sharedProject = new Project({
+      useInMemoryFileSystem: true,
+      skipFileDependencyResolution: true,
+      compilerOptions: {
+        allowJs: true,
+        allowSyntheticDefaultImports: true,
+        esModuleInterop: true,
+        jsx: 'preserve',
+        target: 'ES2020',
+        module: 'ESNext'
+      }
+    });
+  }
+  
+  sharedProject.getSourceFiles().forEach(sourceFile => sharedProject.removeSourceFile(sourceFile));
+  return sharedProject.createSourceFile(filePath, content, { overwrite: true });
+}
+
+/**
+ * 遍历 AST 中包含中文的节点（提取和替换共用同一套规则）
+ * @param {SourceFile} sourceFile - ts-morph 源文件
+ * @param {Function} callback - 回调 (node, texts)，node 为 StringLiteral、TemplateExpression、
+ *   NoSubstitutionTemplateLiteral、JsxText 或 JsxAttribute 节点，texts 为其中的有效中文文本
+ *   （模板字符串为带命名占位符的完整消息）
+ * @param {Object} options - 提取规则 { ignoredCallees, ignoredAttributes, ignoredDecorators, minLength, maxLength, ignoreTexts }
+ * @param {Function} options.onIgnore - 被忽略指令忽略的节点的回调 (node, texts, reason)（可选）
+ */
+function forEachChineseNode(sourceFile, callback, options = {}) {
+  const ignoredLines = getIgnoredLines(sourceFile.getFullText());
+  const rules = compileExclusionRules(options);
+  
+  // 排除规则（默认为 console 语句）命中的节点直接跳过，pick-cn-ignore 等指令忽略的节点不交给 callback
+  const emit = (node, texts) => {
+    if (isExcluded(node, rules)) {
+      return;
+    }
+    const directive = getIgnoreDirective(node, getTextStart(node), ignoredLines);
+    if (!directive) {
+      callback(node, texts);
+    } else if (options.onIgnore) {
+      options.onIgnore(node, texts, directive);
+    }
+  };
+  
+  sourceFile.forEachDescendant((node) => {
+    // 处理字符串字面量 (StringLiteral)
+    if (node.getKind() === SyntaxKind.StringLiteral) {
+      // 检查是否为对象属性名或枚举成员名（key）
+      if (isStringLiteralAsKey(node)) {
+        return; // 跳过 key，不提取
+      }
+      
+      // JSX 属性值由 JsxAttribute 分支统一处理
+      if (node.getParent().getKind() === SyntaxKind.JsxAttribute) {
+        return;
+      }
+      
+      const text = node.getLiteralValue();
+      if (isValidChineseText(text, options)) {
+        emit(node, [text]);
+      }
+    }
+    
+    // 处理模板字符串 (TemplateExpression)
+    else if (node.getKind() === SyntaxKind.TemplateExpression) {
+      // 整个模板字符串作为一条消息，插值转换为命名占位符，便于整句翻译和调整语序
+      const { message } = buildTemplateMessage(node);
+      if (isValidChineseText(stripPlaceholders(message), options)) {
+        emit(node, [message]);
+      }
+    }
+    
+    // 处理无模板字符串 (NoSubstitutionTemplateLiteral)
+    else if (node.getKind() === SyntaxKind.NoSubstitutionTemplateLiteral) {
+      const text = node.getLiteralValue();
+      if (isValidChineseText(text, options)) {
+        emit(node, [text]);
+      }
+    }
+    
+    // 处理 JSX 文本 (JsxText)
+    else if (node.getKind() === SyntaxKind.JsxText) {
+      const text = node.getText().trim();
+      if (isValidChineseText(text, options)) {
+        emit(node, [text]);
+      }
+    }
+    
+    // 处理 JSX 属性中的字符串 (JsxAttribute)
+    else if (node.getKind() === SyntaxKind.JsxAttribute) {
+      const initializer = node.getInitializer();
+      if (initializer && initializer.getKind() === SyntaxKind.StringLiteral) {
+        const text = initializer.getLiteralValue();
+        if (isValidChineseText(text, options)) {
+          emit(node, [text]);
+        }
+      }
+    }
+    
+    // 注意：不再单独处理 PropertyAssignment 和 EnumMember
+    // 因为它们的 value 会被 StringLiteral 处理逻辑捕获
+    // 而 key 会被 isStringLiteralAsKey 过滤掉
+  });
+}
+
+/**
+ * 将模板字符串转换为带命名占位符的完整消息
+ * 例如 `用户${userName}在${date}提交了订单` -> 用户{userName}在{date}提交了订单
+ * @param {Node} node - TemplateExpression 节点
+ * @returns {{message: string, params: Object[]}} 消息文本和占位符参数（name 为占位符名，expression 为对应的源码）
+ */
+function buildTemplateMessage(node) {
+  const params = [];
+  let message = getTemplateLiteralText(node.getHead());
+  
+  node.getTemplateSpans().forEach((span, index) => {
+    const expression = span.getExpression();
+    const expressionText = expression.getText();
+    
+    // 相同表达式复用同一个占位符，不同表达式同名时追加序号
+    let param = params.find(item => item.expression === expressionText);
+    if (!param) {
+      const baseName = getPlaceholderName(expression, index);
+      let name = baseName;
+      for (let i = 2; params.some(item => item.name === name); i++) {
+        name = `${baseName}${i}`;
+      }
+      param = { name, expression: expressionText };
+      params.push(param);
+    }
+    
+    message += `{${param.name}}${getTemplateLiteralText(span.getLiteral())}`;
+  });
+  
+  return { message, params };
+}
+
+/**
+ * 获取模板字符串片段（TemplateHead/Middle/Tail）转义处理后的文本
+ * @param {Node} literal - 模板字符串片段节点
+ * @returns {string} 片段文本
+ */
+function getTemplateLiteralText(literal) {
+  return literal.compilerNode.text;
+}
+
+/**
+ * 根据插值表达式推导占位符名称
+ * @param {Node} expression - 插值表达式节点
+ * @param {number} index - 插值序号
+ * @returns {string} 占位符名称
+ */
+function getPlaceholderName(expression, index) {
+  const kind = expression.getKind();
+  
+  if (kind === SyntaxKind.Identifier) {
+    return expression.getText();
+  }
+  
+  // obj.prop、obj?.prop 取最后的属性名
+  if (kind === SyntaxKind.PropertyAccessExpression) {
+    return expression.getName();
+  }
+  
+  return `arg${index}`;
+}
+
+/**
+ * 检查文本是否包含中文
+ * @param {string} text - 待检查的文本
+ * @returns {boolean} 是否包含中文
+ */
+function containsChinese(text) {
+  return /[\u4e00-\u9fff]/.test(text);
+}
+
+/**
+ * 检查文件内容中是否可能有中文文本（包括 \u4e2d 等转义和 Vue 模板中的 &#x4e2d; 等字符实体）
+ * @param {string} content - 文件内容
+ * @returns {boolean} 是否需要解析
+ */
+function mayContainChinese(content) {
+  return containsChinese(content) || /\\u|&#/.test(content);
+}
+
+/**
+ * 验证是否为有效的中文文本（用于翻译）
+ * @param {string} text - 待检查的文本
+ * @param {Object} options - 提取规则
+ * @param {number} options.minLength - 最短长度（默认 1）
+ * @param {number} options.maxLength - 最长长度（默认 50）
+ * @param {Array<string|RegExp>} options.ignoreTexts - 忽略的文本，字符串为完全匹配，/.../ 形式为正则
+ * @returns {boolean} 是否为有效的中文文本
+ */
+function isValidChineseText(text, options = {}) {
+  const {
+    minLength = DEFAULT_CONFIG.minLength,
+    maxLength = DEFAULT_CONFIG.maxLength,
+    ignoreTexts = DEFAULT_CONFIG.ignoreTexts
+  } = options;
+  
+  // 基本检查：必须包含中文
+  if (!containsChinese(text)) {
+    return false;
+  }
+  
+  // 过滤掉空字符串或只有空白字符的文本
+  if (!text.trim()) {
+    return false;
+  }
+  
+  // 过滤掉过短或过长的文本（过长的可能包含代码）
+  if (text.length < minLength || text.length > maxLength) {
+    return false;
+  }
+  
+  // 过滤掉配置中忽略的文本
+  if (ignoreTexts.some(rule => toTextMatcher(rule)(text))) {
+    return false;
+  }
+  
+  // 过滤掉包含特殊代码字符的文本
+  const codePatterns = [
+    /[{}\[\]();]/,  // 代码括号
+    /\\n|\\t/,      // 转义字符
+    /^\s*\/\//,     // 注释
+    /interface|class|function|const|let|var|export|import/i, // 关键字
+    /\w+\s*:\s*\w+/, // 对象属性定义
+  ];
+  
+  for (const pattern of codePatterns) {
+    if (pattern.test(text)) {
+      return false;
+    }
+  }
+  
+  // 过滤掉纯数字或主要是数字的文本
+  if (/^[\d\s.,，。]+$/.test(text)) {
+    return false;
+  }
+  
+  // 过滤掉只包含标点符号的文本
+  if (/^[\s\p{P}]+$/u.test(text)) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * 将忽略文本规则转换为匹配函数
+ * @param {string|RegExp} rule - 忽略规则，字符串为完全匹配，"/.../flags" 形式的字符串视为正则
+ * @returns {Function} 匹配函数
+ */
+function toTextMatcher(rule) {
+  if (rule instanceof RegExp) {
+    return text => rule.test(text);
+  }
+  const match = /^\/(.+)\/([a-z]*)$/.exec(rule);
+  if (match) {
+    const regexp = new RegExp(match[1], match[2]);
+    return text => regexp.test(text);
+  }
+  return text => text === rule;
+}
+
+module.exports = {
+  findSourceFiles,
+  isSourceFile,
+  extractChineseFromFile,
+  extractChineseFromContent,
+  extractChineseFromSource,
+  createSourceFile,
+  forEachChineseNode,
+  buildTemplateMessage,
+  isValidChineseText
+};
@@ -0,0 +1,540 @@
+const { ConfigError, OutputError } = require('./errors');
+const { escapeXml, parseXml, getXmlText } = require('./xml');
+const { escapePoString } = require('./report');
+const { isTranslated } = require('./merge');
+
+// 源语言代码（XLIFF 的 srcLang）
+const SOURCE_LANGUAGE = 'zh-CN';
+
+/**
+ * 输出格式
+ * 每个格式提供：
+ *   extensions - 文件扩展名（第一个为默认扩展名）
+ *   write(mapping, context) / read(content) - 单个语言的映射 { key: 译文 } 与文件内容互相转换，
+ *     context 为 { language, source }，source 为 { key: 中文 }（key 即中文时为 null）
+ *   writeCombined(locales, context) / readCombined(content, languages) - 多语言合并为一个文件（可选），context 为 { source }
+ *   localeSeparator - 文件名与语言代码之间的分隔符（可选，默认 .）
+ *   template - 只生成一个不含译文的模板文件（可选），read 返回源语言映射 { key: 中文 }
+ */
+const FORMATS = {
+  json: {
+    extensions: ['.json'],
+    write: mapping => toJson(mapping),
+    read: content => JSON.parse(content),
+    writeCombined: locales => toJson(combineLocales(locales)),
+    readCombined: (content, languages) => splitCombined(JSON.parse(content), languages)
+  },
+
+  'vue-i18n': {
+    extensions: ['.json'],
+    write: (mapping, context) => toJson(toKeyTree(mapValues(mapping, escapeVueI18n), context)),
+    read: content => mapValues(flatten(JSON.parse(content)), unescapeVueI18n),
+    // vue-i18n 的 messages 结构：{ en: {...}, ja: {...} }
+    writeCombined: (locales, context) => toJson(mapValues(locales, mapping => toKeyTree(mapValues(mapping, escapeVueI18n), context))),
+    readCombined: (content, languages) => {
+      const messages = JSON.parse(content);
+      return pickLanguages(languages, language => mapValues(flatten(messages[language] || {}), unescapeVueI18n));
+    }
+  },
+
+  i18next: {
+    extensions: ['.json'],
+    write: (mapping, context) => toJson(toKeyTree(mapValues(mapping, toI18nextPlaceholders), context)),
+    read: content => mapValues(flatten(JSON.parse(content)), fromI18nextPlaceholders),
+    // i18next 的 resources 结构：{ en: { translation: {...} } }
+    writeCombined: (locales, context) => toJson(mapValues(locales, mapping => ({
+      translation: toKeyTree(mapValues(mapping, toI18nextPlaceholders), context)
+    }))),
+    readCombined: (content, languages) => {
+      const resources = JSON.parse(content);
+      return pickLanguages(languages, language => {
+        const namespace = (resources[language] || {}).translation || {};
+        return mapValues(flatten(namespace), fromI18nextPlaceholders);
+      });
+    }
+  },
+
+  po: {
+    extensions: ['.po'],
+    write: (mapping, context) => toPo(mapping, context),
+    read: content => parsePo(content)
+  },
+
+  pot: {
+    extensions: ['.pot'],
+    template: true,
+    write: (mapping, context) => toPo(mapping, { ...context, language: null }),
+    read: content => parsePo(content, { source: true })
+  },
+
+  xliff: {
+    extensions: ['.xlf', '.xliff'],
+    write: (mapping, context) => toXliff(mapping, context),
+    read: content => parseXliff(content)
+  },
+
+  properties: {
+    extensions: ['.properties'],
+    localeSeparator: '_',
+    write: (mapping, context) => toProperties(mapping, context),
+    read: content => parseProperties(content)
+  },
+
+  ts: {
+    extensions: ['.ts'],
+    write: mapping => toTsModule(mapping),
+    read: content => parseTsModule(content),
+    writeCombined: locales => toTsModule(combineLocales(locales)),
+    readCombined: (content, languages) => splitCombined(parseTsModule(content), languages)
+  }
+};
+
+/**
+ * 获取输出格式
+ * @param {string} name - 格式名称
+ * @returns {Object} 输出格式
+ */
+function getFormat(name = 'json') {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new ConfigError(`不支持的输出格式: ${name}（可选 ${Object.keys(FORMATS).join('、')}）`);
+  }
+  return format;
+}
+
+/**
+ * 合并各语言的映射为嵌套结构 { 中文: { en, ja, zh-TW } }
+ * @param {Object} locales - 各语言的映射 { 语言: { 中文: 译文 } }
+ * @returns {Object} 嵌套映射
+ */
+function combineLocales(locales) {
+  const combined = {};
+  for (const [language, mapping] of Object.entries(locales)) {
+    for (const [key, value] of Object.entries(mapping)) {
+      combined[key] = combined[key] || {};
+      combined[key][language] = value;
+    }
+  }
+  return combined;
+}
+
+/**
+ * 将嵌套映射拆分为各语言的映射
+ * @param {Object} combined - 嵌套映射 { 中文: { en, ja } }
+ * @param {string[]} languages - 目标语言
+ * @returns {Object} 各语言的映射
+ */
+function splitCombined(combined, languages) {
+  const locales = {};
+  languages.forEach(language => {
+    locales[language] = {};
+  });
+
+  for (const [key, values] of Object.entries(combined)) {
+    // 兼容旧的单语言文件：值为字符串时视为英文
+    const entry = typeof values === 'string' ? { en: values } : (values || {});
+    languages.forEach(language => {
+      if (language in entry) {
+        locales[language][key] = entry[language];
+      }
+    });
+  }
+
+  return locales;
+}
+
+/**
+ * 按语言生成映射
+ * @param {string[]} languages - 语言代码数组
+ * @param {Function} read - 读取某个语言的映射
+ * @returns {Object} 各语言的映射
+ */
+function pickLanguages(languages, read) {
+  const locales = {};
+  languages.forEach(language => {
+    locales[language] = read(language);
+  });
+  return locales;
+}
+
+/**
+ * 转换对象的每个值
+ * @param {Object} object - 对象
+ * @param {Function} transform - 转换函数
+ * @returns {Object} 新对象
+ */
+function mapValues(object, transform) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    result[key] = transform(value);
+  }
+  return result;
+}
+
+/**
+ * 格式化为 JSON 文本（与 fs.writeJson 的格式一致）
+ * @param {Object} data - 数据
+ * @returns {string} JSON 文本
+ */
+function toJson(data) {
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+/**
+ * 生成嵌套格式的 key 结构：生成的 key（semantic、hash）展开为嵌套对象；
+ * 中文作为 key 时保持扁平，否则 加载中... 这样含 . 的文本会被拆开
+ * @param {Object} mapping - 映射 { key: 译文 }
+ * @param {Object} context - { source }，source 为 null 时 key 即中文
+ * @returns {Object} 嵌套对象或扁平映射
+ */
+function toKeyTree(mapping, context = {}) {
+  return context.source ? toNested(mapping) : mapping;
+}
+
+/**
+ * 将 a.b.c 形式的 key 展开为嵌套对象
+ * @param {Object} mapping - 映射 { key: 译文 }
+ * @returns {Object} 嵌套对象
+ */
+function toNested(mapping) {
+  const nested = {};
+  for (const [key, value] of Object.entries(mapping)) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let node = nested;
+
+    parts.forEach(part => {
+      if (typeof node[part] === 'string') {
+        throw new OutputError(`key 冲突: ${key} 与 ${parts.join('.')} 不能同时存在于嵌套格式中`);
+      }
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+
+    if (node[last] && typeof node[last] === 'object') {
+      throw new OutputError(`key 冲突: ${key} 同时是其它 key 的前缀，不能用于嵌套格式`);
+    }
+    node[last] = value;
+  }
+  return nested;
+}
+
+/**
+ * 将嵌套对象展开为 a.b.c 形式的 key
+ * @param {Object} nested - 嵌套对象
+ * @param {string} prefix - key 前缀
+ * @returns {Object} 映射 { key: 译文 }
+ */
+function flatten(nested, prefix = '') {
+  const mapping = {};
+  for (const [key, value] of Object.entries(nested)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') {
+      Object.assign(mapping, flatten(value, path));
+    } else {
+      mapping[path] = value;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * 转义 vue-i18n 消息语法中的特殊字符（@ 为链接消息，| 为复数分隔符）
+ * @param {string} value - 译文
+ * @returns {string} 转义后的译文
+ */
+function escapeVueI18n(value) {
+  return typeof value === 'string' ? value.replace(/[@|]/g, char => `{'${char}'}`) : value;
+}
+
+/**
+ * 还原 vue-i18n 的字面量插值
+ * @param {string} value - vue-i18n 消息
+ * @returns {string} 译文
+ */
+function unescapeVueI18n(value) {
+  return typeof value === 'string' ? value.replace(/\{'([@|])'\}/g, '$1') : value;
+}
+
+/**
+ * 命名占位符转换为 i18next 的插值格式：{name} -> {{name}}
+ * @param {string} value - 译文
+ * @returns {string} i18next 消息
+ */
+function toI18nextPlaceholders(value) {
+  return typeof value === 'string' ? value.replace(/\{(\w+)\}/g, '{{$1}}') : value;
+}
+
+/**
+ * i18next 的插值格式还原为命名占位符：{{name}} -> {name}
+ * @param {string} value - i18next 消息
+ * @returns {string} 译文
+ */
+function fromI18nextPlaceholders(value) {
+  return typeof value === 'string' ? value.replace(/\{\{\s*(\w+)\s*\}\}/g, '{$1}') : value;
+}
+
+/**
+ * 生成 gettext .po/.pot 文件
+ * key 与中文不同时（使用语义 key 或哈希 key），key 写入 msgctxt
+ * @param {Object} mapping - 映射 { key: 译文 }
+ * @param {Object} context - { language, source }，language 为空时生成模板（msgstr 为空）
+ * @returns {string} 文件内容
+ */
+function toPo(mapping, context = {}) {
+  const { language, source } = context;
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    ...(language ? [`"Language: ${language}\\n"`] : []),
+    '"X-Generator: pick-cn\\n"'
+  ].join('\n');
+
+  const entries = Object.entries(mapping).map(([key, value]) => {
+    const text = source && typeof source[key] === 'string' ? source[key] : key;
+    const lines = [];
+    if (text !== key) {
+      lines.push(`msgctxt "${escapePoString(key)}"`);
+    }
+    lines.push(`msgid "${escapePoString(text)}"`);
+    lines.push(`msgstr "${language && isTranslated(value) ? escapePoString(value) : ''}"`);
+    return lines.join('\n');
+  });
+
+  return [header, ...entries].join('\n\n') + '\n';
+}
+
+/**
+ * 解析 gettext .po/.pot 文件
+ * @param {string} content - 文件内容
+ * @param {Object} options - 选项
+ * @param {boolean} options.source - 读取原文（msgid）而不是译文，用于 .pot 模板
+ * @returns {Object} 映射 { key: 译文 }（有 msgctxt 时以 msgctxt 为 key）
+ */
+function parsePo(content, options = {}) {
+  const mapping = {};
+  let entry = {};
+  let field = null;
+
+  const flush = () => {
+    if (entry.msgid) {
+      mapping[entry.msgctxt !== undefined ? entry.msgctxt : entry.msgid] = options.source ? entry.msgid : entry.msgstr || '';
+    }
+    entry = {};
+    field = null;
+  };
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      flush();
+      return;
+    }
+    if (line.startsWith('#')) {
+      return;
+    }
+
+    const match = /^(msgctxt|msgid|msgstr)\s+"(.*)"$/.exec(line);
+    if (match) {
+      // msgctxt 或 msgid 开始一个新条目
+      if ((match[1] === 'msgctxt' || (match[1] === 'msgid' && field !== 'msgctxt')) && entry.msgid !== undefined) {
+        flush();
+      }
+      field = match[1];
+      entry[field] = unescapePoString(match[2]);
+    } else if (field && /^".*"$/.test(line)) {
+      // 多行字符串
+      entry[field] += unescapePoString(line.slice(1, -1));
+    }
+  });
+  flush();
+
+  return mapping;
+}
+
+/**
+ * 还原 gettext 字符串中的转义字符
+ * @param {string} text - 转义后的文本
+ * @returns {string} 原始文本
+ */
+function unescapePoString(text) {
+  return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' }[char] || char));
+}
+
+/**
+ * 生成 XLIFF 2.0 文件
+ * key 写入 unit 的 name 属性，未翻译的条目不输出 target
+ * @param {Object} mapping - 映射 { key: 译文 }
+ * @param {Object} context - { language, source }
+ * @returns {string} 文件内容
+ */
+function toXliff(mapping, context = {}) {
+  const { language, source } = context;
+  const units = Object.entries(mapping).map(([key, value], index) => {
+    const text = source && typeof source[key] === 'string' ? source[key] : key;
+    const translated = isTranslated(value);
+    return [
+      `    <unit id="u${index + 1}" name="${escapeXml(key)}">`,
+      `      <segment state="${translated ? 'translated' : 'initial'}">`,
+      `        <source>${escapeXml(text)}</source>`,
+      ...(translated ? [`        <target>${escapeXml(value)}</target>`] : []),
+      '      </segment>',
+      '    </unit>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${SOURCE_LANGUAGE}" trgLang="${escapeXml(language)}">`,
+    '  <file id="messages">',
+    ...units,
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * 解析 XLIFF 2.0 文件
+ * @param {string} content - 文件内容
+ * @returns {Object} 映射 { key: 译文 }（没有 name 属性时以原文为 key）
+ */
+function parseXliff(content) {
+  const document = parseXml(content, ['file', 'unit', 'segment']).xliff;
+  if (!document) {
+    throw new OutputError('不是有效的 XLIFF 文件');
+  }
+
+  const mapping = {};
+  (document.file || []).forEach(file => {
+    (file.unit || []).forEach(unit => {
+      const segments = unit.segment || [];
+      const source = segments.map(segment => getXmlText(segment.source)).join('');
+      const target = segments.map(segment => getXmlText(segment.target)).join('');
+      mapping[unit.name || source] = target;
+    });
+  });
+  return mapping;
+}
+
+/**
+ * 生成 .properties 文件（非 ASCII 字符转义为 \uXXXX，兼容 Java ResourceBundle）
+ * @param {Object} mapping - 映射 { key: 译文 }
+ * @param {Object} context - { language }
+ * @returns {string} 文件内容
+ */
+function toProperties(mapping, context = {}) {
+  const lines = [`# ${context.language || ''} messages generated by pick-cn`];
+  for (const [key, value] of Object.entries(mapping)) {
+    lines.push(`${escapeProperty(key, true)}=${escapeProperty(String(value))}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 转义 .properties 的 key 或值
+ * @param {string} text - 文本
+ * @param {boolean} isKey - 是否为 key（key 中的空格、= 和 : 也需要转义）
+ * @returns {string} 转义后的文本
+ */
+function escapeProperty(text, isKey = false) {
+  let escaped = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const code = text.charCodeAt(i);
+    if (char === '\\') {
+      escaped += '\\\\';
+    } else if (char === '\n') {
+      escaped += '\\n';
+    } else if (char === '\t') {
+      escaped += '\\t';
+    } else if (char === '\r') {
+      escaped += '\\r';
+    } else if ((isKey && /[ =:]/.test(char)) || (i === 0 && /[ #!]/.test(char))) {
+      escaped += `\\${char}`;
+    } else if (code < 0x20 || code > 0x7e) {
+      escaped += `\\u${code.toString(16).padStart(4, '0')}`;
+    } else {
+      escaped += char;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * 解析 .properties 文件
+ * @param {string} content - 文件内容
+ * @returns {Object} 映射 { key: 值 }
+ */
+function parseProperties(content) {
+  const mapping = {};
+  const lines = content.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i].replace(/^\s+/, '');
+    if (!line || line.startsWith('#') || line.startsWith('!')) {
+      continue;
+    }
+
+    // 行尾奇数个反斜杠表示续行
+    while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+      line = line.slice(0, -1) + lines[++i].replace(/^\s+/, '');
+    }
+
+    // key 以第一个未转义的 =、: 或空白结束
+    let index = 0;
+    while (index < line.length && !/[=:\s]/.test(line[index])) {
+      index += line[index] === '\\' ? 2 : 1;
+    }
+    const key = line.slice(0, index);
+    const value = line.slice(index).replace(/^\s*[=:]?\s*/, '');
+
+    mapping[unescapeProperty(key)] = unescapeProperty(value);
+  }
+
+  return mapping;
+}
+
+/**
+ * 还原 .properties 中的转义字符
+ * @param {string} text - 转义后的文本
+ * @returns {string} 原始文本
+ */
+function unescapeProperty(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape.length === 5) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    return { n: '\n', t: '\t', r: '\r', f: '\f' }[escape] || escape;
+  });
+}
+
+/**
+ * 生成带类型的 TypeScript 模块
+ * @param {Object} data - 映射数据
+ * @returns {string} 文件内容
+ */
+function toTsModule(data) {
+  return `// Generated by pick-cn\nexport default ${JSON.stringify(data, null, 2)} as const;\n`;
+}
+
+/**
+ * 解析 toTsModule 生成的 TypeScript 模块
+ * @param {string} content - 文件内容
+ * @returns {Object} 映射数据
+ */
+function parseTsModule(content) {
+  const match = /export\s+default\s+([\s\S]*?)(?:\s+as\s+const)?\s*;?\s*$/.exec(content);
+  if (!match) {
+    throw new OutputError('TypeScript 模块中没有 export default');
+  }
+  return JSON.parse(match[1]);
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  combineLocales,
+  splitCombined
+};
@@ -0,0 +1,140 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { ConfigError } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+// git 输出的最大长度（大仓库的文件列表和大文件的内容）
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * 执行 git 命令（只使用本地仓库）
+ * @param {string[]} args - 参数
+ * @param {string} cwd - 工作目录
+ * @returns {Promise<string>} 标准输出
+ * @throws {ConfigError} git 不可用、不在仓库中或命令失败
+ */
+async function runGit(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: MAX_BUFFER, encoding: 'utf8' });
+    return stdout;
+  } catch (error) {
+    const message = (error.stderr || error.message || '').trim().split('\n')[0];
+    throw new ConfigError(`git ${args[0]} 失败: ${message}`, { cause: error });
+  }
+}
+
+/**
+ * 获取变更的比较基准
+ * @param {Object} options - 选项
+ * @param {string} options.since - git 引用（分支、标签或提交），与工作区比较
+ * @param {boolean} options.staged - 暂存区与 HEAD 比较
+ * @returns {{ref: string, staged: boolean}} 基准引用
+ * @throws {ConfigError} 同时指定 since 和 staged
+ */
+function resolveGitScope(options) {
+  if (options.since && options.staged) {
+    throw new ConfigError('--since 和 --staged 不能同时使用');
+  }
+  return options.staged ? { ref: 'HEAD', staged: true } : { ref: options.since, staged: false };
+}
+
+/**
+ * 获取变更的文件：--since 为引用与工作区之间的差异（包括未暂存的修改和未跟踪的新文件），--staged 为暂存区与 HEAD 之间的差异
+ * @param {string} sourcePath - 源目录路径（只返回源目录中的文件）
+ * @param {Object} options - 选项 { since, staged }
+ * @returns {Promise<Array<{status: string, file: string, gitPath: string, baseFile: string|null}>>}
+ *   status 为 A（新增）、M（修改）、D（删除）或 R（重命名），file 为 path.join(源目录, 相对路径)，与 findSourceFiles 的写法一致；
+ *   gitPath 为相对于仓库根目录的路径，baseFile 为基准中的文件（相对于仓库根目录，新增时为 null）
+ * @throws {ConfigError} 不在 git 仓库中或引用不存在
+ */
+async function getGitChanges(sourcePath, options) {
+  const { ref, staged } = resolveGitScope(options);
+  const root = (await runGit(['rev-parse', '--show-toplevel'], sourcePath)).trim();
+
+  const diffArgs = ['diff', '--name-status', '-z', '-M'];
+  if (staged) {
+    diffArgs.push('--cached');
+  } else {
+    await verifyRef(ref, root);
+    diffArgs.push(ref);
+  }
+  diffArgs.push('--');
+
+  const changes = parseNameStatus(await runGit(diffArgs, root));
+  if (!staged) {
+    // 未跟踪的新文件（已被 .gitignore 忽略的除外）
+    const untracked = await runGit(['ls-files', '--others', '--exclude-standard', '-z'], root);
+    untracked.split('\0').filter(Boolean).forEach(file => changes.push({ status: 'A', file, baseFile: null }));
+  }
+
+  // 转换为源目录中的路径，源目录之外的文件不返回
+  const sourceRoot = await fs.realpath(sourcePath);
+  const toSourcePath = file => {
+    const relative = path.relative(sourceRoot, path.join(root, file));
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : path.join(sourcePath, relative);
+  };
+
+  return changes
+    .map(change => ({ ...change, file: toSourcePath(change.file), gitPath: change.file }))
+    .filter(change => change.file);
+}
+
+/**
+ * 解析 git diff --name-status -z 的输出
+ * @param {string} output - 输出
+ * @returns {Array<{status: string, file: string, baseFile: string|null}>} 变更（路径相对于仓库根目录）
+ */
+function parseNameStatus(output) {
+  const tokens = output.split('\0').filter(Boolean);
+  const changes = [];
+  for (let index = 0; index < tokens.length;) {
+    const status = tokens[index++][0];
+    if (status === 'R' || status === 'C') {
+      const baseFile = tokens[index++];
+      const file = tokens[index++];
+      changes.push({ status: status === 'R' ? 'R' : 'A', file, baseFile: status === 'R' ? baseFile : null });
+    } else {
+      const file = tokens[index++];
+      changes.push({ status: status === 'A' ? 'A' : status === 'D' ? 'D' : 'M', file, baseFile: status === 'A' ? null : file });
+    }
+  }
+  return changes;
+}
+
+/**
+ * 校验 git 引用
+ * @param {string} ref - 引用
+ * @param {string} cwd - 仓库目录
+ * @throws {ConfigError} 引用不存在
+ */
+async function verifyRef(ref, cwd) {
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+  } catch (error) {
+    throw new ConfigError(`git 引用不存在: ${ref}`, { cause: error });
+  }
+}
+
+/**
+ * 读取文件在基准或暂存区中的内容
+ * @param {string} sourcePath - 源目录路径（用于定位仓库）
+ * @param {string} ref - 引用，为空字符串时读取暂存区
+ * @param {string} gitPath - 相对于仓库根目录的路径
+ * @returns {Promise<string|null>} 文件内容，不存在时为 null
+ */
+async function readGitFile(sourcePath, ref, gitPath) {
+  try {
+    return await runGit(['show', `${ref}:${gitPath}`], sourcePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  resolveGitScope,
+  getGitChanges,
+  readGitFile
+};
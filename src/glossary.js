@@ -0,0 +1,307 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { parseXml, getXmlText } = require('./xml');
+const { ConfigError } = require('./errors');
+
+// 内置术语表（通用界面词汇，只有英文）
+const BUILTIN_GLOSSARY_PATH = path.join(__dirname, 'builtin-glossary.json');
+
+// 适用于所有目标语言的译文（如产品名称）使用的语言代码
+const ALL_LANGUAGES = '*';
+
+// TBX 中表示源语言（简体中文）的语言代码
+const SOURCE_LANGUAGES = ['zh', 'zh-cn', 'zh-hans', 'zh-hans-cn'];
+
+/**
+ * 术语表：按 术语 + 目标语言 保存指定译文
+ * 术语表中的整句直接使用指定译文，包含术语的长句在翻译后检查译文是否使用了指定译法
+ */
+class Glossary {
+  constructor() {
+    this.entries = new Map(); // 术语 -> { 语言: 译文 }
+  }
+
+  /**
+   * 术语数量
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 添加术语（同一术语同一语言后添加的覆盖先添加的）
+   * @param {string} term - 中文术语
+   * @param {string} language - 目标语言代码，* 表示所有语言
+   * @param {string} translation - 译文
+   */
+  add(term, language, translation) {
+    term = String(term).trim();
+    translation = String(translation).trim();
+    if (!term || !translation) {
+      return;
+    }
+    const translations = this.entries.get(term) || {};
+    translations[normalizeLanguage(language)] = translation;
+    this.entries.set(term, translations);
+  }
+
+  /**
+   * 合并另一个术语表（另一个术语表的译文优先）
+   * @param {Glossary} other - 术语表
+   */
+  merge(other) {
+    for (const [term, translations] of other.entries) {
+      for (const [language, translation] of Object.entries(translations)) {
+        this.add(term, language, translation);
+      }
+    }
+  }
+
+  /**
+   * 查找术语在目标语言中的译文
+   * 依次匹配完整语言代码（zh-TW）、基础语言代码（en-US 匹配 en）和 *
+   * @param {string} term - 中文术语或整句
+   * @param {string} language - 目标语言代码
+   * @returns {string|null} 译文
+   */
+  lookup(term, language) {
+    const translations = this.entries.get(term);
+    if (!translations) {
+      return null;
+    }
+    const code = normalizeLanguage(language);
+    return translations[code] || translations[code.split('-')[0]] || translations[ALL_LANGUAGES] || null;
+  }
+
+  /**
+   * 获取目标语言的全部术语（作为提示传给支持术语表的翻译服务）
+   * @param {string} language - 目标语言代码
+   * @returns {Object} 术语 { 中文: 译文 }
+   */
+  getTerms(language) {
+    const terms = {};
+    for (const term of this.entries.keys()) {
+      const translation = this.lookup(term, language);
+      if (translation) {
+        terms[term] = translation;
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * 查找文本中出现的术语（优先匹配较长的术语，被较长术语包含的部分不再单独匹配）
+   * @param {string} text - 中文文本
+   * @param {string} language - 目标语言代码
+   * @returns {Array<{term: string, translation: string}>} 出现的术语
+   */
+  findTerms(text, language) {
+    const terms = Object.entries(this.getTerms(language)).sort(([a], [b]) => b.length - a.length);
+    let remaining = text;
+    const found = [];
+    for (const [term, translation] of terms) {
+      if (remaining.includes(term)) {
+        found.push({ term, translation });
+        remaining = remaining.split(term).join('\u0000');
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 检查译文是否使用了文本中术语的指定译法（不区分大小写）
+   * @param {string} text - 中文文本
+   * @param {string} translation - 译文
+   * @param {string} language - 目标语言代码
+   * @returns {Array<{term: string, translation: string}>} 译文中缺少的术语
+   */
+  findMissingTerms(text, translation, language) {
+    const target = String(translation).toLowerCase();
+    return this.findTerms(text, language).filter(item => !target.includes(item.translation.toLowerCase()));
+  }
+}
+
+/**
+ * 统一语言代码的写法（小写，下划线换成连字符），便于 en_US、zh-TW 等写法互相匹配
+ * @param {string} language - 语言代码
+ * @returns {string} 语言代码
+ */
+function normalizeLanguage(language) {
+  return String(language).trim().toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * 加载术语表文件（按顺序合并，后面文件中的译文覆盖前面的）
+ * @param {string|string[]} files - 术语表文件路径，逗号分隔的字符串或数组
+ * @returns {Promise<Glossary>} 术语表
+ * @throws {ConfigError} 文件不存在、格式不支持或无法解析
+ */
+async function loadGlossary(files) {
+  const glossary = new Glossary();
+  for (const file of parseGlossaryFiles(files)) {
+    glossary.merge(await loadGlossaryFile(path.resolve(file)));
+  }
+  return glossary;
+}
+
+/**
+ * 解析术语表文件列表
+ * @param {string|string[]} files - 逗号分隔的字符串或数组
+ * @returns {string[]} 文件路径数组
+ */
+function parseGlossaryFiles(files) {
+  if (!files) {
+    return [];
+  }
+  const list = Array.isArray(files) ? files : String(files).split(',');
+  return list.map(file => String(file).trim()).filter(Boolean);
+}
+
+/**
+ * 按扩展名加载单个术语表文件：.json、.csv、.tbx（或 .xml）
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<Glossary>} 术语表
+ * @throws {ConfigError} 文件不存在、格式不支持或无法解析
+ */
+async function loadGlossaryFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new ConfigError(`术语表文件不存在: ${filePath}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  const parsers = { '.json': parseGlossaryJson, '.csv': parseGlossaryCsv, '.tbx': parseTbx, '.xml': parseTbx };
+  const parser = parsers[extension];
+  if (!parser) {
+    throw new ConfigError(`不支持的术语表格式: ${filePath}（支持 .json、.csv、.tbx）`);
+  }
+
+  try {
+    return parser(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`术语表解析失败: ${filePath}（${error.message}）`, { cause: error });
+  }
+}
+
+/**
+ * 解析 JSON 术语表
+ *   { "有赞": "Youzan" }                          所有语言使用同一译文
+ *   { "订单": { "en": "Order", "ja": "注文" } }   按语言指定译文（* 表示其它所有语言）
+ * @param {string} content - JSON 内容
+ * @returns {Glossary} 术语表
+ */
+function parseGlossaryJson(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('JSON 术语表应为 { 术语: 译文 } 对象');
+  }
+
+  const glossary = new Glossary();
+  for (const [term, value] of Object.entries(data)) {
+    if (typeof value === 'string') {
+      glossary.add(term, ALL_LANGUAGES, value);
+    } else if (value && typeof value === 'object') {
+      for (const [language, translation] of Object.entries(value)) {
+        if (typeof translation === 'string') {
+          glossary.add(term, language, translation);
+        }
+      }
+    }
+  }
+  return glossary;
+}
+
+/**
+ * 解析 CSV 术语表：第一列为中文术语，表头的其它列为目标语言代码（* 表示所有语言）
+ *   term,en,ja
+ *   订单,Order,注文
+ * @param {string} content - CSV 内容
+ * @returns {Glossary} 术语表
+ */
+function parseGlossaryCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header || header.length < 2) {
+    throw new Error('CSV 术语表的表头应为 术语列 + 语言代码列，如 term,en,ja');
+  }
+
+  const languages = header.slice(1).map(language => language.trim());
+  const glossary = new Glossary();
+  for (const [term, ...translations] of rows) {
+    languages.forEach((language, index) => {
+      if (language && translations[index]) {
+        glossary.add(term, language, translations[index]);
+      }
+    });
+  }
+  return glossary;
+}
+
+/**
+ * 解析 TBX 术语库（兼容 TBX 2 的 martif/termEntry/langSet/tig 和 TBX 3 的 tbx/conceptEntry/langSec/termSec）
+ * 简体中文（zh、zh-CN、zh-Hans）的术语作为原文，其它语言的术语作为译文
+ * @param {string} content - TBX 内容
+ * @returns {Glossary} 术语表
+ */
+function parseTbx(content) {
+  const parsed = parseXml(content, ['termEntry', 'conceptEntry', 'langSet', 'langSec', 'tig', 'ntig', 'termSec']);
+  const document = parsed.martif || parsed.tbx;
+  if (!document) {
+    throw new Error('不是有效的 TBX 文件');
+  }
+
+  const body = (document.text && document.text.body) || {};
+  const entries = body.termEntry || body.conceptEntry || [];
+  const glossary = new Glossary();
+
+  entries.forEach(entry => {
+    const terms = (entry.langSet || entry.langSec || []).map(langSet => ({
+      language: langSet['xml:lang'] || langSet.lang || '',
+      term: getTbxTerm(langSet)
+    })).filter(item => item.language && item.term);
+
+    const source = terms.find(item => SOURCE_LANGUAGES.includes(normalizeLanguage(item.language)));
+    if (!source) {
+      return;
+    }
+    terms.filter(item => item !== source).forEach(item => {
+      glossary.add(source.term, item.language, item.term);
+    });
+  });
+
+  return glossary;
+}
+
+/**
+ * 获取 langSet 中的第一个术语
+ * @param {Object} langSet - langSet（或 TBX 3 的 langSec）节点
+ * @returns {string} 术语
+ */
+function getTbxTerm(langSet) {
+  const groups = [...(langSet.tig || []), ...(langSet.termSec || []), ...(langSet.ntig || []).map(ntig => ntig.termGrp || {})];
+  for (const group of groups) {
+    const term = getXmlText(group.term).trim();
+    if (term) {
+      return term;
+    }
+  }
+  return '';
+}
+
+/**
+ * 加载内置术语表
+ * @returns {Glossary} 术语表
+ */
+function loadBuiltinGlossary() {
+  return parseGlossaryJson(fs.readFileSync(BUILTIN_GLOSSARY_PATH, 'utf8'));
+}
+
+module.exports = {
+  Glossary,
+  loadGlossary,
+  loadGlossaryFile,
+  loadBuiltinGlossary,
+  parseGlossaryJson,
+  parseGlossaryCsv,
+  parseTbx
+};
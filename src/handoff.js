@@ -0,0 +1,395 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { findSourceFiles } = require('./extractor');
+const { extractChineseFromFiles } = require('./parallel');
+const { groupReferences } = require('./dedupe');
+const { toReference } = require('./report');
+const { hasSamePlaceholders } = require('./placeholders');
+const { getTranslationStatus } = require('./merge');
+const { SOURCE_LOCALE, parseLanguages, resolveOutputPath, loadExistingLocales } = require('./output');
+const { getFormat } = require('./formats');
+const { parseKeyStrategy } = require('./keys');
+const { REVIEWED_PROVIDER, NEEDS_WORK_PROVIDER, TranslationMemory, resolveMemoryPath } = require('./memory');
+const { writeOutput } = require('./index');
+const { parseCsv, formatCsv } = require('./csv');
+const { writeXlsx, readXlsx } = require('./xlsx');
+const { ConfigError, TranslateError } = require('./errors');
+
+// 审校状态：machine 为机器翻译（未审校），reviewed 为审校通过，needs-work 为需要修改
+const REVIEW_STATUSES = ['machine', 'reviewed', 'needs-work'];
+
+// 导出文件的列
+const COLUMNS = ['key', 'source', 'language', 'machine_translation', 'translation', 'status', 'references'];
+
+// 导入时必须存在的列
+const REQUIRED_COLUMNS = ['key', 'language', 'translation', 'status'];
+
+// 导出 XLSX 时各列的宽度
+const COLUMN_WIDTHS = [30, 40, 10, 40, 40, 12, 50];
+
+// 导入检查的问题类型
+const IMPORT_ISSUES = {
+  'unknown-key': '映射文件中没有该 key',
+  'unknown-language': '语言不在目标语言中',
+  'invalid-status': `状态不是 ${REVIEW_STATUSES.join('、')} 之一`,
+  'empty': '审校通过的译文为空',
+  'placeholder': '译文占位符与原文不一致',
+  'duplicate': '同一 key 和语言有多行不同的译文',
+  'conflict': '导出后映射中的译文已被修改'
+};
+
+/**
+ * 导出映射为 CSV 或 XLSX，交给译者审校
+ * 每个 key 的每个目标语言一行：原文、机器译文、当前译文、审校状态和代码中的引用位置
+ * @param {string} file - 导出文件路径（.csv 或 .xlsx）
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {string} options.target - 映射文件所在目录
+ * @param {string} options.output - 映射文件名
+ * @param {string|string[]} options.to - 目标语言（默认 en）
+ * @param {boolean} options.combined - 映射文件是否为多语言嵌套文件
+ * @param {string} options.format - 映射文件格式（默认 json，模板格式不含译文，不支持）
+ * @param {string} options.keyStrategy - 生成映射时使用的 key 生成策略
+ * @param {string} options.translationMemory - 翻译记忆文件路径（审校状态保存在其中）
+ */
+async function exportForReview(file, options) {
+  try {
+    const fileType = getFileType(file);
+    const context = await loadContext(options);
+    const { languages, locales, keys, memory } = context;
+
+    // 代码中的引用位置
+    const sourceFiles = await findSourceFiles(options.source, options);
+    const results = await extractChineseFromFiles(sourceFiles, { ...options, silent: true });
+    const occurrences = results.flatMap(result => result.occurrences);
+    const texts = [...new Set(keys.map(key => context.getSourceText(key)).filter(Boolean))];
+    const references = groupReferences(occurrences, texts);
+
+    const machineTranslations = indexMachineTranslations(memory);
+    const rows = [COLUMNS];
+    const counts = { machine: 0, reviewed: 0, 'needs-work': 0 };
+
+    for (const key of keys) {
+      const sourceText = context.getSourceText(key);
+      const locations = (references[sourceText] || []).map(occurrence => {
+        const { file: referenceFile, line } = toReference(occurrence, options.source);
+        return `${referenceFile}:${line}`;
+      });
+
+      for (const language of languages) {
+        const value = locales[language][key];
+        const translation = getTranslationStatus(value) === 'translated' ? value : '';
+        const status = getReviewStatus(memory, sourceText, language, translation);
+        const machine = status === 'machine'
+          ? translation
+          : (machineTranslations.get(JSON.stringify([sourceText, language])) || '');
+        rows.push([key, sourceText, language, machine, translation, status, [...new Set(locations)].join('; ')]);
+        counts[status]++;
+      }
+    }
+
+    await fs.ensureDir(path.dirname(path.resolve(file)));
+    if (fileType === 'xlsx') {
+      const statusColumn = COLUMNS.indexOf('status');
+      await fs.writeFile(file, writeXlsx(rows, {
+        sheetName: 'translations',
+        columnWidths: COLUMN_WIDTHS,
+        validations: { [statusColumn]: REVIEW_STATUSES }
+      }));
+    } else {
+      await fs.writeFile(file, formatCsv(rows));
+    }
+
+    console.log(`✅ 已导出 ${rows.length - 1} 条译文到: ${file}`);
+    console.log(`📊 机器翻译 ${counts.machine} 条，审校通过 ${counts.reviewed} 条，需要修改 ${counts['needs-work']} 条`);
+  } catch (error) {
+    console.error('❌ 导出失败:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * 导入审校后的 CSV 或 XLSX：校验后把审校通过的译文合并回映射文件，并记入翻译记忆
+ * 审校通过的译文之后不会被机器翻译覆盖；存在问题的行会被跳过，有问题时以退出码 1 结束
+ * @param {string} file - 审校后的文件路径（.csv 或 .xlsx）
+ * @param {Object} options - 配置选项（映射文件相关选项同 exportForReview）
+ * @param {boolean} options.dryRun - 只校验，不写入映射文件和翻译记忆
+ */
+async function importReviewed(file, options) {
+  try {
+    const fileType = getFileType(file);
+    if (!await fs.pathExists(file)) {
+      throw new ConfigError(`文件不存在: ${file}`);
+    }
+    const context = await loadContext(options);
+    const { locales, memory } = context;
+
+    const rows = await readRows(file, fileType);
+    const { updated, flagged, unchanged, issues } = applyReviewedRows(rows, context);
+
+    issues.forEach(issue => {
+      console.warn(`⚠️  第 ${issue.row} 行 [${issue.rule}] ${issue.key || '(空)'}${issue.language ? ` (${issue.language})` : ''}: ${IMPORT_ISSUES[issue.rule]}${issue.detail ? `（${issue.detail}）` : ''}`);
+    });
+    updated.forEach(({ key, language, from, to }) => console.log(`   ✏️  [${language}] ${key}: ${from || '(空)'} -> ${to}`));
+
+    if (options.dryRun) {
+      console.log(`🔎 校验完成（未写入）：可更新 ${updated.length} 条译文，标记需要修改 ${flagged} 条，问题 ${issues.length} 个`);
+    } else {
+      if (updated.length > 0) {
+        const output = resolveOutputPath(path.join(options.target || options.source, options.output), options.format);
+        const written = context.sourceLocale ? { ...locales, [SOURCE_LOCALE]: context.sourceLocale } : locales;
+        const outputPaths = await writeOutput(written, { output, combined: options.combined, format: options.format });
+        console.log(`✅ 映射文件已更新: ${outputPaths.join(', ')}`);
+      }
+      try {
+        await memory.save();
+      } catch (error) {
+        throw new TranslateError(`翻译记忆保存失败: ${memory.filePath}（${error.message}）`, { cause: error });
+      }
+      console.log(`📥 已导入：更新 ${updated.length} 条译文，确认 ${unchanged} 条，标记需要修改 ${flagged} 条，跳过 ${issues.length} 行`);
+    }
+
+    if (issues.length > 0) {
+      console.log(`❌ 发现 ${issues.length} 个问题，对应的行未导入`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ 导入失败:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * 逐行校验并应用审校结果（就地修改 context.locales 和翻译记忆）
+ * @param {string[][]} rows - 文件内容，第一行为表头
+ * @param {Object} context - loadContext 的结果
+ * @returns {{updated: Object[], flagged: number, unchanged: number, issues: Object[]}}
+ *   updated 为修改的译文 { key, language, from, to }，unchanged 为审校通过且无需修改的条数，issues 为问题 { row, rule, key, language, detail }
+ */
+function applyReviewedRows(rows, context) {
+  const { languages, locales, memory } = context;
+  const [header = [], ...body] = rows;
+  const columns = {};
+  header.forEach((name, index) => {
+    columns[name.trim().toLowerCase()] = index;
+  });
+  const missing = REQUIRED_COLUMNS.filter(name => columns[name] === undefined);
+  if (missing.length > 0) {
+    throw new ConfigError(`缺少列: ${missing.join(', ')}（表头应为 ${COLUMNS.join(', ')}）`);
+  }
+
+  const knownKeys = new Set(context.keys);
+  const seen = new Map(); // key + 语言 -> 第一次出现的译文
+  const updated = [];
+  const issues = [];
+  let flagged = 0;
+  let unchanged = 0;
+
+  body.forEach((fields, index) => {
+    const cell = name => (columns[name] === undefined ? '' : fields[columns[name]] || '');
+    const row = index + 2;
+    const key = cell('key').trim();
+    const language = cell('language').trim();
+    const status = cell('status').trim().toLowerCase() || 'machine';
+    const translation = cell('translation');
+    const report = (rule, detail) => issues.push({ row, rule, key, language, detail });
+
+    if (!knownKeys.has(key)) {
+      report('unknown-key');
+      return;
+    }
+    if (!languages.includes(language)) {
+      report('unknown-language', `目标语言为 ${languages.join(', ')}`);
+      return;
+    }
+    if (!REVIEW_STATUSES.includes(status)) {
+      report('invalid-status', status);
+      return;
+    }
+
+    const seenKey = JSON.stringify([key, language]);
+    if (seen.has(seenKey)) {
+      if (seen.get(seenKey) !== `${status}\n${translation}`) {
+        report('duplicate');
+      }
+      return;
+    }
+    seen.set(seenKey, `${status}\n${translation}`);
+
+    if (status === 'machine') {
+      return;
+    }
+
+    const sourceText = context.getSourceText(key);
+    const current = locales[language][key];
+
+    if (status === 'needs-work') {
+      // 只记录状态，映射中的译文保持不变，之后可以重新翻译
+      if (sourceText) {
+        memory.remove(sourceText, language, REVIEWED_PROVIDER);
+        memory.record(sourceText, translation.trim() || current || sourceText, language, NEEDS_WORK_PROVIDER);
+      }
+      flagged++;
+      return;
+    }
+
+    if (!translation.trim()) {
+      report('empty');
+      return;
+    }
+    if (sourceText && !hasSamePlaceholders(sourceText, translation)) {
+      report('placeholder', translation);
+      return;
+    }
+
+    // 导出后映射中的译文被修改（既不是导出时的译文，也不是已审校或标记的译文）时不覆盖
+    if (getTranslationStatus(current) === 'translated' && current !== translation) {
+      const known = [cell('machine_translation')];
+      if (sourceText) {
+        [REVIEWED_PROVIDER, NEEDS_WORK_PROVIDER].forEach(provider => {
+          const entry = memory.lookup(sourceText, language, provider);
+          known.push(entry && entry.target);
+        });
+      }
+      if (!known.includes(current)) {
+        report('conflict', `映射中为 ${current}，审校为 ${translation}`);
+        return;
+      }
+    }
+
+    if (current === translation) {
+      unchanged++;
+    } else {
+      updated.push({ key, language, from: current, to: translation });
+      locales[language][key] = translation;
+    }
+    if (sourceText) {
+      memory.remove(sourceText, language, NEEDS_WORK_PROVIDER);
+      memory.record(sourceText, translation, language, REVIEWED_PROVIDER);
+    }
+  });
+
+  return { updated, flagged, unchanged, issues };
+}
+
+/**
+ * 读取映射文件和翻译记忆
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Object>} { languages, locales, sourceLocale, keys, memory, getSourceText }
+ *   locales 为各语言的映射 { 语言: { key: 译文 } }，keyed 策略时 sourceLocale 为 key 文件 { key: 中文 }
+ */
+async function loadContext(options) {
+  const { source, target, output, combined, format = 'json' } = options;
+  if (getFormat(format).template) {
+    throw new ConfigError(`输出格式 ${format} 不含译文，无法导出或导入审校文件`);
+  }
+  if (options.translationMemory === false) {
+    throw new ConfigError('审校状态保存在翻译记忆中，不能关闭翻译记忆');
+  }
+  const languages = parseLanguages(options.to);
+  const keyed = parseKeyStrategy(options.keyStrategy) !== 'text';
+
+  const outputPath = resolveOutputPath(path.join(target || source, output), format);
+  const locales = await loadExistingLocales(outputPath, languages, combined, format);
+  const sourceLocale = keyed
+    ? (await loadExistingLocales(outputPath, [SOURCE_LOCALE], combined, format))[SOURCE_LOCALE]
+    : null;
+
+  // 所有 key，按 key 文件或各语言映射中的顺序
+  const keys = [...new Set([
+    ...Object.keys(sourceLocale || {}),
+    ...languages.flatMap(language => Object.keys(locales[language]))
+  ])];
+  if (keys.length === 0) {
+    throw new ConfigError(`映射文件为空或不存在: ${outputPath}`);
+  }
+
+  const memory = new TranslationMemory(resolveMemoryPath(source, options.translationMemory));
+  try {
+    await memory.load();
+  } catch (error) {
+    throw new TranslateError(`翻译记忆读取失败: ${memory.filePath}（${error.message}）`, { cause: error });
+  }
+
+  const getSourceText = key => (sourceLocale ? (typeof sourceLocale[key] === 'string' ? sourceLocale[key] : '') : key);
+  return { languages, locales, sourceLocale, keys, memory, getSourceText };
+}
+
+/**
+ * 获取译文的审校状态
+ * @param {TranslationMemory} memory - 翻译记忆
+ * @param {string} sourceText - 原文
+ * @param {string} language - 目标语言代码
+ * @param {string} translation - 当前译文（未翻译时为空字符串）
+ * @returns {string} reviewed（审校通过且之后未被修改）、needs-work 或 machine
+ */
+function getReviewStatus(memory, sourceText, language, translation) {
+  if (!sourceText) {
+    return 'machine';
+  }
+  const reviewed = memory.lookup(sourceText, language, REVIEWED_PROVIDER);
+  if (reviewed && translation && reviewed.target === translation) {
+    return 'reviewed';
+  }
+  return memory.lookup(sourceText, language, NEEDS_WORK_PROVIDER) ? 'needs-work' : 'machine';
+}
+
+/**
+ * 按 原文 + 目标语言 索引翻译记忆中最新的机器译文（不含审校状态）
+ * @param {TranslationMemory} memory - 翻译记忆
+ * @returns {Map<string, string>} JSON.stringify([原文, 语言]) -> 译文
+ */
+function indexMachineTranslations(memory) {
+  const latest = new Map();
+  for (const entry of memory.entries.values()) {
+    if (entry.provider === REVIEWED_PROVIDER || entry.provider === NEEDS_WORK_PROVIDER) {
+      continue;
+    }
+    const key = JSON.stringify([entry.source, entry.language]);
+    const previous = latest.get(key);
+    if (!previous || String(entry.createdAt || '') > String(previous.createdAt || '')) {
+      latest.set(key, entry);
+    }
+  }
+  return new Map([...latest].map(([key, entry]) => [key, entry.target]));
+}
+
+/**
+ * 读取 CSV 或 XLSX 文件的内容
+ * @param {string} file - 文件路径
+ * @param {string} fileType - csv 或 xlsx
+ * @returns {Promise<string[][]>} 行数组
+ */
+async function readRows(file, fileType) {
+  try {
+    return fileType === 'xlsx'
+      ? readXlsx(await fs.readFile(file))
+      : parseCsv(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`文件读取失败: ${file}（${error.message}）`, { cause: error });
+  }
+}
+
+/**
+ * 按扩展名判断文件类型
+ * @param {string} file - 文件路径
+ * @returns {string} csv 或 xlsx
+ * @throws {ConfigError} 不支持的扩展名
+ */
+function getFileType(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  if (extension === '.xlsx') {
+    return 'xlsx';
+  }
+  throw new ConfigError(`不支持的文件类型: ${file}（只支持 .csv 和 .xlsx）`);
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  exportForReview,
+  importReviewed,
+  applyReviewedRows
+};
@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+const minimatch = require('minimatch');
+const { SyntaxKind } = require('ts-morph');
+
+// 源目录中的忽略文件，每行一个 glob
+const IGNORE_FILE = '.pickcnignore';
+
+/**
+ * 忽略指令（写在 //、/* *\/ 或 <!-- --> 注释中）
+ *   pick-cn-ignore-file       忽略整个文件
+ *   pick-cn-ignore-next-line  忽略下一行
+ *   pick-cn-ignore            忽略紧随其后的语句、表达式、属性或 JSX 元素（包括其中嵌套的所有文本）
+ */
+const DIRECTIVES = {
+  file: 'pick-cn-ignore-file',
+  nextLine: 'pick-cn-ignore-next-line',
+  node: 'pick-cn-ignore'
+};
+
+/**
+ * 生成匹配注释中指令的正则（指令后不能紧跟字母、数字或连字符，避免 pick-cn-ignore 匹配到 pick-cn-ignore-file）
+ * @param {string} directive - 指令
+ * @returns {RegExp} 正则
+ */
+function toDirectivePattern(directive) {
+  return new RegExp(`(?:\\/\\/|\\/\\*|<!--)\\s*${directive}(?![\\w-])`);
+}
+
+const FILE_PATTERN = toDirectivePattern(DIRECTIVES.file);
+const NEXT_LINE_PATTERN = toDirectivePattern(DIRECTIVES.nextLine);
+const NODE_PATTERN = toDirectivePattern(DIRECTIVES.node);
+
+/**
+ * 读取源目录中的 .pickcnignore
+ * @param {string} sourcePath - 源目录路径
+ * @returns {Promise<string[]>} glob 数组（已转换为相对于源目录的写法）
+ */
+async function loadIgnorePatterns(sourcePath) {
+  const filePath = path.join(sourcePath, IGNORE_FILE);
+  if (!await fs.pathExists(filePath)) {
+    return [];
+  }
+  const content = await fs.readFile(filePath, 'utf-8');
+  return content.split(/\r?\n/).flatMap(toIgnoreGlobs);
+}
+
+/**
+ * 将 .pickcnignore 的一行转换为 glob（与 .gitignore 的写法一致，不支持 ! 取反）
+ *   # 开头为注释
+ *   不含 / 的规则匹配任意层级，如 __mocks__、*.spec.ts
+ *   以 / 开头的规则相对于源目录，如 /scripts
+ *   匹配到目录时忽略目录中的所有文件
+ * @param {string} line - 一行内容
+ * @returns {string[]} glob 数组
+ */
+function toIgnoreGlobs(line) {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith('#')) {
+    return [];
+  }
+
+  pattern = pattern.replace(/\/+$/, '');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  } else if (!pattern.includes('/')) {
+    pattern = `**/${pattern}`;
+  }
+  return [pattern, `${pattern}/**`];
+}
+
+/**
+ * 判断文件是否被 .pickcnignore 忽略
+ * @param {string} relativePath - 相对于源目录的文件路径
+ * @param {string[]} patterns - glob 数组
+ * @returns {boolean} 是否忽略
+ */
+function isIgnoredFile(relativePath, patterns) {
+  const normalized = relativePath.split(path.sep).join('/');
+  return patterns.some(pattern => minimatch(normalized, pattern, { dot: true }));
+}
+
+/**
+ * 判断文件内容中是否有 pick-cn-ignore-file 指令
+ * @param {string} content - 文件内容
+ * @returns {boolean} 是否忽略整个文件
+ */
+function hasFileDirective(content) {
+  return FILE_PATTERN.test(content);
+}
+
+/**
+ * 获取被 pick-cn-ignore-next-line 忽略的行号
+ * @param {string} content - 文件内容
+ * @returns {Set<number>} 行号（从 1 开始）
+ */
+function getIgnoredLines(content) {
+  const lines = new Set();
+  content.split('\n').forEach((line, index) => {
+    if (NEXT_LINE_PATTERN.test(line)) {
+      lines.add(index + 2);
+    }
+  });
+  return lines;
+}
+
+/**
+ * 获取使节点被忽略的指令：节点或任意一层父节点前有 pick-cn-ignore 注释，
+ * JSX 中前一个子节点为 {/* pick-cn-ignore *\/}，或文本所在行被 pick-cn-ignore-next-line 忽略
+ * @param {Node} node - 包含中文的节点
+ * @param {number} position - 文本在源码中的位置
+ * @param {Set<number>} ignoredLines - 被忽略的行号
+ * @returns {string|null} 指令名称，未被忽略时为 null
+ */
+function getIgnoreDirective(node, position, ignoredLines) {
+  const sourceFile = node.getSourceFile();
+  if (ignoredLines.has(sourceFile.getLineAndColumnAtPos(position).line)) {
+    return DIRECTIVES.nextLine;
+  }
+
+  const text = sourceFile.getFullText();
+  for (let current = node; current && current !== sourceFile; current = current.getParent()) {
+    // 节点前的空白和注释
+    if (NODE_PATTERN.test(text.slice(current.getPos(), current.getStart()))) {
+      return DIRECTIVES.node;
+    }
+    if (isAfterJsxDirective(current)) {
+      return DIRECTIVES.node;
+    }
+  }
+  return null;
+}
+
+/**
+ * 判断 JSX 子节点前是否为 {/* pick-cn-ignore *\/}（跳过只有空白的文本）
+ * @param {Node} node - 节点
+ * @returns {boolean} 是否被忽略
+ */
+function isAfterJsxDirective(node) {
+  const parent = node.getParent();
+  if (!parent || ![SyntaxKind.JsxElement, SyntaxKind.JsxFragment].includes(parent.getKind())) {
+    return false;
+  }
+
+  const children = parent.getJsxChildren();
+  for (let index = children.indexOf(node) - 1; index >= 0; index--) {
+    const sibling = children[index];
+    if (sibling.getKind() === SyntaxKind.JsxText && !sibling.getText().trim()) {
+      continue;
+    }
+    return sibling.getKind() === SyntaxKind.JsxExpression && !sibling.getExpression() && NODE_PATTERN.test(sibling.getText());
+  }
+  return false;
+}
+
+/**
+ * 判断 Vue 模板注释节点是否为 <!-- pick-cn-ignore -->
+ * @param {string} content - 注释内容（不含 <!-- -->）
+ * @returns {boolean} 是否为忽略指令
+ */
+function isNodeDirectiveComment(content) {
+  return NODE_PATTERN.test(`<!--${content}`);
+}
+
+module.exports = {
+  IGNORE_FILE,
+  DIRECTIVES,
+  loadIgnorePatterns,
+  isIgnoredFile,
+  hasFileDirective,
+  getIgnoredLines,
+  getIgnoreDirective,
+  isNodeDirectiveComment
+};
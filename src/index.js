@@ -1,58 +1,111 @@
 const fs = require('fs-extra');
 const path = require('path');
-const glob = require('glob');
-const { Project, SyntaxKind } = require('ts-morph');
-const { TranslationManager } = require('./translators');
+const { TranslationManager, registerTranslator, registerTranslators, resolveTranslator, parseTranslatorChain } = require('./translators');
+const { findSourceFiles } = require('./extractor');
+const { extractChineseFromFiles } = require('./parallel');
+const { compareWithGit, logGitChanges } = require('./changes');
+const { protectPlaceholders, restorePlaceholders, hasSamePlaceholders } = require('./placeholders');
+const { UNTRANSLATED_PLACEHOLDER, getTranslationStatus, diffWithExisting, mergeMappings } = require('./merge');
+const { SOURCE_LOCALE, parseLanguages, resolveOutputPath, loadExistingLocales, writeLocales } = require('./output');
+const { toReference, describeIgnored, writeReferenceReport, writeIgnoredReport } = require('./report');
+const { deduplicateTexts, groupReferences } = require('./dedupe');
+const { REVIEWED_PROVIDER, TranslationMemory, resolveMemoryPath } = require('./memory');
+const { loadGlossary, loadBuiltinGlossary } = require('./glossary');
+const { resolveOptions } = require('./config');
+const { parseKeyStrategy, applyKeyStrategy, toTextLocales } = require('./keys');
+const { createLogger } = require('./logger');
+const { lintMapping, logLintIssues } = require('./lint');
+const { PickCnError, ConfigError, ExtractError, TranslateError, RateLimitError, OutputError } = require('./errors');
+
+// 内置术语表：所有翻译服务都失败时的回退译文，也作为术语提示传给翻译服务
+const BUILTIN_GLOSSARY = loadBuiltinGlossary();
 
 /**
- * 执行中文转英文翻译的主函数
+ * 执行中文转英文翻译的主函数（命令行入口，出错时以退出码 1 结束）
  * @param {Object} options - 配置选项
  * @param {string} options.source - 源目录路径
  * @param {string} options.target - 目标目录路径
  * @param {string} options.output - 输出文件名
- * @param {string} options.translator - 翻译服务
+ * @param {string|string[]} options.translator - 翻译服务，逗号分隔时按顺序回退
  * @param {string} options.apiConfig - API 配置文件路径
+ * @param {boolean} options.merge - 是否与已有映射文件合并
+ * @param {boolean} options.prune - 合并时是否删除源码中已不存在的 key
+ * @param {boolean} options.report - 是否输出引用报告（每个文本的文件、行列号和上下文，以及被忽略的文件和文本）
+ * @param {boolean} options.verbose - 逐条输出被忽略的文件和文本
+ * @param {string|string[]} options.to - 目标语言，如 en,ja,zh-TW（默认 en）
+ * @param {boolean} options.combined - 多语言时是否合并输出为 { 中文: { en, ja } } 的单个文件
+ * @param {string|boolean} options.translationMemory - 翻译记忆文件路径，false 时不使用翻译记忆
+ * @param {string[]} options.include - 包含的 glob（其它提取规则见 isValidChineseText、项目配置文件）
+ * @param {string} options.keyStrategy - key 生成策略：text（中文作为 key）、semantic 或 hash
+ * @param {string} options.format - 输出格式：json、vue-i18n、i18next、po、pot、xliff、properties 或 ts（默认 json）
+ * @param {string|string[]} options.glossary - 术语表文件（.json、.csv、.tbx）
+ * @param {string} options.since - 只扫描相对该 git 引用有变更的文件（隐含 --merge）
+ * @param {boolean} options.staged - 只扫描暂存区中有变更的文件（隐含 --merge）
  */
 async function execute(options) {
   try {
-    const { source, target, output, translator, apiConfig, untranslated } = options;
+    const { source, target, output, translator, untranslated, report, combined, format = 'json' } = options;
+    // 只扫描变更的文件时，映射文件中其它文件的 key 必须保留
+    const scoped = Boolean(options.since || options.staged);
+    const merge = options.merge || scoped;
+    const prune = options.prune && !scoped;
+    const languages = parseLanguages(options.to);
+    const keyStrategy = parseKeyStrategy(options.keyStrategy);
+    const keyed = keyStrategy !== 'text';
     
     console.log(`📂 源目录: ${source}`);
     console.log(`📁 目标目录: ${target || source}`);
-    console.log(`📄 输出文件: ${output}`);
+    console.log(`📄 输出文件: ${output}（格式: ${format}）`);
     console.log(`🌐 翻译模式: ${untranslated ? '未翻译（占位符）' : '已翻译'}`);
     if (!untranslated) {
       console.log(`🌐 翻译服务: ${translator}`);
     }
+    console.log(`🌐 目标语言: ${languages.join(', ')}${combined ? '（合并输出）' : ''}`);
+    if (scoped) {
+      console.log(`🔀 只扫描${options.staged ? '暂存区中' : `相对 ${options.since} `}有变更的文件，与已有映射合并`);
+      if (options.prune) {
+        console.warn('⚠️  只扫描变更的文件时不会删除过期 key，已忽略 --prune');
+      }
+    } else if (merge) {
+      console.log(`🔀 合并模式: 保留已有翻译${prune ? '，删除过期 key' : ''}`);
+    }
+    if (keyed) {
+      console.log(`🔑 key 生成策略: ${keyStrategy}`);
+      if (keyStrategy === 'semantic' && !languages.includes('en')) {
+        console.warn('⚠️  目标语言中没有 en，语义 key 将使用哈希');
+      }
+    }
     
-    // 加载 API 配置（自动查找并合并配置文件）
-    await loadApiConfig(source, apiConfig);
+    const { occurrences, texts, ignored } = await extract(source, options);
     
-    // 查找所有需要处理的文件
-    const files = await findSourceFiles(source);
-    console.log(`🔍 找到 ${files.length} 个文件需要处理`);
+    const outputPath = resolveOutputPath(path.join(target || source, output), format);
     
-    // 提取中文文本
-    const chineseTexts = new Set();
-    for (const file of files) {
-      const texts = await extractChineseFromFile(file);
-      texts.forEach(text => chineseTexts.add(text));
-    }
+    // 以 key 为 key 输出时，读取已有的 key 文件（key -> 中文），沿用已分配的 key
+    const previousKeys = keyed ? (await loadExistingLocales(outputPath, [SOURCE_LOCALE], combined, format))[SOURCE_LOCALE] : {};
     
-    console.log(`📝 初步提取到 ${chineseTexts.size} 个中文文本`);
+    let existing = merge ? await loadExistingLocales(outputPath, languages, combined, format) : null;
+    if (existing && keyed) {
+      existing = toTextLocales(existing, previousKeys);
+    }
     
-    // 进一步去重和清理（处理空格、标点符等差异）
-    const uniqueTexts = deduplicateTexts(Array.from(chineseTexts));
-    console.log(`✨ 去重后剩余 ${uniqueTexts.length} 个唯一中文文本（减少 ${chineseTexts.size - uniqueTexts.length} 个重复项）`);
+    let locales = await translate(texts, { ...options, existing, occurrences, scoped });
+    if (keyed) {
+      locales = applyKeyStrategy(locales, { strategy: keyStrategy, occurrences, previous: previousKeys });
+    }
     
-    // 生成中英文映射 JSON
-    const mapping = await generateMapping(uniqueTexts, translator, !untranslated);
+    // 保存映射文件
+    const outputPaths = await writeOutput(locales, { output: outputPath, combined, format });
     
-    // 保存 JSON 文件
-    const outputPath = path.join(target || source, output);
-    await fs.writeJson(outputPath, mapping, { spaces: 2 });
+    console.log(`✅ 翻译完成！映射文件已保存到: ${outputPaths.join(', ')}`);
     
-    console.log(`✅ 翻译完成！JSON 文件已保存到: ${outputPath}`);
+    // 输出引用报告
+    if (report) {
+      const references = groupReferences(occurrences, texts);
+      const basePath = path.join(target || source, path.basename(output, path.extname(output)));
+      const reportPaths = await writeReferenceReport(references, source, basePath);
+      reportPaths.push(await writeIgnoredReport(ignored, source, basePath));
+      console.log(`📍 引用报告已保存到: ${reportPaths.join(', ')}`);
+    }
     
   } catch (error) {
     console.error('❌ 执行失败:', error.message);
@@ -61,369 +114,261 @@ async function execute(options) {
 }
 
 /**
- * 查找源文件
- * @param {string} sourcePath - 源目录路径
- * @returns {Promise<string[]>} 文件路径数组
+ * 提取中文文本
+ * @param {string|string[]} input - 源目录路径，或要处理的文件路径数组
+ * @param {Object} options - 提取选项（include、exclude 及提取规则，见项目配置文件）
+ * @param {Object} options.logger - 日志对象（默认 console）
+ * @param {boolean} options.quiet - 不输出日志
+ * @param {boolean} options.verbose - 逐条输出被忽略的文件和文本
+ * @param {boolean} options.cache - 为 false 时不使用提取缓存（.pick-cn/extract-cache.json）
+ * @param {number} options.jobs - 提取使用的工作线程数（默认 CPU 核数减一）
+ * @param {string} options.since - 只处理源目录中相对该 git 引用有变更的文件
+ * @param {boolean} options.staged - 只处理源目录中暂存区有变更的文件
+ * @returns {Promise<{files: string[], occurrences: Object[], texts: string[], ignored: Object[], changes: Object}>}
+ *   files 为处理的文件，occurrences 为每次出现的位置（见 extractChineseFromSource），texts 为去重后的文本，
+ *   ignored 为被 .pickcnignore 或忽略指令忽略的文件 { file, reason } 和文本（出现位置加 reason），
+ *   changes 为指定 since 或 staged 时相对基准新增和删除的文本（见 compareWithGit）
+ * @throws {ExtractError} 源目录或文件不存在
  */
-async function findSourceFiles(sourcePath) {
-  const patterns = [
-    '**/*.js',
-    '**/*.jsx',
-    '**/*.ts',
-    '**/*.tsx',
-    '**/*.vue'
-  ];
-  
-  const files = [];
-  for (const pattern of patterns) {
-    // 首先扫描 src 目录（主要代码目录）
-    const srcMatches = glob.sync(path.join(sourcePath, 'src', pattern), {
-      ignore: ['**/node_modules/**', '**/dist/**', '**/*.min.js']
-    });
-    files.push(...srcMatches);
+async function extract(input, options = {}) {
+  const logger = createLogger(options);
+  const ignored = [];
+  let source = process.cwd();
+  let files;
+  
+  if (Array.isArray(input)) {
+    files = input.map(file => path.resolve(file));
+    const missing = [];
+    for (const file of files) {
+      if (!await fs.pathExists(file)) {
+        missing.push(file);
+      }
+    }
+    if (missing.length > 0) {
+      throw new ExtractError(`文件不存在: ${missing.join(', ')}`);
+    }
+  } else {
+    source = input || source;
+    if (!await fs.pathExists(source)) {
+      throw new ExtractError(`源目录不存在: ${source}`);
+    }
     
-    // 如果没有 src 目录或者需要扫描整个目录，则扫描整个指定目录
-    const allMatches = glob.sync(path.join(sourcePath, pattern), {
-      ignore: ['**/node_modules/**', '**/dist/**', '**/*.min.js', '**/src/**'] // 排除 src 目录避免重复
-    });
-    files.push(...allMatches);
+    // 查找所有需要处理的文件（跳过 .pickcnignore 中的文件）
+    files = await findSourceFiles(source, { ...options, ignored });
+    logger.log(`🔍 找到 ${files.length} 个文件需要处理`);
   }
   
-  return files;
-}
-
-/**
- * 检查字符串字面量是否作为 key 使用（对象属性名或枚举成员名）
- * @param {Node} node - 字符串字面量节点
- * @returns {boolean} 是否作为 key 使用
- */
-function isStringLiteralAsKey(node) {
-  const parent = node.getParent();
-  if (!parent) return false;
+  // 提取中文文本（保留每次出现的位置）
+  const occurrences = [];
+  (await extractChineseFromFiles(files, { ...options, logger, source })).forEach(result => {
+    occurrences.push(...result.occurrences);
+    ignored.push(...result.ignored);
+  });
+  logIgnored(ignored, source, options.verbose, logger);
+  const chineseTexts = new Set(occurrences.map(occurrence => occurrence.text));
   
-  const parentKind = parent.getKind();
+  logger.log(`📝 初步提取到 ${chineseTexts.size} 个中文文本`);
   
-  // 检查是否为对象属性的 key
-  if (parentKind === SyntaxKind.PropertyAssignment) {
-    try {
-      // 检查当前节点是否是属性名（而不是属性值）
-      const nameNode = parent.getNameNode();
-      return nameNode === node;
-    } catch (e) {
-      // 如果获取名称节点失败，检查节点位置
-      const children = parent.getChildren();
-      return children.length > 0 && children[0] === node;
-    }
-  }
+  // 进一步去重和清理（处理空格、标点符等差异）
+  const texts = deduplicateTexts(Array.from(chineseTexts));
+  logger.log(`✨ 去重后剩余 ${texts.length} 个唯一中文文本（减少 ${chineseTexts.size - texts.length} 个重复项）`);
   
-  // 检查是否为枚举成员的 key
-  if (parentKind === SyntaxKind.EnumMember) {
-    try {
-      // 检查当前节点是否是枚举成员名（而不是枚举成员值）
-      const nameNode = parent.getNameNode();
-      return nameNode === node;
-    } catch (e) {
-      // 如果获取名称节点失败，检查节点位置
-      const children = parent.getChildren();
-      return children.length > 0 && children[0] === node;
-    }
+  // 只扫描变更的文件时，列出相对基准新增和删除的中文文本
+  let changes;
+  if (!Array.isArray(input) && (options.since || options.staged)) {
+    changes = await compareWithGit(source, options);
+    logGitChanges(changes, source, logger.log);
   }
   
-  return false;
+  return { files, occurrences, texts, ignored, changes };
 }
 
 /**
- * 检查节点是否在 console 语句中
- * @param {Node} node - AST 节点
- * @returns {boolean} 是否在 console 语句中
+ * 输出被忽略的文件和文本的汇总（verbose 时逐条输出）
+ * @param {Object[]} ignored - 忽略项
+ * @param {string} source - 源目录路径
+ * @param {boolean} verbose - 是否逐条输出
+ * @param {Object} logger - 日志对象
  */
-function isInConsoleStatement(node) {
-  let current = node;
-  let depth = 0;
-  const maxDepth = 3; // 限制检查深度，避免过度向上遍历
-  
-  // 向上检查有限的父节点
-  while (current && depth < maxDepth) {
-    const kind = current.getKind();
-    
-    // 如果是调用表达式，检查是否是 console 调用
-    if (kind === SyntaxKind.CallExpression) {
-      const expression = current.getExpression();
-      
-      // 检查是否是属性访问表达式 (console.xxx)
-      if (expression && expression.getKind() === SyntaxKind.PropertyAccessExpression) {
-        const objectName = expression.getExpression();
-        const propertyName = expression.getName();
-        
-        // 检查对象名是否是 'console' 且属性名是 console 方法
-        if (objectName && objectName.getText().trim() === 'console' &&
-            /^(log|warn|error|info|debug|trace)$/.test(propertyName)) {
-          return true;
-        }
-      }
-    }
-    
-    // 如果是表达式语句，检查其直接子节点是否是 console 调用
-    else if (kind === SyntaxKind.ExpressionStatement) {
-      const expression = current.getExpression();
-      if (expression && expression.getKind() === SyntaxKind.CallExpression) {
-        const callExpression = expression.getExpression();
-        
-        if (callExpression && callExpression.getKind() === SyntaxKind.PropertyAccessExpression) {
-          const objectName = callExpression.getExpression();
-          const propertyName = callExpression.getName();
-          
-          if (objectName && objectName.getText().trim() === 'console' &&
-              /^(log|warn|error|info|debug|trace)$/.test(propertyName)) {
-            return true;
-          }
-        }
-      }
-    }
-    
-    current = current.getParent();
-    depth++;
+function logIgnored(ignored, source, verbose, logger = console) {
+  if (ignored.length === 0) {
+    return;
   }
   
-  return false;
+  const fileCount = ignored.filter(item => item.text === undefined).length;
+  logger.log(`🙈 忽略 ${fileCount} 个文件、${ignored.length - fileCount} 处中文文本${verbose ? '' : '（--verbose 查看明细）'}`);
+  if (verbose) {
+    ignored.forEach(item => logger.log(`   🙈 ${describeIgnored(item, source)}`));
+  }
 }
 
 /**
- * 从文件中提取中文文本（使用 TypeScript AST 遍历）
- * @param {string} filePath - 文件路径
- * @returns {Promise<string[]>} 中文文本数组
+ * 将中文文本翻译为各目标语言
+ * @param {string[]} texts - 中文文本数组
+ * @param {Object} options - 翻译选项
+ * @param {string|string[]} options.to - 目标语言（默认 en）
+ * @param {string|string[]} options.translator - 翻译服务：已注册的名称、模块路径或 npm 包名，逗号分隔时按顺序回退（默认 baidu）
+ * @param {Object} options.translators - 自定义翻译服务 { 名称: 模块路径、npm 包名或 provider }
+ * @param {Object} options.rateLimits - 各翻译服务的调度参数 { 名称: { qps, concurrency, maxRetries } }，覆盖服务的默认值
+ * @param {string|string[]} options.glossary - 术语表文件（.json、.csv、.tbx），逗号分隔的字符串或数组
+ * @param {boolean} options.untranslated - 不翻译，值为 to do translate 占位符
+ * @param {Object} options.existing - 已有映射 { 语言: { 中文: 译文 } }，提供时只翻译新增或未翻译的文本
+ * @param {Object[]} options.occurrences - extract 返回的出现位置（可选，作为代码上下文提供给大模型等翻译服务）
+ * @param {boolean} options.prune - 提供 existing 时，是否删除不在 texts 中的 key
+ * @param {boolean} options.scoped - texts 只来自部分文件（--since、--staged）：existing 中不在 texts 中的 key 不视为过期
+ * @param {string|boolean|TranslationMemory} options.translationMemory - 翻译记忆文件路径或实例，false 时不使用
+ * @param {number} options.maxLengthRatio - 译文检查中译文过长的宽度比例（默认 2，见 lintMapping）
+ * @param {string} options.source - 源目录路径（用于查找 api-config.json 和默认翻译记忆，默认当前目录）
+ * @param {string} options.apiConfig - API 配置文件路径
+ * @param {Object} options.logger - 日志对象（默认 console）
+ * @param {boolean} options.quiet - 不输出日志
+ * @returns {Promise<Object>} 各语言的映射 { 语言: { 中文: 译文 } }
+ * @throws {ConfigError} 翻译服务或术语表无法加载
+ * @throws {TranslateError} 翻译记忆无法读取或保存
  */
-async function extractChineseFromFile(filePath) {
-  try {
-    const chineseTexts = [];
-    
-    // 创建 TypeScript 项目实例
-    const project = new Project({
-      useInMemoryFileSystem: true,
-      compilerOptions: {
-        allowJs: true,
-        allowSyntheticDefaultImports: true,
-        esModuleInterop: true,
-        jsx: 'preserve',
-        target: 'ES2020',
-        module: 'ESNext'
-      }
-    });
+async function translate(texts, options = {}) {
+  const logger = createLogger(options);
+  const { translator = 'baidu', untranslated, existing, prune, scoped } = options;
+  const source = options.source || process.cwd();
+  const languages = parseLanguages(options.to);
+  
+  let translationManager = null;
+  if (!untranslated) {
+    // 注册配置文件中的自定义翻译服务，--translator 也可以直接指定模块路径或 npm 包名
+    registerTranslators(options.translators, source);
+    const services = parseTranslatorChain(translator).map(service => resolveTranslator(service, source));
     
-    // 读取文件内容并添加到项目中
-    const content = await fs.readFile(filePath, 'utf-8');
-    const sourceFile = project.createSourceFile(filePath, content);
+    // 加载 API 配置（自动查找并合并配置文件）
+    const apiConfig = await loadApiConfig(source, options.apiConfig, logger);
     
-    // 遍历 AST 节点，提取字符串字面量中的中文
-    sourceFile.forEachDescendant((node) => {
-      // 检查节点是否在 console 语句中，如果是则跳过
-      if (isInConsoleStatement(node)) {
-        // console.log(`跳过 console 语句中的文本: ${node.getText()}`);
-        return;
-      }
-      
-      // 处理字符串字面量 (StringLiteral)
-      if (node.getKind() === SyntaxKind.StringLiteral) {
-        // 检查是否为对象属性名或枚举成员名（key）
-        if (isStringLiteralAsKey(node)) {
-          return; // 跳过 key，不提取
-        }
-        
-        const text = node.getLiteralValue();
-        if (isValidChineseText(text)) {
-          chineseTexts.push(text);
-        }
-      }
-      
-      // 处理模板字符串 (TemplateExpression)
-      else if (node.getKind() === SyntaxKind.TemplateExpression) {
-        // 获取模板字符串的所有文本部分
-        const templateSpans = node.getTemplateSpans();
-        const head = node.getHead();
-        
-        // 检查头部文本
-        const headText = head.getLiteralValue();
-        if (isValidChineseText(headText)) {
-          chineseTexts.push(headText);
-        }
-        
-        // 检查每个模板片段的文本部分
-        templateSpans.forEach(span => {
-          const literal = span.getLiteral();
-          const spanText = literal.getLiteralValue();
-          if (isValidChineseText(spanText)) {
-            chineseTexts.push(spanText);
-          }
-        });
-      }
-      
-      // 处理无模板字符串 (NoSubstitutionTemplateLiteral)
-      else if (node.getKind() === SyntaxKind.NoSubstitutionTemplateLiteral) {
-        const text = node.getLiteralValue();
-        if (isValidChineseText(text)) {
-          chineseTexts.push(text);
-        }
-      }
-      
-      // 处理 JSX 文本 (JsxText)
-      else if (node.getKind() === SyntaxKind.JsxText) {
-        const text = node.getText().trim();
-        if (isValidChineseText(text)) {
-          chineseTexts.push(text);
-        }
-      }
-      
-      // 处理 JSX 属性中的字符串 (JsxAttribute)
-      else if (node.getKind() === SyntaxKind.JsxAttribute) {
-        const initializer = node.getInitializer();
-        if (initializer && initializer.getKind() === SyntaxKind.StringLiteral) {
-          const text = initializer.getLiteralValue();
-          if (isValidChineseText(text)) {
-            chineseTexts.push(text);
-          }
-        }
-      }
-      
-      // 注意：不再单独处理 PropertyAssignment 和 EnumMember
-      // 因为它们的 value 会被 StringLiteral 处理逻辑捕获
-      // 而 key 会被 isStringLiteralAsKey 过滤掉
-    });
+    // 每个文本在代码中的位置和上下文
+    const references = {};
+    for (const [text, items] of Object.entries(groupReferences(options.occurrences || [], texts))) {
+      references[text] = items.map(occurrence => toReference(occurrence, source));
+    }
     
-    console.log(`📄 ${path.basename(filePath)}: 提取到 ${chineseTexts.length} 个中文文本`);
-    return chineseTexts;
+    // 项目术语表：整句直接使用指定译文，长句中的术语作为提示传给翻译服务并在翻译后检查
+    const glossary = await loadGlossary(options.glossary);
+    if (glossary.size > 0) {
+      logger.log(`📚 术语表: ${glossary.size} 条`);
+    }
     
-  } catch (error) {
-    console.warn(`⚠️  处理文件失败: ${filePath}`, error.message);
-    return [];
+    logger.log('🌐 初始化翻译服务...');
+    translationManager = new TranslationManager({ logger, apiConfig, references, glossary, rateLimits: options.rateLimits });
+    translationManager.setTranslatorChain(services);
+    logger.log(`📡 使用翻译服务: ${services.join(' -> ')}`);
   }
-}
-
-
-
-/**
- * 检查文本是否包含中文
- * @param {string} text - 待检查的文本
- * @returns {boolean} 是否包含中文
- */
-function containsChinese(text) {
-  return /[\u4e00-\u9fff]/.test(text);
-}
-
-/**
- * 智能去重中文文本（处理空格、标点符等细微差异）
- * @param {string[]} texts - 中文文本数组
- * @returns {string[]} 去重后的中文文本数组
- */
-function deduplicateTexts(texts) {
-  const seen = new Map(); // 使用 Map 来存储规范化后的文本和原始文本的映射
-  const result = [];
-  
-  for (const text of texts) {
-    // 规范化文本：去除首尾空格、统一多个空格为一个、去除部分标点符
-    const normalized = text
-      .trim() // 去除首尾空格
-      .replace(/\s+/g, ' ') // 多个空格合并为一个
-      .replace(/[。，；：“”‘’（）、《》]/g, '') // 去除常见中文标点符
-      .toLowerCase(); // 转为小写（对于英文字母）
+  
+  // 加载翻译记忆（--no-translation-memory 时关闭）
+  let memory = null;
+  if (!untranslated && options.translationMemory !== false) {
+    memory = options.translationMemory instanceof TranslationMemory
+      ? options.translationMemory
+      : new TranslationMemory(resolveMemoryPath(source, options.translationMemory));
+    try {
+      await memory.load();
+    } catch (error) {
+      throw new TranslateError(`翻译记忆读取失败: ${memory.filePath}（${error.message}）`, { cause: error });
+    }
+    logger.log(`🧠 翻译记忆: ${memory.filePath}（${memory.size} 条）`);
+  }
+  
+  // 提取和去重只做一次，按目标语言分别生成映射
+  const lintOptions = { maxLengthRatio: options.maxLengthRatio };
+  const locales = {};
+  for (const language of languages) {
+    if (languages.length > 1) {
+      logger.log(`🌐 开始生成 ${language} 映射...`);
+    }
     
-    if (!seen.has(normalized)) {
-      seen.set(normalized, text);
-      result.push(text); // 保留原始文本格式
+    if (existing) {
+      locales[language] = await generateMergedMapping(texts, existing[language] || {}, translationManager, !untranslated, { prune, scoped }, language, memory, logger, lintOptions);
     } else {
-      // 如果发现重复，选择更好的版本（更完整或更常见的格式）
-      const existingText = seen.get(normalized);
-      if (text.length > existingText.length || 
-          (文本质量评分(text) > 文本质量评分(existingText))) {
-        // 更新为更好的版本
-        const index = result.indexOf(existingText);
-        if (index !== -1) {
-          result[index] = text;
-          seen.set(normalized, text);
-        }
-      }
+      locales[language] = await generateMapping(texts, translationManager, !untranslated, language, memory, logger, lintOptions);
     }
   }
   
-  return result;
+  if (memory) {
+    try {
+      await memory.save();
+    } catch (error) {
+      throw new TranslateError(`翻译记忆保存失败: ${memory.filePath}（${error.message}）`, { cause: error });
+    }
+  }
+  
+  return locales;
 }
 
 /**
- * 评估文本质量分数（用于选择更好的重复文本版本）
- * @param {string} text - 文本
- * @returns {number} 质量分数（越高越好）
+ * 写入各语言的映射文件
+ * @param {Object} locales - 各语言的映射 { 语言: { 中文: 译文 } }
+ * @param {Object} options - 输出选项
+ * @param {string} options.output - 输出文件路径（多语言时在扩展名前加上语言代码，扩展名按输出格式修正）
+ * @param {boolean} options.combined - 是否合并输出为单个文件
+ * @param {string} options.format - 输出格式（默认 json）
+ * @returns {Promise<string[]>} 写入的文件路径
+ * @throws {ConfigError} 不支持的输出格式
+ * @throws {OutputError} 文件无法写入
  */
-function 文本质量评分(text) {
-  let score = 0;
-  
-  // 长度加分（但不过度偏向长文本）
-  score += Math.min(text.length, 20);
-  
-  // 完整性加分（包含标点符说明更完整）
-  if (/[。？！]$/.test(text)) score += 5; // 以句号结尾
-  if (/[，、]/.test(text)) score += 2; // 包含逗号
-  
-  // 减分项（不完整的文本）
-  if (text.startsWith('，') || text.startsWith('、')) score -= 3; // 以逗号开头
-  if (text.endsWith('，') || text.endsWith('、')) score -= 1; // 以逗号结尾
-  
-  return score;
+async function writeOutput(locales, options = {}) {
+  const { combined, format = 'json' } = options;
+  const output = resolveOutputPath(options.output || 'Chinese-To-English.json', format);
+  try {
+    await fs.ensureDir(path.dirname(path.resolve(output)));
+    return await writeLocales(locales, output, combined, format);
+  } catch (error) {
+    if (error instanceof PickCnError) {
+      throw error;
+    }
+    throw new OutputError(`映射文件写入失败: ${output}（${error.message}）`, { cause: error });
+  }
 }
 
 /**
- * 验证是否为有效的中文文本（用于翻译）
- * @param {string} text - 待检查的文本
- * @returns {boolean} 是否为有效的中文文本
+ * 与已有映射合并生成映射：沿用已翻译条目，只翻译新增或未翻译的文本
+ * @param {string[]} chineseTexts - 中文文本数组
+ * @param {Object} existing - 已有映射
+ * @param {TranslationManager} translationManager - 翻译服务管理器（不翻译时为 null）
+ * @param {boolean} shouldTranslate - 是否进行翻译
+ * @param {Object} staleOptions - 过期 key 的处理 { prune: 是否删除过期 key, scoped: 只扫描了变更的文件，不查找过期 key }
+ * @param {string} language - 目标语言代码
+ * @param {TranslationMemory} memory - 翻译记忆（可选）
+ * @param {Object} logger - 日志对象
+ * @param {Object} lintOptions - 译文检查选项（见 lintMapping）
+ * @returns {Promise<Object>} 合并后的映射对象
  */
-function isValidChineseText(text) {
-  // 基本检查：必须包含中文
-  if (!containsChinese(text)) {
-    return false;
-  }
-  
-  // 过滤掉空字符串或只有空白字符的文本
-  if (!text.trim()) {
-    return false;
-  }
-  
-  // 过滤掉过长的文本（可能包含代码）
-  if (text.length > 50) {
-    return false;
-  }
+async function generateMergedMapping(chineseTexts, existing, translationManager, shouldTranslate, staleOptions = {}, language = 'en', memory = null, logger = console, lintOptions = {}) {
+  const { prune, scoped } = staleOptions;
+  const diff = diffWithExisting(chineseTexts, existing);
+  const { kept, pending } = diff;
+  // 只扫描变更的文件时，其它文件中的 key 不在本次提取结果中，但并未过期
+  const stale = scoped ? [] : diff.stale;
   
-  // 过滤掉包含特殊代码字符的文本
-  const codePatterns = [
-    /[{}\[\]();]/,  // 代码括号
-    /\\n|\\t/,      // 转义字符
-    /^\s*\/\//,     // 注释
-    /interface|class|function|const|let|var|export|import/i, // 关键字
-    /\w+\s*:\s*\w+/, // 对象属性定义
-  ];
+  logger.log(`🔀 [${language}] 已有映射 ${Object.keys(existing).length} 条，沿用已翻译 ${Object.keys(kept).length} 条，待翻译 ${pending.length} 条`);
   
-  for (const pattern of codePatterns) {
-    if (pattern.test(text)) {
-      return false;
+  if (stale.length > 0) {
+    logger.log(`🗑️  [${language}] 发现 ${stale.length} 个源码中已不存在的 key:`);
+    stale.forEach(key => logger.log(`   - ${key}`));
+    if (!prune) {
+      logger.log('💡 这些 key 已保留，使用 --prune 可将其删除');
     }
   }
   
-  // 过滤掉纯数字或主要是数字的文本
-  if (/^[\d\s.,，。]+$/.test(text)) {
-    return false;
-  }
-  
-  // 过滤掉只包含标点符号的文本
-  if (/^[\s\p{P}]+$/u.test(text)) {
-    return false;
-  }
+  const generated = pending.length > 0
+    ? await generateMapping(pending, translationManager, shouldTranslate, language, memory, logger, lintOptions)
+    : {};
   
-  return true;
+  return mergeMappings(existing, generated, stale, prune);
 }
 
 /**
  * 加载 API 配置文件
  * @param {string} sourcePath - 项目源目录路径
  * @param {string} customConfigPath - 自定义配置文件路径（可选）
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<Object>} 合并后的 API 配置 { 服务名称: 凭证 }
  */
-async function loadApiConfig(sourcePath, customConfigPath) {
+async function loadApiConfig(sourcePath, customConfigPath, logger = console) {
   const configs = [];
   
   try {
@@ -431,7 +376,7 @@ async function loadApiConfig(sourcePath, customConfigPath) {
     if (customConfigPath && await fs.pathExists(customConfigPath)) {
       const customConfig = await fs.readJson(customConfigPath);
       configs.push(customConfig);
-      console.log(`📄 加载自定义配置: ${customConfigPath}`);
+      logger.log(`📄 加载自定义配置: ${customConfigPath}`);
     }
     
     // 2. 查找项目目录下的 api-config.json
@@ -439,7 +384,7 @@ async function loadApiConfig(sourcePath, customConfigPath) {
     if (await fs.pathExists(projectConfigPath)) {
       const projectConfig = await fs.readJson(projectConfigPath);
       configs.push(projectConfig);
-      console.log(`📄 加载项目配置: ${projectConfigPath}`);
+      logger.log(`📄 加载项目配置: ${projectConfigPath}`);
     }
     
     // 3. 查找工具目录下的 api-config.json
@@ -447,112 +392,270 @@ async function loadApiConfig(sourcePath, customConfigPath) {
     if (await fs.pathExists(toolConfigPath)) {
       const toolConfig = await fs.readJson(toolConfigPath);
       configs.push(toolConfig);
-      console.log(`📄 加载工具配置: ${toolConfigPath}`);
+      logger.log(`📄 加载工具配置: ${toolConfigPath}`);
     }
     
     if (configs.length === 0) {
-      console.warn('⚠️  未找到任何 API 配置文件');
-      return;
+      logger.warn('⚠️  未找到任何 API 配置文件');
+      return {};
     }
     
-    // 4. 合并所有配置（后面的配置会覆盖前面的）
+    // 4. 合并所有配置（后面的配置会覆盖前面的），各翻译服务按名称读取自己的凭证
     const mergedConfig = Object.assign({}, ...configs);
     
-    // 5. 设置环境变量
-    if (mergedConfig.baidu) {
-      process.env.BAIDU_TRANSLATE_APP_ID = mergedConfig.baidu.appId;
-      process.env.BAIDU_TRANSLATE_SECRET_KEY = mergedConfig.baidu.secretKey;
-    }
-    
-    if (mergedConfig.youdao) {
-      process.env.YOUDAO_TRANSLATE_APP_KEY = mergedConfig.youdao.appKey;
-      process.env.YOUDAO_TRANSLATE_APP_SECRET = mergedConfig.youdao.appSecret;
-    }
-    
-    if (mergedConfig.google) {
-      process.env.GOOGLE_TRANSLATE_API_KEY = mergedConfig.google.apiKey;
-    }
-    
-    console.log('✅ API 配置加载成功，已合并 ' + configs.length + ' 个配置文件');
+    logger.log('✅ API 配置加载成功，已合并 ' + configs.length + ' 个配置文件');
+    return mergedConfig;
     
   } catch (error) {
-    console.warn('⚠️  API 配置加载失败:', error.message);
+    logger.warn('⚠️  API 配置加载失败:', error.message);
+    return {};
   }
 }
 
 /**
- * 生成中英文映射
+ * 生成中文到目标语言的映射
  * @param {string[]} chineseTexts - 中文文本数组
- * @param {string} translatorService - 翻译服务名称
+ * @param {TranslationManager} translationManager - 翻译服务管理器（不翻译时为 null）
  * @param {boolean} shouldTranslate - 是否进行翻译（false时使用占位符）
- * @returns {Promise<Object>} 中英文映射对象
+ * @param {string} language - 目标语言代码（默认 en）
+ * @param {TranslationMemory} memory - 翻译记忆（可选）
+ * @param {Object} logger - 日志对象
+ * @param {Object} lintOptions - 译文检查选项（见 lintMapping）
+ * @returns {Promise<Object>} 映射对象
  */
-async function generateMapping(chineseTexts, translatorService = 'baidu', shouldTranslate = true) {
+async function generateMapping(chineseTexts, translationManager, shouldTranslate = true, language = 'en', memory = null, logger = console, lintOptions = {}) {
   // 如果不需要翻译，直接返回占位符映射
   if (!shouldTranslate) {
-    console.log('📝 生成未翻译映射（使用占位符）...');
+    logger.log('📝 生成未翻译映射（使用占位符）...');
     const mapping = {};
     for (const chineseText of chineseTexts) {
-      mapping[chineseText] = 'to do translate';
-      console.log(`📝 ${chineseText} -> to do translate`);
+      mapping[chineseText] = UNTRANSLATED_PLACEHOLDER;
+      logger.log(`📝 ${chineseText} -> ${UNTRANSLATED_PLACEHOLDER}`);
     }
     return mapping;
   }
   
-  console.log('🌐 初始化翻译服务...');
+  const mapping = {};
+  const sources = {}; // 每条译文的来源：翻译服务名称、reviewed、memory、glossary、dictionary 或 placeholder
+  const { glossary } = translationManager;
   
-  const translationManager = new TranslationManager();
+  // 人工审校通过的译文（pick-cn import 导入）优先，不会被术语表或机器翻译覆盖
+  let pendingTexts = [];
+  for (const chineseText of chineseTexts) {
+    const reviewed = memory && memory.lookup(chineseText, language, REVIEWED_PROVIDER);
+    if (reviewed) {
+      mapping[chineseText] = reviewed.target;
+      sources[chineseText] = 'reviewed';
+    } else {
+      pendingTexts.push(chineseText);
+    }
+  }
   
-  // 设置翻译服务
-  try {
-    translationManager.setTranslator(translatorService);
-    console.log(`📡 使用翻译服务: ${translatorService}`);
-  } catch (error) {
-    console.warn(`⚠️  翻译服务设置失败: ${error.message}，使用默认服务`);
+  // 术语表中的整句直接使用指定译文，不查翻译记忆也不请求 API
+  const glossaryTexts = pendingTexts;
+  pendingTexts = [];
+  for (const chineseText of glossaryTexts) {
+    const translation = glossary.lookup(chineseText, language);
+    if (translation) {
+      mapping[chineseText] = translation;
+      sources[chineseText] = 'glossary';
+      logger.log(`📚 术语表: ${chineseText} -> ${translation}`);
+    } else {
+      pendingTexts.push(chineseText);
+    }
   }
   
-  // 尝试使用第三方翻译 API 进行批量翻译
-  try {
-    console.log('📡 使用第三方翻译 API 进行批量翻译...');
-    const apiTranslations = await translationManager.batchTranslate(chineseTexts);
-    
-    const mapping = {};
-    for (const chineseText of chineseTexts) {
-      const apiTranslation = apiTranslations[chineseText];
-      
-      if (apiTranslation) {
-        mapping[chineseText] = apiTranslation;
-        console.log(`✅ API翻译: ${chineseText} -> ${apiTranslation}`);
+  // 其次使用翻译记忆中的历史译文（按翻译服务链的顺序查找），只把未命中的文本发送给翻译 API
+  if (memory) {
+    const memoryTexts = pendingTexts;
+    pendingTexts = [];
+    for (const chineseText of memoryTexts) {
+      const entry = lookupMemory(memory, chineseText, language, translationManager.chain);
+      if (entry) {
+        mapping[chineseText] = entry.target;
+        sources[chineseText] = 'memory';
       } else {
-        // API 翻译失败，使用内置词典或占位符
-        const fallbackTranslation = await translateText(chineseText);
-        mapping[chineseText] = fallbackTranslation;
+        pendingTexts.push(chineseText);
       }
     }
+    logger.log(`🧠 翻译记忆命中 ${memoryTexts.length - pendingTexts.length} 条，需要请求 API ${pendingTexts.length} 条`);
+  }
+  
+  // 按翻译服务链依次尝试：失败或返回空译文的文本交给下一个服务
+  for (const [index, provider] of translationManager.chain.entries()) {
+    if (pendingTexts.length === 0) {
+      break;
+    }
     
-    return mapping;
+    if (index === 0) {
+      logger.log('📡 使用第三方翻译 API 进行批量翻译...');
+    } else {
+      logger.log(`🔁 ${pendingTexts.length} 个文本改用 ${provider} 翻译...`);
+    }
+    translationManager.setTranslator(provider);
+    pendingTexts = await translateWithProvider(pendingTexts, translationManager, language, memory, mapping, sources, logger);
+  }
+  
+  // 所有翻译服务都失败的文本使用内置词典或占位符
+  for (const chineseText of pendingTexts) {
+    mapping[chineseText] = await translateText(chineseText, language, logger);
+    sources[chineseText] = getTranslationStatus(mapping[chineseText]) === 'placeholder' ? 'placeholder' : 'dictionary';
+  }
+  
+  logTranslationSources(sources, language, logger);
+  checkTranslations(mapping, sources, glossary, language, lintOptions, logger);
+  return orderMapping(mapping, chineseTexts);
+}
+
+/**
+ * 使用当前翻译服务批量翻译，成功的译文写入 mapping 并记录来源
+ * @param {string[]} chineseTexts - 中文文本数组
+ * @param {TranslationManager} translationManager - 翻译服务管理器
+ * @param {string} language - 目标语言代码
+ * @param {TranslationMemory} memory - 翻译记忆（可选）
+ * @param {Object} mapping - 映射对象（就地写入）
+ * @param {Object} sources - 译文来源（就地写入）
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<string[]>} 未能翻译的文本
+ */
+async function translateWithProvider(chineseTexts, translationManager, language, memory, mapping, sources, logger = console) {
+  const provider = translationManager.currentTranslator;
+  
+  // 命名占位符替换为编号占位符后再发送，避免 {userName} 之类的名称被翻译
+  const protectedTexts = chineseTexts.map(chineseText => protectPlaceholders(chineseText));
+  
+  // 翻译上下文：代码中的引用和术语（项目术语表优先于内置术语表，按发送的文本索引）
+  const context = {
+    references: {},
+    glossary: { ...BUILTIN_GLOSSARY.getTerms(language), ...translationManager.glossary.getTerms(language) }
+  };
+  protectedTexts.forEach(({ text }, index) => {
+    context.references[text] = translationManager.references[chineseTexts[index]] || [];
+  });
+  
+  let apiTranslations;
+  try {
+    apiTranslations = await translationManager.batchTranslate(protectedTexts.map(item => item.text), language, context);
   } catch (error) {
-    console.warn('⚠️  第三方翻译 API 不可用，使用内置翻译方案:', error.message);
-    
-    // 如果第三方 API 不可用，回退到原有的翻译逻辑
-    const mapping = {};
-    for (const chineseText of chineseTexts) {
-      const englishText = await translateText(chineseText);
-      mapping[chineseText] = englishText;
+    logger.warn(`⚠️  翻译服务 ${provider} 不可用:`, error.message);
+    return chineseTexts;
+  }
+  
+  const failed = [];
+  for (const [index, chineseText] of chineseTexts.entries()) {
+    const { text, names } = protectedTexts[index];
+    let apiTranslation = apiTranslations[text];
+    
+    if (apiTranslation) {
+      apiTranslation = restorePlaceholders(apiTranslation, names);
+      if (!hasSamePlaceholders(chineseText, apiTranslation)) {
+        logger.warn(`⚠️  译文占位符不完整: ${chineseText} -> ${apiTranslation}`);
+        apiTranslation = null;
+      }
     }
     
-    return mapping;
+    if (apiTranslation) {
+      mapping[chineseText] = apiTranslation;
+      sources[chineseText] = provider;
+      logger.log(`✅ API翻译: ${chineseText} -> ${apiTranslation}`);
+      if (memory) {
+        memory.record(chineseText, apiTranslation, language, provider);
+      }
+    } else {
+      failed.push(chineseText);
+    }
   }
+  
+  return failed;
+}
+
+/**
+ * 按翻译服务链的顺序查找翻译记忆
+ * @param {TranslationMemory} memory - 翻译记忆
+ * @param {string} chineseText - 中文文本
+ * @param {string} language - 目标语言代码
+ * @param {string[]} chain - 翻译服务链
+ * @returns {Object|null} 翻译记忆条目
+ */
+function lookupMemory(memory, chineseText, language, chain) {
+  for (const provider of chain) {
+    const entry = memory.lookup(chineseText, language, provider);
+    if (entry) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * 输出译文来源汇总，并列出使用占位符的文本
+ * @param {Object} sources - 译文来源 { 中文: 来源 }
+ * @param {string} language - 目标语言代码
+ * @param {Object} logger - 日志对象
+ */
+function logTranslationSources(sources, language, logger = console) {
+  const labels = { reviewed: '人工审校', memory: '翻译记忆', glossary: '术语表', dictionary: '内置词典', placeholder: '占位符' };
+  const counts = {};
+  for (const source of Object.values(sources)) {
+    counts[source] = (counts[source] || 0) + 1;
+  }
+  
+  const summary = Object.entries(counts).map(([source, count]) => `${labels[source] || source} ${count} 条`);
+  if (summary.length > 0) {
+    logger.log(`📊 [${language}] 译文来源: ${summary.join('、')}`);
+  }
+  
+  const placeholders = Object.keys(sources).filter(text => sources[text] === 'placeholder');
+  if (placeholders.length > 0) {
+    logger.warn(`⚠️  [${language}] ${placeholders.length} 个文本所有翻译服务都未能翻译，已使用占位符: ${placeholders.join('、')}`);
+  }
+}
+
+/**
+ * 检查翻译服务和翻译记忆的译文质量（占位符、残留中文、长度、标点、HTML 标签、术语表译法），有问题时输出警告
+ * 人工审校、术语表整句、内置词典和占位符的译文不检查
+ * @param {Object} mapping - 映射对象
+ * @param {Object} sources - 译文来源 { 中文: 来源 }
+ * @param {Glossary} glossary - 项目术语表
+ * @param {string} language - 目标语言代码
+ * @param {Object} lintOptions - 译文检查选项（见 lintMapping）
+ * @param {Object} logger - 日志对象
+ */
+function checkTranslations(mapping, sources, glossary, language, lintOptions = {}, logger = console) {
+  const skipped = ['reviewed', 'glossary', 'dictionary', 'placeholder'];
+  const checked = {};
+  for (const [chineseText, source] of Object.entries(sources)) {
+    if (!skipped.includes(source)) {
+      checked[chineseText] = mapping[chineseText];
+    }
+  }
+  logLintIssues(lintMapping(checked, { ...lintOptions, language, glossary }), logger);
+}
+
+/**
+ * 按原文本顺序排列映射（翻译记忆命中的条目与 API 翻译的条目混合后保持原顺序）
+ * @param {Object} mapping - 映射对象
+ * @param {string[]} chineseTexts - 中文文本数组
+ * @returns {Object} 排序后的映射对象
+ */
+function orderMapping(mapping, chineseTexts) {
+  const ordered = {};
+  for (const chineseText of chineseTexts) {
+    ordered[chineseText] = mapping[chineseText];
+  }
+  return ordered;
 }
 
 /**
- * 翻译文本 - 将中文翻译为英文
+ * 翻译文本 - API 批量翻译失败时的回退方案
  * @param {string} chineseText - 中文文本
- * @returns {Promise<string>} 英文文本
+ * @param {string} language - 目标语言代码
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<string>} 译文
  */
-async function translateText(chineseText) {
-  // 首先尝试从内置词典翻译
-  const translation = getBuiltinTranslation(chineseText);
+async function translateText(chineseText, language = 'en', logger = console) {
+  // 首先尝试从内置术语表翻译（内置术语表只有英文）
+  const translation = BUILTIN_GLOSSARY.lookup(chineseText, language);
   if (translation) {
     return translation;
   }
@@ -564,134 +667,15 @@ async function translateText(chineseText) {
       return onlineTranslation;
     }
   } catch (error) {
-    console.warn(`⚠️  在线翻译失败: ${chineseText}`, error.message);
+    logger.warn(`⚠️  在线翻译失败: ${chineseText}`, error.message);
   }
   
   // 如果都失败了，返回格式化的占位符
   const placeholder = generatePlaceholder(chineseText);
-  console.log(`📝 使用占位符: ${chineseText} -> ${placeholder}`);
+  logger.log(`📝 使用占位符: ${chineseText} -> ${placeholder}`);
   return placeholder;
 }
 
-/**
- * 内置中英文词典
- * @param {string} chineseText - 中文文本
- * @returns {string|null} 英文翻译或 null
- */
-function getBuiltinTranslation(chineseText) {
-  const dictionary = {
-    // 数据统计相关
-    '总次数': 'Total Count',
-    '总和': 'Sum',
-    '平均值': 'Average',
-    '最大值': 'Maximum',
-    '最小值': 'Minimum',
-    
-    // 订单相关
-    '订单数量': 'Order Count',
-    '订单总商品数量': 'Total Product Count',
-    '订单实付金额': 'Order Paid Amount',
-    '订单总商品价格': 'Total Product Price',
-    '订单商品数量': 'Order Product Count',
-    '提交订单': 'Submit Order',
-    '订单详情': 'Order Details',
-    
-    // 操作符相关
-    '等于': 'Equal',
-    '不等于': 'Not Equal',
-    '包含': 'Contains',
-    '不包含': 'Not Contains',
-    '有值': 'Has Value',
-    '没值': 'No Value',
-    '小于': 'Less Than',
-    '大于': 'Greater Than',
-    '小于等于': 'Less Than or Equal',
-    '大于等于': 'Greater Than or Equal',
-    '区间': 'Range',
-    
-    // 布尔值
-    '为真': 'True',
-    '为假': 'False',
-    
-    // 商品相关
-    '优惠金额': 'Discount Amount',
-    '商品价格': 'Product Price',
-    '商品数量': 'Product Count',
-    '实付金额': 'Paid Amount',
-    
-    // 性别相关
-    '性别': 'Gender',
-    '男性': 'Male',
-    '女性': 'Female',
-    
-    // 平台相关
-    '有赞': 'Youzan',
-    '淘宝': 'Taobao',
-    
-    // 渠道相关
-    '注册渠道': 'Registration Channel',
-    '好友类别': 'Friend Category',
-    '用户行为事件': 'User Behavior Event',
-    
-    // 行为相关
-    '做过': 'Done',
-    '未做过': 'Not Done',
-    '已做过': 'Already Done',
-    
-    // 通用
-    '上传失败': 'Upload Failed',
-    '删除': 'Delete',
-    '编辑': 'Edit',
-    '保存': 'Save',
-    '取消': 'Cancel',
-    '确认': 'Confirm',
-    '提交': 'Submit',
-    '重置': 'Reset',
-    '搜索': 'Search',
-    '查询': 'Query',
-    '添加': 'Add',
-    '新增': 'Add',
-    '修改': 'Modify',
-    '更新': 'Update',
-    '刷新': 'Refresh',
-    '加载': 'Load',
-    '导入': 'Import',
-    '导出': 'Export',
-    '下载': 'Download',
-    '上传': 'Upload',
-    '复制': 'Copy',
-    '粘贴': 'Paste',
-    '剪切': 'Cut',
-    '全选': 'Select All',
-    '清空': 'Clear',
-    '返回': 'Back',
-    '下一步': 'Next',
-    '上一步': 'Previous',
-    '完成': 'Complete',
-    '开始': 'Start',
-    '结束': 'End',
-    '暂停': 'Pause',
-    '继续': 'Continue',
-    '停止': 'Stop',
-    '重新开始': 'Restart',
-    '重试': 'Retry',
-    '跳过': 'Skip',
-    '忽略': 'Ignore',
-    '关闭': 'Close',
-    '打开': 'Open',
-    '展开': 'Expand',
-    '收起': 'Collapse',
-    '显示': 'Show',
-    '隐藏': 'Hide',
-    '启用': 'Enable',
-    '禁用': 'Disable',
-    '激活': 'Activate',
-    '停用': 'Deactivate',
-  };
-  
-  return dictionary[chineseText] || null;
-}
-
 /**
  * 使用在线翻译 API 翻译文本
  * @param {string} chineseText - 中文文本
@@ -720,5 +704,19 @@ function generatePlaceholder(chineseText) {
 }
 
 module.exports = {
-  execute
+  execute,
+  extract,
+  translate,
+  writeOutput,
+  lintMapping,
+  applyKeyStrategy,
+  registerTranslator,
+  resolveOptions,
+  TranslationMemory,
+  PickCnError,
+  ConfigError,
+  ExtractError,
+  TranslateError,
+  RateLimitError,
+  OutputError
 };
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const path = require('path');
+const { stripPlaceholders } = require('./placeholders');
+const { isTranslated } = require('./merge');
+const { ConfigError } = require('./errors');
+const { groupReferences } = require('./dedupe');
+const { SOURCE_LOCALE } = require('./output');
+
+// 支持的 key 生成策略：text 直接使用中文，semantic 根据英文译文和文件名生成，hash 使用内容哈希
+const KEY_STRATEGIES = ['text', 'semantic', 'hash'];
+
+// 出现在多个文件中的文本使用的命名空间
+const COMMON_NAMESPACE = 'common';
+
+// 语义 key 最多取英文译文的前几个单词
+const MAX_KEY_WORDS = 5;
+
+// 哈希 key 的默认长度，冲突时逐步加长
+const HASH_LENGTH = 8;
+
+/**
+ * 校验 key 生成策略
+ * @param {string} strategy - key 生成策略
+ * @returns {string} key 生成策略
+ */
+function parseKeyStrategy(strategy = 'text') {
+  if (!KEY_STRATEGIES.includes(strategy)) {
+    throw new ConfigError(`不支持的 key 生成策略: ${strategy}（可选 ${KEY_STRATEGIES.join('、')}）`);
+  }
+  return strategy;
+}
+
+/**
+ * 为中文文本分配 key
+ * 已有 key 文件中的 key 优先沿用，新文本按策略生成，重复的 key 追加序号
+ * @param {string[]} texts - 中文文本数组
+ * @param {Object} options - 选项
+ * @param {string} options.strategy - key 生成策略：semantic 或 hash
+ * @param {Object} options.english - 英文映射 { 中文: 英文 }（semantic 策略使用，缺少英文译文时回退为哈希）
+ * @param {Object} options.references - 引用 { 中文: 出现位置数组 }（semantic 策略用于生成命名空间）
+ * @param {Object} options.previous - 已有的 key 文件 { key: 中文 }
+ * @returns {Object} key 映射 { 中文: key }
+ */
+function assignKeys(texts, options = {}) {
+  const { strategy = 'semantic', english = {}, references = {}, previous = {} } = options;
+  const current = new Set(texts);
+  const keys = {};
+  const used = new Set();
+
+  // 沿用已有 key，保证源码中的文本不变时 key 不变
+  for (const [key, text] of Object.entries(previous)) {
+    if (current.has(text) && !keys[text] && !used.has(key)) {
+      keys[text] = key;
+      used.add(key);
+    }
+  }
+
+  texts.forEach(text => {
+    if (keys[text]) {
+      return;
+    }
+
+    const key = strategy === 'semantic'
+      ? uniqueSemanticKey(text, english[text], getNamespace(references[text] || []), used)
+      : uniqueHashKey(text, '', used);
+
+    keys[text] = key;
+    used.add(key);
+  });
+
+  // 按文本顺序返回，key 文件与各语言文件的顺序一致
+  const ordered = {};
+  texts.forEach(text => {
+    ordered[text] = keys[text];
+  });
+  return ordered;
+}
+
+/**
+ * 按 key 生成策略转换各语言的映射，并生成源语言的 key 文件
+ * @param {Object} locales - 各语言的映射 { 语言: { 中文: 译文 } }
+ * @param {Object} options - 选项
+ * @param {string} options.strategy - key 生成策略：semantic 或 hash
+ * @param {Object[]} options.occurrences - 中文文本出现位置数组（semantic 策略用于生成命名空间）
+ * @param {Object} options.previous - 已有的 key 文件 { key: 中文 }
+ * @returns {Object} 各语言的映射 { 语言: { key: 译文 } }，包含源语言 zh-CN 的 { key: 中文 }
+ */
+function applyKeyStrategy(locales, options = {}) {
+  const { strategy, occurrences = [], previous = {} } = options;
+  const texts = Object.keys(Object.values(locales)[0] || {});
+
+  const keys = assignKeys(texts, {
+    strategy,
+    english: locales.en,
+    references: groupReferences(occurrences, texts),
+    previous
+  });
+
+  const keyed = applyKeys(locales, keys);
+  keyed[SOURCE_LOCALE] = toSourceLocale(keys);
+  return keyed;
+}
+
+/**
+ * 生成不重复的语义 key，如 orderDetail.submitOrder
+ * @param {string} text - 中文文本
+ * @param {string} translation - 英文译文
+ * @param {string} namespace - 命名空间
+ * @param {Set<string>} used - 已使用的 key
+ * @returns {string} key
+ */
+function uniqueSemanticKey(text, translation, namespace, used) {
+  const name = isTranslated(translation)
+    ? toCamelCase(splitWords(stripPlaceholders(translation)).slice(0, MAX_KEY_WORDS))
+    : '';
+
+  // 没有可用的英文译文（未翻译或译文不含字母）时使用哈希
+  if (!name || /^\d/.test(name)) {
+    return uniqueHashKey(text, `${namespace}.`, used);
+  }
+
+  // 以数字结尾的名称用下划线分隔序号，避免与其它 key 混淆（如 step1 的第二个为 step1_2）
+  const separator = /\d$/.test(name) ? '_' : '';
+  let key = `${namespace}.${name}`;
+  for (let i = 2; used.has(key); i++) {
+    key = `${namespace}.${name}${separator}${i}`;
+  }
+  return key;
+}
+
+/**
+ * 生成不重复的哈希 key
+ * @param {string} text - 中文文本
+ * @param {string} prefix - key 前缀
+ * @param {Set<string>} used - 已使用的 key
+ * @returns {string} key
+ */
+function uniqueHashKey(text, prefix, used) {
+  const hash = crypto.createHash('sha1').update(text).digest('hex');
+  for (let length = HASH_LENGTH; length <= hash.length; length++) {
+    const key = `${prefix}${hash.slice(0, length)}`;
+    if (!used.has(key)) {
+      return key;
+    }
+  }
+
+  let key = `${prefix}${hash}`;
+  for (let i = 2; used.has(key); i++) {
+    key = `${prefix}${hash}${i}`;
+  }
+  return key;
+}
+
+/**
+ * 根据文本出现的文件生成命名空间
+ * 只出现在一个文件中时使用文件名（index 文件使用目录名），否则为 common
+ * @param {Object[]} occurrences - 出现位置数组
+ * @returns {string} 命名空间
+ */
+function getNamespace(occurrences) {
+  const files = new Set(occurrences.map(occurrence => occurrence.file));
+  if (files.size !== 1) {
+    return COMMON_NAMESPACE;
+  }
+
+  const [file] = files;
+  let name = path.basename(file, path.extname(file));
+  if (name === 'index') {
+    name = path.basename(path.dirname(file));
+  }
+
+  const namespace = toCamelCase(splitWords(name));
+  return namespace && !/^\d/.test(namespace) ? namespace : COMMON_NAMESPACE;
+}
+
+/**
+ * 拆分英文单词（兼容 camelCase、kebab-case 和普通句子）
+ * @param {string} text - 文本
+ * @returns {string[]} 单词数组
+ */
+function splitWords(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * 单词数组转换为 camelCase
+ * @param {string[]} words - 单词数组
+ * @returns {string} camelCase 字符串
+ */
+function toCamelCase(words) {
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * 将以中文为 key 的映射转换为以 key 为 key 的映射
+ * @param {Object} locales - 各语言的映射 { 语言: { 中文: 译文 } }
+ * @param {Object} keys - key 映射 { 中文: key }
+ * @returns {Object} 各语言的映射 { 语言: { key: 译文 } }
+ */
+function applyKeys(locales, keys) {
+  const keyed = {};
+  for (const [language, mapping] of Object.entries(locales)) {
+    keyed[language] = {};
+    for (const [text, value] of Object.entries(mapping)) {
+      keyed[language][keys[text]] = value;
+    }
+  }
+  return keyed;
+}
+
+/**
+ * 将以 key 为 key 的映射还原为以中文为 key 的映射（key 文件中没有的条目会被忽略）
+ * @param {Object} locales - 各语言的映射 { 语言: { key: 译文 } }
+ * @param {Object} sourceLocale - key 文件 { key: 中文 }
+ * @returns {Object} 各语言的映射 { 语言: { 中文: 译文 } }
+ */
+function toTextLocales(locales, sourceLocale) {
+  const texts = {};
+  for (const [language, mapping] of Object.entries(locales)) {
+    texts[language] = {};
+    for (const [key, value] of Object.entries(mapping)) {
+      if (typeof sourceLocale[key] === 'string') {
+        texts[language][sourceLocale[key]] = value;
+      }
+    }
+  }
+  return texts;
+}
+
+/**
+ * 生成 key 文件 { key: 中文 }
+ * @param {Object} keys - key 映射 { 中文: key }
+ * @returns {Object} key 文件内容
+ */
+function toSourceLocale(keys) {
+  const sourceLocale = {};
+  for (const [text, key] of Object.entries(keys)) {
+    sourceLocale[key] = text;
+  }
+  return sourceLocale;
+}
+
+module.exports = {
+  KEY_STRATEGIES,
+  parseKeyStrategy,
+  assignKeys,
+  applyKeyStrategy,
+  applyKeys,
+  toTextLocales,
+  toSourceLocale
+};
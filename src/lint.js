@@ -0,0 +1,378 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getPlaceholders, stripPlaceholders } = require('./placeholders');
+const { getTranslationStatus } = require('./merge');
+const { SOURCE_LOCALE, parseLanguages, resolveOutputPath, getLocaleOutputPath, loadExistingLocales } = require('./output');
+const { getFormat } = require('./formats');
+const { loadGlossary } = require('./glossary');
+const { parseKeyStrategy, toTextLocales } = require('./keys');
+const { DEFAULT_CONFIG } = require('./config');
+const { ConfigError } = require('./errors');
+
+// 译文检查规则：error 为会导致界面显示错误的问题（lint 以退出码 1 结束），warning 为需要人工确认的问题
+const LINT_RULES = {
+  'placeholder': { severity: 'error', description: '占位符缺失或被修改' },
+  'html-tags': { severity: 'error', description: 'HTML 标签与原文不一致' },
+  'leftover-cjk': { severity: 'error', description: '译文中残留中文' },
+  'identical': { severity: 'warning', description: '译文与原文相同' },
+  'too-long': { severity: 'warning', description: '译文明显长于原文，界面可能放不下' },
+  'punctuation': { severity: 'warning', description: '结尾标点或省略号与原文不一致' },
+  'glossary': { severity: 'warning', description: '术语的译法与术语表不一致' },
+  'consistency': { severity: 'warning', description: '术语的译法与映射中该术语单独的译文不一致' }
+};
+
+// 目标语言本身使用汉字时，不检查残留中文和译文与原文相同
+const HAN_LANGUAGES = /^(zh|ja)([-_]|$)/i;
+
+// 汉字（含扩展 A 区）
+const HAN_PATTERN = /[\u4e00-\u9fff\u3400-\u4dbf]/;
+
+// 全角字符（按两个字符宽度计算译文长度）
+const WIDE_PATTERN = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+// 原文较短时长度比例波动大，不检查
+const MIN_LENGTH_CHECK_WIDTH = 8;
+
+// 映射中可以作为术语的条目：2 到 6 个汉字的原文，译文不超过 3 个词（用于检查其它条目中的译法是否一致）
+const MAPPING_TERM_PATTERN = /^[\u4e00-\u9fff\u3400-\u4dbf]{2,6}$/;
+const MAX_TERM_WORDS = 3;
+
+// 结尾标点的类型（中英文标点视为同一类）
+const ENDING_PUNCTUATION = [
+  { type: '省略号', pattern: /(\.{3}|…+)$/ },
+  { type: '句号', pattern: /[。.．]$/ },
+  { type: '感叹号', pattern: /[!！]$/ },
+  { type: '问号', pattern: /[?？]$/ },
+  { type: '冒号', pattern: /[:：]$/ },
+  { type: '分号', pattern: /[;；]$/ },
+  { type: '逗号', pattern: /[,，、]$/ }
+];
+
+const HTML_TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)\b[^<>]*?(\/?)>/g;
+
+/**
+ * 检查译文质量
+ * @param {Object} mapping - 映射 { 中文: 译文 }（只检查已翻译的条目）
+ * @param {Object} options - 选项
+ * @param {string} options.language - 目标语言代码
+ * @param {Glossary} options.glossary - 项目术语表（可选，未提供时只检查映射内部的术语译法是否一致）
+ * @param {number} options.maxLengthRatio - 译文宽度超过原文宽度的多少倍时视为过长（默认 2，全角字符按两个字符计算）
+ * @param {Object} options.keys - 中文对应的 key { 中文: key }（可选，记录在问题中）
+ * @returns {Object[]} 问题数组 { rule, severity, language, key, text, value, detail }
+ */
+function lintMapping(mapping, options = {}) {
+  const { language = 'en', glossary = null, keys = {} } = options;
+  const maxLengthRatio = Number(options.maxLengthRatio || DEFAULT_CONFIG.maxLengthRatio);
+  const hanLanguage = HAN_LANGUAGES.test(language);
+  const terms = collectMappingTerms(mapping, glossary, language);
+  const issues = [];
+
+  for (const [text, value] of Object.entries(mapping)) {
+    if (getTranslationStatus(value) !== 'translated') {
+      continue;
+    }
+    const report = (rule, detail) => issues.push({
+      rule,
+      severity: LINT_RULES[rule].severity,
+      language,
+      key: keys[text] || text,
+      text,
+      value,
+      detail
+    });
+
+    const placeholders = comparePlaceholders(text, value);
+    if (placeholders) {
+      report('placeholder', placeholders);
+    }
+
+    const tags = compareHtmlTags(text, value);
+    if (tags) {
+      report('html-tags', tags);
+    }
+
+    if (!hanLanguage) {
+      if (value.trim() === text.trim()) {
+        report('identical');
+      } else if (HAN_PATTERN.test(stripPlaceholders(value))) {
+        report('leftover-cjk');
+      }
+    }
+
+    const sourceWidth = getDisplayWidth(stripPlaceholders(text));
+    const targetWidth = getDisplayWidth(stripPlaceholders(value));
+    if (sourceWidth >= MIN_LENGTH_CHECK_WIDTH && targetWidth > sourceWidth * maxLengthRatio) {
+      report('too-long', `原文宽度 ${sourceWidth}，译文宽度 ${targetWidth}`);
+    }
+
+    const sourceEnding = getEndingPunctuation(text);
+    const targetEnding = getEndingPunctuation(value);
+    if (sourceEnding !== targetEnding) {
+      const describe = ending => (ending ? `以${ending}结尾` : '没有结尾标点');
+      report('punctuation', `原文${describe(sourceEnding)}，译文${describe(targetEnding)}`);
+    }
+
+    if (glossary) {
+      const missing = glossary.findMissingTerms(text, value, language);
+      if (missing.length > 0) {
+        report('glossary', missing.map(({ term, translation }) => `${term} 应译为 ${translation}`).join('、'));
+      }
+    }
+
+    const inconsistent = findInconsistentTerms(text, value, terms);
+    if (inconsistent.length > 0) {
+      report('consistency', inconsistent.map(({ term, translation }) => `${term} 单独译为 ${translation}`).join('、'));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 把映射中较短的已翻译条目作为术语（如 订单 -> Order），用于检查包含该术语的其它条目是否使用了相同译法
+ * 术语表中已有的术语由术语表检查，不重复收集
+ * @param {Object} mapping - 映射 { 中文: 译文 }
+ * @param {Glossary} glossary - 项目术语表（可选）
+ * @param {string} language - 目标语言代码
+ * @returns {Array<{term: string, translation: string}>} 映射中的术语（较长的在前）
+ */
+function collectMappingTerms(mapping, glossary, language) {
+  const terms = [];
+  for (const [text, value] of Object.entries(mapping)) {
+    if (!MAPPING_TERM_PATTERN.test(text) || getTranslationStatus(value) !== 'translated') {
+      continue;
+    }
+    if (value.trim().split(/\s+/).length > MAX_TERM_WORDS || (glossary && glossary.lookup(text, language))) {
+      continue;
+    }
+    // 术语的译文在长句中可能不带结尾标点
+    terms.push({ term: text, translation: value.trim().replace(/[.!?:;,…。！？：；，]+$/, '') });
+  }
+  return terms.sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * 查找条目中译法与映射中的术语不一致的术语（优先匹配较长的术语，不区分大小写）
+ * @param {string} text - 原文
+ * @param {string} value - 译文
+ * @param {Array<{term: string, translation: string}>} terms - collectMappingTerms 返回的术语
+ * @returns {Array<{term: string, translation: string}>} 译文中没有使用术语译法的术语
+ */
+function findInconsistentTerms(text, value, terms) {
+  const target = value.toLowerCase();
+  let remaining = text;
+  const inconsistent = [];
+  for (const item of terms) {
+    if (item.term === text || !remaining.includes(item.term)) {
+      continue;
+    }
+    if (!target.includes(item.translation.toLowerCase())) {
+      inconsistent.push(item);
+    }
+    remaining = remaining.split(item.term).join('\u0000');
+  }
+  return inconsistent;
+}
+
+/**
+ * 对比原文和译文的占位符
+ * @param {string} text - 原文
+ * @param {string} value - 译文
+ * @returns {string|null} 差异说明，一致时为 null
+ */
+function comparePlaceholders(text, value) {
+  const expected = new Set(getPlaceholders(text));
+  const actual = new Set(getPlaceholders(value));
+  const missing = [...expected].filter(name => !actual.has(name)).map(name => `{${name}}`);
+  const extra = [...actual].filter(name => !expected.has(name)).map(name => `{${name}}`);
+  if (missing.length === 0 && extra.length === 0) {
+    return null;
+  }
+  return [missing.length > 0 ? `缺少 ${missing.join(' ')}` : '', extra.length > 0 ? `多出 ${extra.join(' ')}` : '']
+    .filter(Boolean)
+    .join('，');
+}
+
+/**
+ * 对比原文和译文的 HTML 标签（按标签名和开闭计数，不要求顺序相同）
+ * @param {string} text - 原文
+ * @param {string} value - 译文
+ * @returns {string|null} 差异说明，一致时为 null
+ */
+function compareHtmlTags(text, value) {
+  const expected = getHtmlTags(text);
+  const actual = getHtmlTags(value);
+  if (expected.join() === actual.join()) {
+    return null;
+  }
+  return `原文 ${expected.join(' ') || '无标签'}，译文 ${actual.join(' ') || '无标签'}`;
+}
+
+/**
+ * 获取文本中的 HTML 标签
+ * @param {string} text - 文本
+ * @returns {string[]} 排序后的标签，如 ['</b>', '<b>', '<br/>']
+ */
+function getHtmlTags(text) {
+  return Array.from(text.matchAll(HTML_TAG_PATTERN), ([, closing, name, selfClosing]) =>
+    `<${closing}${name.toLowerCase()}${selfClosing}>`
+  ).sort();
+}
+
+/**
+ * 获取文本结尾的标点类型
+ * @param {string} text - 文本
+ * @returns {string|null} 标点类型，没有结尾标点时为 null
+ */
+function getEndingPunctuation(text) {
+  const trimmed = text.trim();
+  const ending = ENDING_PUNCTUATION.find(({ pattern }) => pattern.test(trimmed));
+  return ending ? ending.type : null;
+}
+
+/**
+ * 计算文本的显示宽度（全角字符按 2 计算）
+ * @param {string} text - 文本
+ * @returns {number} 宽度
+ */
+function getDisplayWidth(text) {
+  let width = 0;
+  for (const char of text.trim()) {
+    width += WIDE_PATTERN.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 输出译文检查的结果（翻译完成后自动调用）
+ * @param {Object[]} issues - lintMapping 返回的问题数组
+ * @param {Object} logger - 日志对象
+ */
+function logLintIssues(issues, logger = console) {
+  if (issues.length === 0) {
+    return;
+  }
+  issues.forEach(issue => logger.warn(`⚠️  ${formatIssue(issue)}`));
+  const [{ language }] = issues;
+  logger.warn(`⚠️  [${language}] 译文检查发现 ${issues.length} 个问题，请检查后手动修改、补充术语表，或运行 lint 查看完整报告`);
+}
+
+/**
+ * 格式化单个问题
+ * @param {Object} issue - 问题
+ * @returns {string} 文本
+ */
+function formatIssue(issue) {
+  const key = issue.key !== issue.text ? `${issue.key} ` : '';
+  const detail = issue.detail ? `（${issue.detail}）` : '';
+  return `[${issue.rule}] (${issue.language}) ${key}${issue.text} -> ${issue.value}: ${LINT_RULES[issue.rule].description}${detail}`;
+}
+
+/**
+ * 检查映射文件的译文质量（lint 命令入口）
+ * 存在 error 级别的问题时以退出码 1 结束
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {string} options.target - 映射文件所在目录
+ * @param {string} options.output - 映射文件名
+ * @param {string} options.to - 目标语言，逗号分隔
+ * @param {boolean} options.combined - 映射文件是否为多语言嵌套文件
+ * @param {string} options.format - 映射文件格式（默认 json，模板格式不含译文，不支持）
+ * @param {string} options.keyStrategy - 生成映射时使用的 key 生成策略
+ * @param {string|string[]} options.glossary - 术语表文件（.json、.csv、.tbx）
+ * @param {number} options.maxLengthRatio - 译文过长的宽度比例
+ * @param {string} options.reportFormat - 报告格式：text 或 json
+ * @param {string} options.reportFile - 报告输出文件（可选，默认输出到标准输出）
+ */
+async function lint(options) {
+  try {
+    const { source, target, output, combined, format = 'json', reportFormat = 'text', reportFile } = options;
+    if (!['text', 'json'].includes(reportFormat)) {
+      throw new ConfigError(`不支持的报告格式: ${reportFormat}`);
+    }
+    if (getFormat(format).template) {
+      throw new ConfigError(`输出格式 ${format} 不含译文，无法检查`);
+    }
+    const maxLengthRatio = Number(options.maxLengthRatio);
+    if (!(maxLengthRatio > 0)) {
+      throw new ConfigError(`长度比例必须为正数: ${options.maxLengthRatio}`);
+    }
+    const languages = parseLanguages(options.to);
+    const keyed = parseKeyStrategy(options.keyStrategy) !== 'text';
+
+    // 机器可读格式输出到标准输出时，进度信息改为输出到标准错误，避免混入报告
+    const log = reportFormat === 'text' || reportFile ? console.log : console.error;
+
+    const outputPath = resolveOutputPath(path.join(target || source, output), format);
+    for (const language of languages) {
+      const mappingPath = combined ? outputPath : getLocaleOutputPath(outputPath, language, languages, format);
+      if (!await fs.pathExists(mappingPath)) {
+        throw new ConfigError(`映射文件不存在: ${mappingPath}`);
+      }
+    }
+    let locales = await loadExistingLocales(outputPath, languages, combined, format);
+    let keys = {};
+    if (keyed) {
+      const sourceLocale = (await loadExistingLocales(outputPath, [SOURCE_LOCALE], combined, format))[SOURCE_LOCALE];
+      locales = toTextLocales(locales, sourceLocale);
+      keys = Object.fromEntries(Object.entries(sourceLocale).map(([key, text]) => [text, key]));
+    }
+
+    const glossary = await loadGlossary(options.glossary);
+    const issues = languages.flatMap(language =>
+      lintMapping(locales[language], { language, glossary, maxLengthRatio, keys })
+    );
+
+    const report = formatLintReport(issues, reportFormat);
+    if (reportFile) {
+      await fs.writeFile(reportFile, report);
+      log(`📄 译文检查报告已保存到: ${reportFile}`);
+    } else if (reportFormat !== 'text' || issues.length > 0) {
+      process.stdout.write(report);
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const entries = languages.reduce((count, language) => count + Object.keys(locales[language]).length, 0);
+    if (errors > 0) {
+      log(`❌ 译文检查未通过：${errors} 个错误，${issues.length - errors} 个警告`);
+      process.exitCode = 1;
+    } else {
+      log(`✅ 译文检查通过：${entries} 条译文，${issues.length} 个警告`);
+    }
+
+  } catch (error) {
+    console.error('❌ 检查失败:', error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * 生成译文检查报告
+ * @param {Object[]} issues - 问题数组
+ * @param {string} format - 报告格式：text 或 json
+ * @returns {string} 报告内容
+ */
+function formatLintReport(issues, format) {
+  if (format === 'json') {
+    const rules = {};
+    issues.forEach(issue => {
+      rules[issue.rule] = (rules[issue.rule] || 0) + 1;
+    });
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const summary = { errors, warnings: issues.length - errors, rules };
+    const described = issues.map(issue => ({ ...issue, message: LINT_RULES[issue.rule].description }));
+    return JSON.stringify({ summary, issues: described }, null, 2) + '\n';
+  }
+
+  return issues
+    .map(issue => `${issue.severity === 'error' ? '❌' : '⚠️ '} ${formatIssue(issue)}`)
+    .join('\n') + (issues.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+  LINT_RULES,
+  lint,
+  lintMapping,
+  logLintIssues,
+  formatLintReport
+};
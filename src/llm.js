@@ -0,0 +1,219 @@
+const axios = require('axios');
+const { hasSamePlaceholders } = require('./placeholders');
+const { describeReference } = require('./report');
+const { wrapRequestError } = require('./scheduler');
+
+// 未配置 baseURL 时使用的接口地址
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// 每个文本最多附带的代码上下文条数
+const MAX_REFERENCES = 3;
+
+// 系统提示词：说明文本是界面文案，并要求严格的 JSON 响应
+const SYSTEM_PROMPT = [
+  'You are a professional software localizer translating the user interface of a web application from Simplified Chinese.',
+  'Every string is UI copy: a button, menu item, tab, column header, form label, placeholder, tooltip or message.',
+  'Translate each one the way a native product in the target language would word it: short, idiomatic and consistent, never a literal word-by-word translation.',
+  'Use the code context (component, attribute, file) to decide what kind of element a string is.',
+  'Always use the glossary translation for a glossary term.',
+  'Keep placeholders such as {0} and {1} exactly as they are, and keep leading or trailing punctuation meaningful to the UI.',
+  'Respond with a single JSON object that maps every input id to its translation, with no other keys and no commentary.'
+].join('\n');
+
+/**
+ * OpenAI 兼容的大模型翻译服务（也可用于自建的 vLLM、Ollama 等兼容接口）
+ * 按批发送文本，附带界面文案的提示词、术语表和代码上下文，并校验响应的完整性和占位符
+ */
+class OpenAITranslator {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.logger - 日志对象（默认 console）
+   * @param {Object} options.credentials - api-config.json 中 openai 的配置 { baseURL, apiKey, model, temperature, maxBatchSize, timeout, jsonMode }
+   */
+  constructor(options = {}) {
+    const config = options.credentials || {};
+    this.logger = options.logger || console;
+    this.baseURL = String(config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+    this.model = config.model;
+    this.temperature = config.temperature !== undefined ? config.temperature : 0;
+    this.timeout = config.timeout || 60000;
+    this.jsonMode = config.jsonMode !== false; // 部分自建服务不支持 response_format，可设为 false 关闭
+    this.maxBatchSize = config.maxBatchSize || 20;
+    this.rateLimit = { qps: 2, concurrency: 2 };
+  }
+
+  /**
+   * 翻译单个文本
+   * @param {string} text - 中文文本
+   * @param {string} to - 目标语言代码
+   * @param {Object} context - 翻译上下文 { references, glossary }
+   * @returns {Promise<string>} 译文
+   */
+  async translate(text, to = 'en', context = {}) {
+    const results = await this.batchTranslate([text], to, context);
+    return results[0];
+  }
+
+  /**
+   * 批量翻译文本
+   * @param {string[]} texts - 中文文本数组
+   * @param {string} to - 目标语言代码
+   * @param {Object} context - 翻译上下文 { references: { 文本: 引用数组 }, glossary: { 术语: 译文 } }
+   * @returns {Promise<string[]>} 与 texts 顺序一致的译文数组
+   */
+  async batchTranslate(texts, to = 'en', context = {}) {
+    const body = {
+      model: this.model,
+      temperature: this.temperature,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildUserPrompt(texts, to, context) }
+      ]
+    };
+    if (this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseURL}/chat/completions`, body, { headers, timeout: this.timeout });
+    } catch (error) {
+      // 接口返回的错误说明比 axios 的状态码信息更有用
+      const detail = error.response && error.response.data && error.response.data.error;
+      if (detail) {
+        error.message = detail.message || String(detail);
+      }
+      throw wrapRequestError(error, '大模型翻译请求失败');
+    }
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    const content = choice && choice.message ? choice.message.content : null;
+    if (!content) {
+      throw new Error('大模型翻译返回结果为空');
+    }
+
+    return parseTranslations(content, texts);
+  }
+}
+
+// 需要的凭证：model 必须配置，自建服务通常不需要 apiKey
+OpenAITranslator.credentials = [
+  { key: 'baseURL', env: 'OPENAI_BASE_URL', required: false },
+  { key: 'apiKey', env: 'OPENAI_API_KEY', required: false },
+  { key: 'model', env: 'OPENAI_MODEL' }
+];
+
+/**
+ * 生成用户消息：目标语言、带编号和代码上下文的文本、本批文本涉及的术语
+ * @param {string[]} texts - 中文文本数组
+ * @param {string} to - 目标语言代码
+ * @param {Object} context - 翻译上下文 { references, glossary }
+ * @returns {string} JSON 格式的用户消息
+ */
+function buildUserPrompt(texts, to, context = {}) {
+  const { references = {}, glossary = {} } = context;
+
+  const strings = texts.map((text, index) => {
+    const item = { id: String(index + 1), text };
+    const items = (references[text] || []).slice(0, MAX_REFERENCES);
+    if (items.length > 0) {
+      item.context = items.map(reference => `${describeReference(reference)} (${reference.file}:${reference.line})`);
+    }
+    return item;
+  });
+
+  // 只附带本批文本中出现的术语
+  const terms = {};
+  for (const [term, translation] of Object.entries(glossary)) {
+    if (texts.some(text => text.includes(term))) {
+      terms[term] = translation;
+    }
+  }
+
+  const request = { targetLanguage: getLanguageName(to), strings };
+  if (Object.keys(terms).length > 0) {
+    request.glossary = terms;
+  }
+
+  return [
+    `Translate these UI strings into ${request.targetLanguage}.`,
+    'Reply with {"<id>": "<translation>"} for every id.',
+    '',
+    JSON.stringify(request, null, 2)
+  ].join('\n');
+}
+
+/**
+ * 解析并校验大模型返回的译文
+ * @param {string} content - 响应内容
+ * @param {string[]} texts - 发送的中文文本数组
+ * @returns {string[]} 与 texts 顺序一致的译文数组
+ */
+function parseTranslations(content, texts) {
+  // 兼容包在 ```json 代码块中的响应
+  const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`大模型翻译返回的不是 JSON: ${error.message}`);
+  }
+
+  // 兼容 { "translations": { ... } } 形式的响应
+  if (data && typeof data.translations === 'object' && data.translations !== null) {
+    data = data.translations;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('大模型翻译返回的 JSON 格式不正确');
+  }
+
+  const missing = [];
+  const broken = [];
+  const results = texts.map((text, index) => {
+    const translation = data[String(index + 1)];
+    if (typeof translation !== 'string' || !translation.trim()) {
+      missing.push(text);
+      return null;
+    }
+    if (!hasSamePlaceholders(text, translation)) {
+      broken.push(`${text} -> ${translation}`);
+    }
+    return translation.trim();
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`大模型翻译缺少 ${missing.length} 条译文: ${missing.join('、')}`);
+  }
+  if (broken.length > 0) {
+    throw new Error(`大模型翻译的占位符不完整: ${broken.join('；')}`);
+  }
+  return results;
+}
+
+/**
+ * 获取语言的英文名称（用于提示词），无法识别时返回语言代码
+ * @param {string} language - 语言代码
+ * @returns {string} 语言名称
+ */
+function getLanguageName(language) {
+  try {
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+    return name && name !== language ? `${name} (${language})` : language;
+  } catch (error) {
+    return language;
+  }
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  OpenAITranslator,
+  buildUserPrompt,
+  parseTranslations
+};
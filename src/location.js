@@ -0,0 +1,171 @@
+const path = require('path');
+const { SyntaxKind } = require('ts-morph');
+
+// 向上查找上下文时跳过的包装节点，如 (a ? '是' : '否')、'文本' as string
+const TRANSPARENT_KINDS = [
+  SyntaxKind.ParenthesizedExpression,
+  SyntaxKind.ConditionalExpression,
+  SyntaxKind.BinaryExpression,
+  SyntaxKind.AsExpression,
+  SyntaxKind.SatisfiesExpression,
+  SyntaxKind.TypeAssertionExpression,
+  SyntaxKind.ArrayLiteralExpression
+];
+
+/**
+ * 创建位置来源，用于把解析片段中的位置换算为原始文件中的行列号
+ * @param {string} filePath - 原始文件路径
+ * @param {string} content - 原始文件内容
+ * @returns {Object} 位置来源 { filePath, content, offset, lineStarts }
+ */
+function createOrigin(filePath, content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  return { filePath, content, offset: 0, lineStarts };
+}
+
+/**
+ * 将原始文件中的位置转换为行列号
+ * @param {Object} origin - 位置来源
+ * @param {number} position - 在原始文件中的位置
+ * @returns {{line: number, column: number}} 行号和列号（均从 1 开始）
+ */
+function toLineAndColumn(origin, position) {
+  const { lineStarts } = origin;
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return { line: low + 1, column: position - lineStarts[low] + 1 };
+}
+
+/**
+ * 获取包含中文的节点中文本的起始位置
+ * @param {Node} node - 包含中文的节点
+ * @returns {number} 在解析片段中的位置
+ */
+function getTextStart(node) {
+  if (node.getKind() === SyntaxKind.JsxText) {
+    const raw = node.getText();
+    return node.getStart() + (raw.length - raw.trimStart().length);
+  }
+  return node.getStart();
+}
+
+/**
+ * 获取节点所处的 AST 上下文
+ * @param {Node} node - 包含中文的节点
+ * @returns {{kind: string, name?: string}} 上下文类型及相关名称（属性名、成员名、调用的函数等）
+ */
+function getNodeContext(node) {
+  const kind = node.getKind();
+
+  if (kind === SyntaxKind.JsxText) {
+    return { kind: 'jsx-text' };
+  }
+
+  if (kind === SyntaxKind.JsxAttribute) {
+    return { kind: 'jsx-attribute', name: node.getNameNode().getText() };
+  }
+
+  let parent = node.getParent();
+  while (parent && TRANSPARENT_KINDS.includes(parent.getKind())) {
+    parent = parent.getParent();
+  }
+
+  const parentKind = parent ? parent.getKind() : null;
+
+  if (parentKind === SyntaxKind.PropertyAssignment) {
+    return { kind: 'object-property', name: parent.getName() };
+  }
+
+  if (parentKind === SyntaxKind.EnumMember) {
+    return { kind: 'enum-member', name: parent.getName() };
+  }
+
+  if (parentKind === SyntaxKind.CallExpression || parentKind === SyntaxKind.NewExpression) {
+    return { kind: 'call-argument', name: parent.getExpression().getText() };
+  }
+
+  if (parentKind === SyntaxKind.JsxExpression) {
+    const owner = parent.getParent();
+    if (owner && owner.getKind() === SyntaxKind.JsxAttribute) {
+      return { kind: 'jsx-attribute', name: owner.getNameNode().getText() };
+    }
+    return { kind: 'jsx-expression' };
+  }
+
+  if (parentKind === SyntaxKind.VariableDeclaration) {
+    return { kind: 'variable', name: parent.getName() };
+  }
+
+  return { kind: kind === SyntaxKind.TemplateExpression ? 'template' : 'string' };
+}
+
+/**
+ * 获取节点所在的函数、方法或组件名称
+ * @param {Node} node - 包含中文的节点
+ * @returns {string|undefined} 所在函数或组件名，匿名回调会继续向外查找
+ */
+function getContainerName(node) {
+  for (const ancestor of node.getAncestors()) {
+    const kind = ancestor.getKind();
+
+    if (kind === SyntaxKind.FunctionDeclaration || kind === SyntaxKind.ClassDeclaration) {
+      const name = ancestor.getName();
+      if (name) {
+        return name;
+      }
+    }
+
+    if (kind === SyntaxKind.MethodDeclaration || kind === SyntaxKind.GetAccessor || kind === SyntaxKind.SetAccessor) {
+      const owner = ancestor.getParent();
+      const ownerName = typeof owner.getName === 'function' ? owner.getName() : undefined;
+      return ownerName ? `${ownerName}.${ancestor.getName()}` : ancestor.getName();
+    }
+
+    if (kind === SyntaxKind.ArrowFunction || kind === SyntaxKind.FunctionExpression) {
+      const owner = ancestor.getParent();
+      const ownerKind = owner.getKind();
+      if (ownerKind === SyntaxKind.VariableDeclaration ||
+          ownerKind === SyntaxKind.PropertyAssignment ||
+          ownerKind === SyntaxKind.PropertyDeclaration) {
+        return owner.getName();
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * 由 Vue 文件路径推导组件名称
+ * @param {string} filePath - .vue 文件路径
+ * @returns {string} 组件名称
+ */
+function getComponentName(filePath) {
+  const baseName = path.basename(filePath, '.vue');
+  // index.vue 通常以所在目录命名
+  return baseName === 'index' ? path.basename(path.dirname(filePath)) : baseName;
+}
+
+module.exports = {
+  createOrigin,
+  toLineAndColumn,
+  getTextStart,
+  getNodeContext,
+  getContainerName,
+  getComponentName
+};
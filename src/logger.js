@@ -0,0 +1,39 @@
+// 不输出任何日志
+const silentLogger = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * 根据选项创建日志对象
+ * @param {Object} options - 选项
+ * @param {Object} options.logger - 自定义日志对象（需提供 log/info、warn、error 方法，默认 console）
+ * @param {boolean} options.quiet - 不输出日志
+ * @returns {{log: Function, info: Function, warn: Function, error: Function}} 日志对象
+ */
+function createLogger(options = {}) {
+  if (options.quiet) {
+    return silentLogger;
+  }
+
+  const logger = options.logger || console;
+  if (logger === console) {
+    return console;
+  }
+
+  // 兼容只有 info 没有 log 方法的日志库
+  const log = (logger.log || logger.info).bind(logger);
+  return {
+    log,
+    info: (logger.info || log).bind(logger),
+    warn: (logger.warn || log).bind(logger),
+    error: (logger.error || log).bind(logger)
+  };
+}
+
+module.exports = {
+  silentLogger,
+  createLogger
+};
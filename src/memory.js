@@ -0,0 +1,293 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeXml, parseXml, getXmlText } = require('./xml');
+const { parseTranslatorChain } = require('./translators');
+
+// 翻译记忆文件的默认位置（相对于源目录）
+const DEFAULT_MEMORY_PATH = path.join('.pick-cn', 'translation-memory.json');
+
+// 源语言在 TMX 中的语言代码
+const SOURCE_LANGUAGE = 'zh-CN';
+
+// 人工审校状态也保存在翻译记忆中，使用以下翻译服务名称：
+// reviewed 为审校通过的译文（之后不会被机器翻译覆盖），needs-work 为标记为需要修改的译文
+const REVIEWED_PROVIDER = 'reviewed';
+const NEEDS_WORK_PROVIDER = 'needs-work';
+
+/**
+ * 翻译记忆：按 原文 + 目标语言 + 翻译服务 保存历史译文，避免重复调用付费 API
+ */
+class TranslationMemory {
+  /**
+   * @param {string} filePath - 翻译记忆文件路径
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.changed = false;
+  }
+
+  /**
+   * 生成条目的唯一 key
+   * @param {string} source - 原文
+   * @param {string} language - 目标语言代码
+   * @param {string} provider - 翻译服务名称
+   * @returns {string} key
+   */
+  static getKey(source, language, provider) {
+    return JSON.stringify([source, language, provider]);
+  }
+
+  /**
+   * 从文件加载翻译记忆（文件不存在时为空）
+   * @returns {Promise<TranslationMemory>} 当前实例
+   */
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      const data = await fs.readJson(this.filePath);
+      (data.entries || []).forEach(entry => this.add(entry));
+      this.changed = false;
+    }
+    return this;
+  }
+
+  /**
+   * 保存翻译记忆（没有变化时不写入）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.changed) {
+      return;
+    }
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, { version: 1, entries: Array.from(this.entries.values()) }, { spaces: 2 });
+    this.changed = false;
+  }
+
+  /**
+   * 条目数量
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 查找历史译文
+   * @param {string} source - 原文
+   * @param {string} language - 目标语言代码
+   * @param {string} provider - 翻译服务名称
+   * @returns {Object|null} 条目 { source, target, language, provider, createdAt }
+   */
+  lookup(source, language, provider) {
+    return this.entries.get(TranslationMemory.getKey(source, language, provider)) || null;
+  }
+
+  /**
+   * 记录一条译文
+   * @param {string} source - 原文
+   * @param {string} target - 译文
+   * @param {string} language - 目标语言代码
+   * @param {string} provider - 产生译文的翻译服务
+   */
+  record(source, target, language, provider) {
+    this.add({ source, target, language, provider, createdAt: new Date().toISOString() });
+  }
+
+  /**
+   * 添加条目（相同 key 的条目会被覆盖）
+   * @param {Object} entry - 条目 { source, target, language, provider, createdAt }
+   */
+  add(entry) {
+    const { source, target, language, provider } = entry;
+    if (!source || !target || !language || !provider) {
+      return;
+    }
+    this.entries.set(TranslationMemory.getKey(source, language, provider), { ...entry });
+    this.changed = true;
+  }
+
+  /**
+   * 删除一条译文
+   * @param {string} source - 原文
+   * @param {string} language - 目标语言代码
+   * @param {string} provider - 翻译服务名称
+   * @returns {boolean} 是否存在并已删除
+   */
+  remove(source, language, provider) {
+    const removed = this.entries.delete(TranslationMemory.getKey(source, language, provider));
+    if (removed) {
+      this.changed = true;
+    }
+    return removed;
+  }
+
+  /**
+   * 导出为 TMX 1.4
+   * @returns {string} TMX 文档
+   */
+  toTmx() {
+    const units = Array.from(this.entries.values()).map(entry => {
+      const attributes = [
+        entry.createdAt ? ` creationdate="${toTmxDate(entry.createdAt)}"` : '',
+        ` creationid="${escapeXml(entry.provider)}"`
+      ].join('');
+      return [
+        `    <tu${attributes}>`,
+        `      <prop type="x-provider">${escapeXml(entry.provider)}</prop>`,
+        `      <tuv xml:lang="${SOURCE_LANGUAGE}"><seg>${escapeXml(entry.source)}</seg></tuv>`,
+        `      <tuv xml:lang="${escapeXml(entry.language)}"><seg>${escapeXml(entry.target)}</seg></tuv>`,
+        '    </tu>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<tmx version="1.4">',
+      `  <header creationtool="pick-cn" creationtoolversion="1.0.0" segtype="sentence" o-tmf="pick-cn" adminlang="en" srclang="${SOURCE_LANGUAGE}" datatype="plaintext"/>`,
+      '  <body>',
+      ...units,
+      '  </body>',
+      '</tmx>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * 从 TMX 导入条目
+   * @param {string} xml - TMX 文档
+   * @param {string} defaultProvider - 没有 x-provider 属性的条目归属的翻译服务
+   * @returns {number} 导入的条目数
+   */
+  importTmx(xml, defaultProvider = 'tmx') {
+    const document = parseXml(xml, ['tu', 'tuv', 'prop']).tmx;
+    if (!document) {
+      throw new Error('不是有效的 TMX 文件');
+    }
+
+    const header = document.header || {};
+    const sourceLanguage = header.srclang && header.srclang !== '*all*' ? header.srclang : SOURCE_LANGUAGE;
+    const units = (document.body && document.body.tu) || [];
+    let count = 0;
+
+    units.forEach(unit => {
+      const variants = unit.tuv || [];
+      const source = variants.find(variant => getVariantLanguage(variant) === sourceLanguage);
+      if (!source) {
+        return;
+      }
+
+      // creationid 在其它 CAT 工具中通常是译者或机器翻译引擎的标识，不是翻译服务名称
+      const providerProp = (unit.prop || []).find(prop => prop.type === 'x-provider');
+      const provider = providerProp ? getXmlText(providerProp) : defaultProvider;
+
+      variants.filter(variant => variant !== source).forEach(variant => {
+        const entry = {
+          source: getXmlText(source.seg),
+          target: getXmlText(variant.seg),
+          language: getVariantLanguage(variant),
+          provider,
+          createdAt: fromTmxDate(unit.creationdate)
+        };
+        if (entry.source && entry.target) {
+          this.add(entry);
+          count++;
+        }
+      });
+    });
+
+    return count;
+  }
+}
+
+/**
+ * 获取 tuv 的语言代码（兼容 TMX 1.1 的 lang 属性）
+ * @param {Object} variant - tuv 节点
+ * @returns {string} 语言代码
+ */
+function getVariantLanguage(variant) {
+  return variant['xml:lang'] || variant.lang || '';
+}
+
+/**
+ * ISO 时间转换为 TMX 时间格式（YYYYMMDDThhmmssZ）
+ * @param {string} isoDate - ISO 时间
+ * @returns {string} TMX 时间
+ */
+function toTmxDate(isoDate) {
+  return new Date(isoDate).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * TMX 时间格式转换为 ISO 时间
+ * @param {string} tmxDate - TMX 时间
+ * @returns {string} ISO 时间，无法解析时使用当前时间
+ */
+function fromTmxDate(tmxDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(tmxDate || '');
+  if (!match) {
+    return new Date().toISOString();
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
+}
+
+/**
+ * 获取翻译记忆文件路径
+ * @param {string} sourcePath - 源目录路径
+ * @param {string} customPath - 自定义路径（可选）
+ * @returns {string} 翻译记忆文件路径
+ */
+function resolveMemoryPath(sourcePath, customPath) {
+  return customPath ? path.resolve(customPath) : path.join(sourcePath, DEFAULT_MEMORY_PATH);
+}
+
+/**
+ * 导出翻译记忆为 TMX 文件
+ * @param {string} file - TMX 文件路径
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {string} options.translationMemory - 翻译记忆文件路径（可选）
+ */
+async function exportTranslationMemory(file, options) {
+  try {
+    const memory = await new TranslationMemory(resolveMemoryPath(options.source, options.translationMemory)).load();
+    await fs.writeFile(file, memory.toTmx());
+    console.log(`✅ 已导出 ${memory.size} 条翻译记忆到: ${file}`);
+  } catch (error) {
+    console.error('❌ 导出失败:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * 从 TMX 文件导入翻译记忆
+ * 翻译记忆按翻译服务链查找，没有 x-provider 属性的条目默认记录为链中第一个翻译服务的译文，导入后即可命中
+ * @param {string} file - TMX 文件路径
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {string} options.translationMemory - 翻译记忆文件路径（可选）
+ * @param {string|string[]} options.translator - 翻译服务链（默认 baidu）
+ * @param {string} options.provider - 没有 x-provider 属性的条目归属的翻译服务（默认为翻译服务链中的第一个）
+ */
+async function importTranslationMemory(file, options) {
+  try {
+    const memory = await new TranslationMemory(resolveMemoryPath(options.source, options.translationMemory)).load();
+    const provider = options.provider || parseTranslatorChain(options.translator)[0];
+    const count = memory.importTmx(await fs.readFile(file, 'utf-8'), provider);
+    await memory.save();
+    console.log(`✅ 已从 ${file} 导入 ${count} 条翻译记忆（未记录翻译服务的条目归属 ${provider}），当前共 ${memory.size} 条`);
+  } catch (error) {
+    console.error('❌ 导入失败:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  REVIEWED_PROVIDER,
+  NEEDS_WORK_PROVIDER,
+  TranslationMemory,
+  resolveMemoryPath,
+  exportTranslationMemory,
+  importTranslationMemory
+};
@@ -0,0 +1,84 @@
+// 未翻译模式下写入的占位值
+const UNTRANSLATED_PLACEHOLDER = 'to do translate';
+
+/**
+ * 获取映射值的翻译状态
+ * @param {*} value - 映射值
+ * @returns {string} missing（没有该 key）、untranslated（空值或 to do translate）、
+ *   placeholder（generatePlaceholder 生成的 translate_xxx）或 translated
+ */
+function getTranslationStatus(value) {
+  if (value === undefined) {
+    return 'missing';
+  }
+  if (typeof value !== 'string' || !value.trim() || value === UNTRANSLATED_PLACEHOLDER) {
+    return 'untranslated';
+  }
+  if (value.startsWith('translate_')) {
+    return 'placeholder';
+  }
+  return 'translated';
+}
+
+/**
+ * 判断映射中的值是否为已翻译的内容
+ * @param {*} value - 映射值
+ * @returns {boolean} 是否已翻译（排除空值和各类占位符）
+ */
+function isTranslated(value) {
+  return getTranslationStatus(value) === 'translated';
+}
+
+/**
+ * 对比本次提取结果与已有映射
+ * @param {string[]} texts - 本次提取到的中文文本
+ * @param {Object} existing - 已有映射
+ * @returns {{kept: Object, pending: string[], stale: string[]}}
+ *   kept 为可直接沿用的已翻译条目，pending 为需要翻译的文本，stale 为源码中已不存在的 key
+ */
+function diffWithExisting(texts, existing) {
+  const kept = {};
+  const pending = [];
+  const current = new Set(texts);
+
+  for (const text of texts) {
+    if (isTranslated(existing[text])) {
+      kept[text] = existing[text];
+    } else {
+      pending.push(text);
+    }
+  }
+
+  const stale = Object.keys(existing).filter(key => !current.has(key));
+
+  return { kept, pending, stale };
+}
+
+/**
+ * 合并已有映射与新生成的映射
+ * @param {Object} existing - 已有映射
+ * @param {Object} generated - 新生成的映射（仅包含 pending 文本）
+ * @param {string[]} stale - 过期 key
+ * @param {boolean} prune - 是否删除过期 key
+ * @returns {Object} 合并后的映射（保持已有条目的顺序，新条目追加在末尾）
+ */
+function mergeMappings(existing, generated, stale, prune) {
+  const staleKeys = new Set(prune ? stale : []);
+  const merged = {};
+
+  for (const [key, value] of Object.entries(existing)) {
+    if (!staleKeys.has(key)) {
+      merged[key] = value;
+    }
+  }
+
+  return Object.assign(merged, generated);
+}
+
+module.exports = {
+  UNTRANSLATED_PLACEHOLDER,
+  getTranslationStatus,
+  isTranslated,
+  diffWithExisting,
+  mergeMappings
+};
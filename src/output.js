@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigError, OutputError } = require('./errors');
+const { getFormat, combineLocales, splitCombined } = require('./formats');
+
+// 源语言（key -> 中文 文件）的语言代码
+const SOURCE_LOCALE = 'zh-CN';
+
+/**
+ * 解析目标语言参数
+ * @param {string|string[]} to - 逗号分隔的语言代码或语言代码数组
+ * @returns {string[]} 去重后的语言代码数组（默认 en）
+ */
+function parseLanguages(to) {
+  const list = Array.isArray(to) ? to : String(to || 'en').split(',');
+  const languages = [...new Set(list.map(language => language.trim()).filter(Boolean))];
+  return languages.length > 0 ? languages : ['en'];
+}
+
+/**
+ * 按输出格式修正输出文件的扩展名，如 --format po 时 Chinese-To-English.json -> Chinese-To-English.po
+ * @param {string} outputPath - 输出文件路径
+ * @param {string} formatName - 输出格式
+ * @returns {string} 输出文件路径
+ */
+function resolveOutputPath(outputPath, formatName = 'json') {
+  const { extensions } = getFormat(formatName);
+  const extension = path.extname(outputPath);
+  if (extensions.includes(extension.toLowerCase())) {
+    return outputPath;
+  }
+  return `${extension ? outputPath.slice(0, -extension.length) : outputPath}${extensions[0]}`;
+}
+
+/**
+ * 获取某个目标语言的输出文件路径
+ * 只翻译为英文时沿用原文件名，否则在扩展名前加上语言代码，如 Chinese-To-English.ja.json
+ * 源语言文件始终带语言代码，如 Chinese-To-English.zh-CN.json；.properties 使用 Java 风格，如 messages_zh_CN.properties
+ * @param {string} outputPath - 输出文件路径
+ * @param {string} language - 目标语言代码
+ * @param {string[]} languages - 本次的全部目标语言（可包含源语言）
+ * @param {string} formatName - 输出格式
+ * @returns {string} 该语言的输出文件路径
+ */
+function getLocaleOutputPath(outputPath, language, languages, formatName = 'json') {
+  const targetLanguages = languages.filter(item => item !== SOURCE_LOCALE);
+  if (targetLanguages.length === 1 && language === 'en') {
+    return outputPath;
+  }
+  const { localeSeparator = '.' } = getFormat(formatName);
+  const suffix = localeSeparator === '_' ? language.replace(/-/g, '_') : language;
+  const extension = path.extname(outputPath);
+  const basePath = extension ? outputPath.slice(0, -extension.length) : outputPath;
+  return `${basePath}${localeSeparator}${suffix}${extension}`;
+}
+
+/**
+ * 读取已有的映射文件
+ * @param {string} filePath - 映射文件路径
+ * @param {Function} read - 按格式解析文件内容
+ * @returns {Promise<Object|null>} 解析结果，文件不存在时返回 null
+ */
+async function readExistingFile(filePath, read) {
+  if (!await fs.pathExists(filePath)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = read(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new OutputError(`已有映射文件读取失败: ${filePath}（${error.message}）`, { cause: error });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new OutputError(`已有映射文件格式不正确: ${filePath}`);
+  }
+  return data;
+}
+
+/**
+ * 读取已有的输出文件
+ * @param {string} outputPath - 输出文件路径
+ * @param {string[]} languages - 目标语言
+ * @param {boolean} combined - 是否为合并输出的文件
+ * @param {string} formatName - 输出格式（默认 json）
+ * @returns {Promise<Object>} 各语言的已有映射
+ */
+async function loadExistingLocales(outputPath, languages, combined, formatName = 'json') {
+  const format = getFormat(formatName);
+
+  if (combined) {
+    assertCombinable(format, formatName);
+    const locales = await readExistingFile(outputPath, content => format.readCombined(content, languages));
+    return locales || splitCombined({}, languages);
+  }
+
+  const locales = {};
+  for (const language of languages) {
+    if (format.template) {
+      // 模板格式不含译文，只有源语言可以读取
+      locales[language] = language === SOURCE_LOCALE ? (await readExistingFile(outputPath, format.read)) || {} : {};
+      continue;
+    }
+    const localePath = getLocaleOutputPath(outputPath, language, languages, formatName);
+    locales[language] = (await readExistingFile(localePath, format.read)) || {};
+  }
+  return locales;
+}
+
+/**
+ * 写入各语言的映射
+ * @param {Object} locales - 各语言的映射 { 语言: { key: 译文 } }，可包含源语言 zh-CN 的 { key: 中文 }
+ * @param {string} outputPath - 输出文件路径
+ * @param {boolean} combined - 是否合并输出为一个文件
+ * @param {string} formatName - 输出格式（默认 json）
+ * @returns {Promise<string[]>} 写入的文件路径
+ */
+async function writeLocales(locales, outputPath, combined, formatName = 'json') {
+  const format = getFormat(formatName);
+  const source = locales[SOURCE_LOCALE] || null;
+
+  if (combined) {
+    assertCombinable(format, formatName);
+    await fs.writeFile(outputPath, format.writeCombined(locales, { source }));
+    return [outputPath];
+  }
+
+  // 模板格式只输出一个不含译文的文件
+  if (format.template) {
+    const [mapping = {}] = Object.values(locales);
+    await fs.writeFile(outputPath, format.write(mapping, { language: null, source }));
+    return [outputPath];
+  }
+
+  const languages = Object.keys(locales);
+  const written = [];
+  for (const language of languages) {
+    const localePath = getLocaleOutputPath(outputPath, language, languages, formatName);
+    await fs.writeFile(localePath, format.write(locales[language], { language, source }));
+    written.push(localePath);
+  }
+  return written;
+}
+
+/**
+ * 检查输出格式是否支持合并输出
+ * @param {Object} format - 输出格式
+ * @param {string} formatName - 格式名称
+ */
+function assertCombinable(format, formatName) {
+  if (!format.writeCombined) {
+    throw new ConfigError(`输出格式 ${formatName} 不支持合并输出（--combined）`);
+  }
+}
+
+module.exports = {
+  SOURCE_LOCALE,
+  parseLanguages,
+  resolveOutputPath,
+  getLocaleOutputPath,
+  combineLocales,
+  splitCombined,
+  loadExistingLocales,
+  writeLocales
+};
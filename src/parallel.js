@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { extractChineseFromFile } = require('./extractor');
+const { ExtractCache, hashContent, resolveCachePath } = require('./cache');
+const { getGitChanges, readGitFile } = require('./git');
+const { DEFAULT_CONFIG } = require('./config');
+const { createLogger } = require('./logger');
+const { ConfigError, ExtractError } = require('./errors');
+
+// 影响提取结果的配置项（传给工作线程，也用于判断缓存是否失效）
+const EXTRACT_RULE_KEYS = [
+  'ignoredCallees',
+  'ignoredAttributes',
+  'ignoredDecorators',
+  'ignoreTexts',
+  'minLength',
+  'maxLength',
+  'i18nFunctions',
+  'i18nComponents',
+  'i18nHooks',
+  'fn',
+  'vueFn'
+];
+
+// 待解析的文件少于该数量时在主线程中处理（启动工作线程需要重新加载 TypeScript）
+const MIN_PARALLEL_FILES = 200;
+
+// 每次发给工作线程的文件数
+const BATCH_SIZE = 20;
+
+const WORKER_PATH = path.join(__dirname, 'extract-worker.js');
+
+/**
+ * 批量提取文件中的中文文本：未修改的文件直接使用缓存，其余文件分给多个工作线程解析
+ * 结果和日志与逐个调用 extractChineseFromFile 完全一致（按传入的文件顺序）
+ * @param {string[]} files - 文件路径数组
+ * @param {Object} options - 提取选项（提取规则见 isValidChineseText、compileExclusionRules）
+ * @param {string} options.source - 源目录路径（缓存文件位于其中的 .pick-cn 目录，默认当前目录）
+ * @param {boolean} options.cache - 为 false 时不读取、不写入提取缓存
+ * @param {number} options.jobs - 工作线程数（默认 CPU 核数减一，为 1 时在主线程中处理）
+ * @param {boolean} options.staged - 提取暂存区中的内容（而不是工作区中的文件）
+ * @param {boolean} options.silent - 不输出每个文件的提取日志
+ * @param {Object} options.logger - 日志对象（默认 console）
+ * @returns {Promise<Array<{file: string, occurrences: Object[], ignored: Object[]}>>}
+ *   每个文件的出现位置（见 extractChineseFromSource）和被忽略指令忽略的文件和文本
+ * @throws {ConfigError} 工作线程数不是正整数
+ * @throws {ExtractError} 工作线程出错
+ */
+async function extractChineseFromFiles(files, options = {}) {
+  const logger = createLogger(options);
+  const rules = pickExtractRules(options);
+  const jobs = parseJobs(options.jobs);
+  const sourcePath = options.source || process.cwd();
+
+  let cache = null;
+  if (options.cache !== false) {
+    cache = await new ExtractCache(resolveCachePath(sourcePath), sourcePath, rules).load();
+  }
+
+  // --staged 时暂存区中的内容可能与工作区不同
+  const contents = options.staged ? await readStagedContents(files, sourcePath) : [];
+
+  // 内容未变的文件使用缓存
+  const results = new Array(files.length);
+  const hashes = new Array(files.length);
+  const pending = [];
+  for (let index = 0; index < files.length; index++) {
+    if (cache) {
+      hashes[index] = typeof contents[index] === 'string'
+        ? hashContent(contents[index])
+        : await fs.readFile(files[index]).then(hashContent, () => null);
+      results[index] = hashes[index] && cache.get(files[index], hashes[index]);
+    }
+    if (!results[index]) {
+      pending.push(index);
+    }
+  }
+
+  const workerCount = pending.length >= MIN_PARALLEL_FILES ? Math.min(jobs, Math.ceil(pending.length / BATCH_SIZE)) : 1;
+  const extracted = workerCount > 1
+    ? await extractInWorkers(pending.map(index => files[index]), pending.map(index => contents[index]), rules, workerCount)
+    : await extractInOrder(pending.map(index => files[index]), pending.map(index => contents[index]), rules);
+
+  extracted.forEach((result, position) => {
+    const index = pending[position];
+    results[index] = result;
+    if (cache && hashes[index]) {
+      cache.set(files[index], hashes[index], result);
+    }
+  });
+
+  if (cache) {
+    try {
+      await cache.save();
+    } catch (error) {
+      logger.warn(`⚠️  提取缓存保存失败: ${cache.filePath}（${error.message}）`);
+    }
+  }
+
+  // 按文件顺序输出日志（silent 时只输出警告）
+  results.forEach(result => {
+    result.messages
+      .filter(message => !options.silent || message.method !== 'log')
+      .forEach(message => logger[message.method](...message.args));
+  });
+  if (!options.silent && (cache || workerCount > 1)) {
+    const threads = workerCount > 1 ? `（${workerCount} 个线程）` : '';
+    logger.log(`⚡ 缓存命中 ${files.length - pending.length} 个文件，解析 ${pending.length} 个文件${threads}`);
+  }
+
+  return results.map((result, index) => ({ file: files[index], occurrences: result.occurrences, ignored: result.ignored }));
+}
+
+/**
+ * 读取文件在暂存区中的内容
+ * @param {string[]} files - 文件路径数组（findSourceFiles 返回的暂存区变更文件）
+ * @param {string} sourcePath - 源目录路径
+ * @returns {Promise<Array<string|null>>} 与 files 顺序一致的内容，不在暂存区变更中的文件为 null（读取工作区）
+ * @throws {ConfigError} git 命令失败
+ */
+async function readStagedContents(files, sourcePath) {
+  const gitPaths = new Map((await getGitChanges(sourcePath, { staged: true })).map(change => [change.file, change.gitPath]));
+  const contents = [];
+  for (const file of files) {
+    contents.push(gitPaths.has(file) ? await readGitFile(sourcePath, '', gitPaths.get(file)) : null);
+  }
+  return contents;
+}
+
+/**
+ * 提取单个文件，日志记录下来由主线程按顺序输出
+ * @param {string} file - 文件路径
+ * @param {Object} rules - 提取规则
+ * @param {string|null} content - 文件内容（可选，默认读取文件）
+ * @returns {Promise<{occurrences: Object[], ignored: Object[], messages: Object[]}>} 提取结果，messages 为 { method, args }
+ */
+async function extractFile(file, rules, content) {
+  const messages = [];
+  const record = method => (...args) => messages.push({ method, args: args.map(String) });
+  const logger = { log: record('log'), info: record('log'), warn: record('warn'), error: record('error') };
+  const ignored = [];
+  const occurrences = await extractChineseFromFile(file, { ...rules, logger, ignored, content });
+  return { occurrences, ignored, messages };
+}
+
+/**
+ * 在主线程中逐个提取
+ * @param {string[]} files - 文件路径数组
+ * @param {Array<string|null>} contents - 文件内容（与 files 顺序一致，缺省时读取文件）
+ * @param {Object} rules - 提取规则
+ * @returns {Promise<Object[]>} 提取结果
+ */
+async function extractInOrder(files, contents, rules) {
+  const results = [];
+  for (let index = 0; index < files.length; index++) {
+    results.push(await extractFile(files[index], rules, contents[index]));
+  }
+  return results;
+}
+
+/**
+ * 用工作线程池提取：每个线程每次处理一批文件，处理完再领取下一批
+ * @param {string[]} files - 文件路径数组
+ * @param {Array<string|null>} contents - 文件内容（与 files 顺序一致，缺省时读取文件）
+ * @param {Object} rules - 提取规则
+ * @param {number} workerCount - 线程数
+ * @returns {Promise<Object[]>} 提取结果（与 files 顺序一致）
+ */
+async function extractInWorkers(files, contents, rules, workerCount) {
+  const results = new Array(files.length);
+  const workers = Array.from({ length: workerCount }, () => new Worker(WORKER_PATH, { workerData: { rules } }));
+  let next = 0;
+
+  try {
+    await Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+      const dispatch = () => {
+        if (next >= files.length) {
+          resolve();
+          return;
+        }
+        const start = next;
+        next = Math.min(next + BATCH_SIZE, files.length);
+        worker.postMessage({ start, files: files.slice(start, next), contents: contents.slice(start, next) });
+      };
+
+      worker.on('message', ({ start, results: batch }) => {
+        batch.forEach((result, offset) => {
+          results[start + offset] = result;
+        });
+        dispatch();
+      });
+      worker.on('error', reject);
+      worker.on('exit', code => {
+        if (next < files.length || code !== 0) {
+          reject(new Error(`工作线程意外退出（退出码 ${code}）`));
+        }
+      });
+      dispatch();
+    })));
+  } catch (error) {
+    throw new ExtractError(`提取线程出错: ${error.message}`, { cause: error });
+  } finally {
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  return results;
+}
+
+/**
+ * 选出影响提取结果的配置项（未指定的使用默认值，便于判断缓存是否失效）
+ * @param {Object} options - 配置选项
+ * @returns {Object} 提取规则
+ */
+function pickExtractRules(options) {
+  const rules = {};
+  EXTRACT_RULE_KEYS.forEach(key => {
+    rules[key] = options[key] !== undefined ? options[key] : DEFAULT_CONFIG[key];
+  });
+  return rules;
+}
+
+/**
+ * 校验工作线程数
+ * @param {number|string} jobs - 工作线程数（可选）
+ * @returns {number} 工作线程数
+ */
+function parseJobs(jobs) {
+  if (jobs === undefined) {
+    return Math.max(os.cpus().length - 1, 1);
+  }
+  const count = Number(jobs);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ConfigError(`工作线程数必须为正整数: ${jobs}`);
+  }
+  return count;
+}
+
+module.exports = {
+  extractChineseFromFiles,
+  extractFile
+};
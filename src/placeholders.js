@@ -0,0 +1,73 @@
+// 消息中的命名占位符，如 {userName}
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// 发送给翻译 API 时使用的编号占位符，翻译服务可能会在花括号内插入空格
+const PROTECTED_PATTERN = /\{\s*(\d+)\s*\}/g;
+
+/**
+ * 获取文本中的占位符名称
+ * @param {string} text - 文本
+ * @returns {string[]} 占位符名称数组（按出现顺序，可重复）
+ */
+function getPlaceholders(text) {
+  return Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+/**
+ * 去掉文本中的占位符（用于校验文本本身的内容）
+ * @param {string} text - 文本
+ * @returns {string} 去掉占位符后的文本
+ */
+function stripPlaceholders(text) {
+  return text.replace(PLACEHOLDER_PATTERN, '');
+}
+
+/**
+ * 将命名占位符替换为编号占位符，避免 userName 之类的名称被翻译
+ * @param {string} text - 含命名占位符的文本
+ * @returns {{text: string, names: string[]}} 替换后的文本和编号对应的占位符名称
+ */
+function protectPlaceholders(text) {
+  const names = [];
+  const protectedText = text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    let index = names.indexOf(name);
+    if (index === -1) {
+      index = names.push(name) - 1;
+    }
+    return `{${index}}`;
+  });
+  return { text: protectedText, names };
+}
+
+/**
+ * 将翻译结果中的编号占位符还原为命名占位符
+ * @param {string} translation - 翻译结果
+ * @param {string[]} names - protectPlaceholders 返回的占位符名称
+ * @returns {string} 还原后的翻译结果
+ */
+function restorePlaceholders(translation, names) {
+  return translation.replace(PROTECTED_PATTERN, (match, index) => {
+    const name = names[Number(index)];
+    return name === undefined ? match : `{${name}}`;
+  });
+}
+
+/**
+ * 检查译文是否完整保留了原文中的占位符
+ * @param {string} source - 原文
+ * @param {string} translation - 译文
+ * @returns {boolean} 占位符集合是否一致（不要求顺序和次数相同）
+ */
+function hasSamePlaceholders(source, translation) {
+  const expected = new Set(getPlaceholders(source));
+  const actual = new Set(getPlaceholders(translation));
+  return expected.size === actual.size && [...expected].every(name => actual.has(name));
+}
+
+module.exports = {
+  getPlaceholders,
+  stripPlaceholders,
+  protectPlaceholders,
+  restorePlaceholders,
+  hasSamePlaceholders
+};
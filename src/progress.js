@@ -0,0 +1,143 @@
+const fs = require('fs-extra');
+const { findSourceFiles } = require('./extractor');
+const { extractChineseFromFiles } = require('./parallel');
+const { toReference } = require('./report');
+const { STATUS } = require('./wrapped');
+const { ConfigError } = require('./errors');
+
+/**
+ * 统计国际化迁移进度：列出仍为硬编码的中文，并按目录统计已包裹的比例
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {number} options.depth - 按前几级目录汇总（可选，默认按文件所在目录）
+ * @param {string} options.reportFormat - 报告格式：text 或 json
+ * @param {string} options.reportFile - 报告输出文件（可选，默认输出到标准输出）
+ * @param {string[]} options.include - 包含的 glob（已国际化的写法见 compileI18nRules）
+ */
+async function progress(options) {
+  try {
+    const { source, reportFormat = 'text', reportFile } = options;
+    if (!['text', 'json'].includes(reportFormat)) {
+      throw new ConfigError(`不支持的报告格式: ${reportFormat}`);
+    }
+    const depth = options.depth === undefined ? undefined : Number(options.depth);
+    if (depth !== undefined && !(Number.isInteger(depth) && depth > 0)) {
+      throw new ConfigError(`目录层级必须为正整数: ${options.depth}`);
+    }
+
+    // 机器可读格式输出到标准输出时，进度信息改为输出到标准错误，避免混入报告
+    const log = reportFormat === 'text' || reportFile ? console.log : console.error;
+
+    const files = await findSourceFiles(source, options);
+    log(`🔍 统计 ${files.length} 个文件...`);
+
+    const results = await extractChineseFromFiles(files, { ...options, silent: true });
+    const occurrences = results.flatMap(result => result.occurrences);
+
+    const summary = summarizeProgress(occurrences, source, depth);
+    const report = formatProgress(summary, reportFormat);
+    if (reportFile) {
+      await fs.writeFile(reportFile, report);
+      log(`📄 迁移报告已保存到: ${reportFile}`);
+    } else {
+      process.stdout.write(report);
+    }
+
+    const { wrapped, hardcoded, progress: percent } = summary.total;
+    log(`📈 迁移进度 ${percent}%：已包裹 ${wrapped} 处，硬编码 ${hardcoded} 处`);
+
+  } catch (error) {
+    console.error('❌ 统计失败:', error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * 汇总出现位置的迁移状态
+ * @param {Object[]} occurrences - 中文文本出现位置数组（带 status）
+ * @param {string} sourcePath - 源目录路径
+ * @param {number} depth - 按前几级目录汇总（可选）
+ * @returns {Object} { total, directories: [{ directory, wrapped, hardcoded, progress }], hardcoded: [引用] }
+ */
+function summarizeProgress(occurrences, sourcePath, depth) {
+  const directories = new Map();
+  const total = { wrapped: 0, hardcoded: 0 };
+  const hardcoded = [];
+
+  occurrences.forEach(occurrence => {
+    const reference = toReference(occurrence, sourcePath);
+    const directory = getDirectory(reference.file, depth);
+    const counts = directories.get(directory) || { wrapped: 0, hardcoded: 0 };
+    const status = occurrence.status === STATUS.wrapped ? 'wrapped' : 'hardcoded';
+
+    counts[status]++;
+    total[status]++;
+    directories.set(directory, counts);
+    if (status === 'hardcoded') {
+      hardcoded.push({ text: occurrence.text, ...reference });
+    }
+  });
+
+  return {
+    total: withProgress(total),
+    directories: [...directories.keys()].sort().map(directory => ({ directory, ...withProgress(directories.get(directory)) })),
+    hardcoded
+  };
+}
+
+/**
+ * 获取文件所在目录（相对于源目录），指定 depth 时只保留前几级
+ * @param {string} file - 相对于源目录的文件路径（/ 分隔）
+ * @param {number} depth - 目录层级（可选）
+ * @returns {string} 目录，源目录本身为 .
+ */
+function getDirectory(file, depth) {
+  const segments = file.split('/').slice(0, -1);
+  const kept = depth ? segments.slice(0, depth) : segments;
+  return kept.length > 0 ? kept.join('/') : '.';
+}
+
+/**
+ * 计算已包裹的百分比（保留一位小数，没有中文时为 100）
+ * @param {Object} counts - { wrapped, hardcoded }
+ * @returns {Object} { wrapped, hardcoded, progress }
+ */
+function withProgress(counts) {
+  const sum = counts.wrapped + counts.hardcoded;
+  const percent = sum === 0 ? 100 : Math.round(counts.wrapped / sum * 1000) / 10;
+  return { ...counts, progress: percent };
+}
+
+/**
+ * 生成迁移报告
+ * @param {Object} summary - summarizeProgress 的结果
+ * @param {string} format - 报告格式：text 或 json
+ * @returns {string} 报告内容
+ */
+function formatProgress(summary, format) {
+  if (format === 'json') {
+    return JSON.stringify(summary, null, 2) + '\n';
+  }
+
+  const lines = summary.hardcoded.map(item => `${item.file}:${item.line}:${item.column}  ${item.text}`);
+  if (lines.length > 0) {
+    lines.push('');
+  }
+
+  const rows = [
+    ...summary.directories.map(item => [item.directory, item.wrapped, item.hardcoded, `${item.progress.toFixed(1)}%`]),
+    ['合计', summary.total.wrapped, summary.total.hardcoded, `${summary.total.progress.toFixed(1)}%`]
+  ];
+  const width = Math.max(...rows.map(row => row[0].length), 4);
+  lines.push(`${'目录'.padEnd(width - 2)}  已包裹  硬编码    进度`);
+  rows.forEach(([directory, wrapped, hardcodedCount, percent]) => {
+    lines.push(`${directory.padEnd(directory === '合计' ? width - 2 : width)}  ${String(wrapped).padStart(6)}  ${String(hardcodedCount).padStart(6)}  ${percent.padStart(6)}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  progress,
+  summarizeProgress
+};
@@ -0,0 +1,528 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { SyntaxKind } = require('ts-morph');
+const {
+  findSourceFiles,
+  createSourceFile,
+  forEachChineseNode,
+  buildTemplateMessage,
+  isValidChineseText
+} = require('./extractor');
+const { splitVueFile, collectTemplateParts } = require('./vue');
+const { stripPlaceholders } = require('./placeholders');
+const { normalizeText } = require('./dedupe');
+const { SOURCE_LOCALE, resolveOutputPath, getLocaleOutputPath, loadExistingLocales } = require('./output');
+const { getFormat } = require('./formats');
+const { parseKeyStrategy } = require('./keys');
+const { ConfigError } = require('./errors');
+const { hasFileDirective } = require('./ignore');
+const { compileExclusionRules, isExcludedAttribute } = require('./exclusions');
+const { compileI18nRules, isWrapped, isInI18nComponent } = require('./wrapped');
+
+// 嵌套的中文（如模板字符串插值中的字符串）需要多轮替换，限制轮数避免死循环
+const MAX_PASSES = 5;
+
+// 这些位置的字符串不能替换为函数调用
+const NON_REPLACEABLE_PARENTS = [
+  SyntaxKind.LiteralType,
+  SyntaxKind.EnumMember,
+  SyntaxKind.ImportDeclaration,
+  SyntaxKind.ExportDeclaration,
+  SyntaxKind.ExternalModuleReference,
+  SyntaxKind.ModuleDeclaration,
+  SyntaxKind.TaggedTemplateExpression,
+  SyntaxKind.ElementAccessExpression
+];
+
+// 与这些运算符比较的字符串和 case 标签不替换：替换为翻译后的文本后，比较结果会随语言改变
+const COMPARISON_OPERATORS = [
+  SyntaxKind.EqualsEqualsEqualsToken,
+  SyntaxKind.ExclamationEqualsEqualsToken,
+  SyntaxKind.EqualsEqualsToken,
+  SyntaxKind.ExclamationEqualsToken
+];
+
+/**
+ * 将源码中的中文文本替换为 i18n 函数调用
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源目录路径
+ * @param {string} options.fn - 脚本中使用的翻译函数，如 t、i18n.t
+ * @param {string} options.vueFn - Vue 模板中使用的翻译函数，如 $t
+ * @param {string} options.importFrom - 翻译函数的导入模块（可选，未导入时自动添加）
+ * @param {boolean} options.dryRun - 只输出 diff，不写入文件
+ * @param {string} options.keyStrategy - 生成映射时使用的 key 生成策略（非 text 时从 zh-CN key 文件查找 key，替换为 t('key')）
+ * @param {string} options.target - 映射文件所在目录（keyStrategy 非 text 时使用）
+ * @param {string} options.output - 映射文件名（keyStrategy 非 text 时使用）
+ * @param {boolean} options.combined - 映射文件是否为多语言合并文件（keyStrategy 非 text 时使用）
+ * @param {string} options.format - 映射文件格式（keyStrategy 非 text 时使用，默认 json）
+ * @param {string[]} options.include - 包含的 glob（其它提取规则见 isValidChineseText）
+ */
+async function replace(options) {
+  try {
+    const { source, fn, vueFn, importFrom, dryRun } = options;
+
+    console.log(`📂 源目录: ${source}`);
+    console.log(`🔧 翻译函数: ${fn}（Vue 模板: ${vueFn}）`);
+    if (importFrom) {
+      console.log(`📦 导入模块: ${importFrom}`);
+    }
+    if (dryRun) {
+      console.log('👀 预览模式: 只输出 diff，不修改文件');
+    }
+
+    // 使用生成的 key 时替换为 t('key')，key 从 execute 生成的 zh-CN key 文件中查找
+    const keyStrategy = parseKeyStrategy(options.keyStrategy);
+    const keys = keyStrategy === 'text' ? null : await loadKeys(options);
+    if (keys) {
+      console.log(`🔑 key 生成策略: ${keyStrategy}（key 文件中有 ${keys.size} 个 key）`);
+    }
+    const missing = new Set();
+    const compared = new Set();
+
+    // --staged 时暂存区中的文件可能已从工作区删除，只改写工作区中存在的文件
+    const files = (await findSourceFiles(source, options)).filter(file => fs.existsSync(file));
+    console.log(`🔍 找到 ${files.length} 个文件需要处理`);
+
+    let changedFiles = 0;
+    let totalCount = 0;
+
+    for (const file of files) {
+      const result = await replaceInFile(file, { ...options, keys, missing, compared });
+      if (!result || result.count === 0) {
+        continue;
+      }
+
+      changedFiles++;
+      totalCount += result.count;
+
+      const relativePath = path.relative(source, file);
+      if (dryRun) {
+        console.log(createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, result.original, result.code));
+      } else {
+        await fs.writeFile(file, result.code);
+        console.log(`✏️  ${relativePath}: 替换 ${result.count} 处`);
+      }
+    }
+
+    if (missing.size > 0) {
+      console.warn(`⚠️  ${missing.size} 个文本在 key 文件中没有 key，未替换（请先运行 execute 生成 key）:`);
+      missing.forEach(text => console.warn(`   ${text}`));
+    }
+
+    if (compared.size > 0) {
+      console.warn(`⚠️  ${compared.size} 个文本用于 case 标签或相等比较，未替换（替换后比较结果会随语言改变，请手动处理）:`);
+      compared.forEach(text => console.warn(`   ${text}`));
+    }
+
+    console.log(`✅ 替换完成！共 ${changedFiles} 个文件，${totalCount} 处中文文本${dryRun ? '（未写入）' : ''}`);
+
+  } catch (error) {
+    console.error('❌ 执行失败:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * 读取 zh-CN key 文件，生成 中文 -> key 的查找表
+ * @param {Object} options - 替换选项 { source, target, output, combined, format }
+ * @returns {Promise<Map<string, string>>} 规范化后的中文（见 normalizeText）-> key
+ * @throws {ConfigError} key 文件不存在或为空
+ */
+async function loadKeys(options) {
+  const { source, target, output, combined, format = 'json' } = options;
+  const outputPath = resolveOutputPath(path.join(target || source, output), format);
+  const sourceLocale = (await loadExistingLocales(outputPath, [SOURCE_LOCALE], combined, format))[SOURCE_LOCALE];
+  const entries = Object.entries(sourceLocale).filter(([, text]) => typeof text === 'string');
+  if (entries.length === 0) {
+    const keyFile = combined || getFormat(format).template ? outputPath : getLocaleOutputPath(outputPath, SOURCE_LOCALE, [SOURCE_LOCALE], format);
+    throw new ConfigError(`找不到 ${SOURCE_LOCALE} key 文件或文件为空（${keyFile}），请先使用相同的 --key-strategy 运行 execute`);
+  }
+  return new Map(entries.map(([key, text]) => [normalizeText(text), key]));
+}
+
+/**
+ * 获取传给翻译函数的 key：中文作为 key 时为文本本身，否则从 key 文件中查找
+ * @param {string} text - 中文文本（模板字符串为 {name} 形式的消息）
+ * @param {Object} options - 替换选项 { keys, missing }
+ * @returns {string|null} key，key 文件中没有该文本时返回 null（记录到 missing，不替换）
+ */
+function resolveKey(text, options) {
+  if (!options.keys) {
+    return text;
+  }
+  const key = options.keys.get(normalizeText(text));
+  if (key === undefined) {
+    if (options.missing) {
+      options.missing.add(text);
+    }
+    return null;
+  }
+  return key;
+}
+
+/**
+ * 替换单个文件中的中文文本
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 替换选项
+ * @returns {Promise<Object|null>} 替换结果 { original, code, count }，处理失败时返回 null
+ */
+async function replaceInFile(filePath, options) {
+  try {
+    const original = await fs.readFile(filePath, 'utf-8');
+
+    // 带 pick-cn-ignore-file 指令的文件不替换
+    if (hasFileDirective(original)) {
+      return { original, code: original, count: 0 };
+    }
+
+    const { code, count } = path.extname(filePath) === '.vue'
+      ? replaceInVue(original, filePath, options)
+      : replaceInSource(original, filePath, options);
+
+    return { original, code, count };
+
+  } catch (error) {
+    console.warn(`⚠️  处理文件失败: ${filePath}`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 替换 JS/TS 源码中的中文文本
+ * @param {string} content - 源码内容
+ * @param {string} filePath - 文件路径（决定 ts-morph 的解析方式）
+ * @param {Object} options - 替换选项 { fn, importFrom, keys, missing, compared } 及提取规则
+ * @returns {{code: string, count: number}} 替换后的源码和替换次数
+ */
+function replaceInSource(content, filePath, options) {
+  const { fn, importFrom } = options;
+  let code = content;
+  let count = 0;
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const edits = collectSourceEdits(createSourceFile(code, filePath), fn, options);
+    if (edits.length === 0) {
+      break;
+    }
+
+    // 只应用最内层的替换，外层节点（如包含中文插值的模板字符串）在下一轮重新解析后处理
+    const innermost = edits.filter(edit => !edits.some(other =>
+      other !== edit && other.start >= edit.start && other.end <= edit.end
+    ));
+
+    code = applyEdits(code, innermost);
+    count += innermost.length;
+  }
+
+  if (count > 0 && importFrom) {
+    code = ensureImport(code, filePath, fn, importFrom);
+  }
+
+  return { code, count };
+}
+
+/**
+ * 收集 AST 中需要替换的节点
+ * @param {SourceFile} sourceFile - ts-morph 源文件
+ * @param {string} fn - 翻译函数
+ * @param {Object} options - 替换选项 { keys, missing, compared } 及提取规则
+ * @returns {Object[]} 替换项 { start, end, text }
+ */
+function collectSourceEdits(sourceFile, fn, options) {
+  const edits = [];
+  const i18nRules = compileI18nRules(sourceFile, options);
+
+  forEachChineseNode(sourceFile, (node) => {
+    // 已经包裹在翻译函数或翻译组件中的文本不再替换
+    if (!isReplaceable(node) || isWrapped(node, i18nRules)) {
+      return;
+    }
+
+    // case 标签和比较中的文本只报告，不替换
+    if (isComparedValue(node)) {
+      if (options.compared) {
+        options.compared.add(node.getText());
+      }
+      return;
+    }
+
+    const kind = node.getKind();
+
+    if (kind === SyntaxKind.StringLiteral || kind === SyntaxKind.NoSubstitutionTemplateLiteral) {
+      const key = resolveKey(node.getLiteralValue(), options);
+      if (key === null) {
+        return;
+      }
+      edits.push({
+        start: node.getStart(),
+        end: node.getEnd(),
+        text: formatCall(fn, key)
+      });
+    } else if (kind === SyntaxKind.TemplateExpression) {
+      const { message, params } = buildTemplateMessage(node);
+      const key = resolveKey(message, options);
+      if (key === null) {
+        return;
+      }
+      edits.push({
+        start: node.getStart(),
+        end: node.getEnd(),
+        text: formatCall(fn, key, params)
+      });
+    } else if (kind === SyntaxKind.JsxText) {
+      // 保留 JSX 文本两侧的空白和换行
+      const raw = node.getText();
+      const start = node.getStart() + (raw.length - raw.trimStart().length);
+      const trimmed = raw.trim();
+      const key = resolveKey(trimmed, options);
+      if (key === null) {
+        return;
+      }
+      edits.push({
+        start,
+        end: start + trimmed.length,
+        text: `{${fn}(${quote(key)})}`
+      });
+    } else if (kind === SyntaxKind.JsxAttribute) {
+      const initializer = node.getInitializer();
+      const key = resolveKey(initializer.getLiteralValue(), options);
+      if (key === null) {
+        return;
+      }
+      edits.push({
+        start: initializer.getStart(),
+        end: initializer.getEnd(),
+        text: `{${fn}(${quote(key)})}`
+      });
+    }
+  }, options);
+
+  return edits;
+}
+
+/**
+ * 检查节点是否可以替换为函数调用
+ * @param {Node} node - 包含中文的节点
+ * @returns {boolean} 是否可以替换
+ */
+function isReplaceable(node) {
+  const parent = node.getParent();
+  if (!parent) {
+    return false;
+  }
+
+  if (NON_REPLACEABLE_PARENTS.includes(parent.getKind())) {
+    return false;
+  }
+
+  // 属性名、方法名等声明名称
+  if (typeof parent.getNameNode === 'function' && parent.getNameNode() === node) {
+    return false;
+  }
+
+  // require()/import() 的模块路径
+  if (parent.getKind() === SyntaxKind.CallExpression) {
+    const callee = parent.getExpression().getText();
+    if (callee === 'require' || callee === 'import') {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * 检查节点是否为 case 标签或相等比较（===、!==、==、!=）的操作数
+ * @param {Node} node - 包含中文的节点
+ * @returns {boolean} 是否用于比较
+ */
+function isComparedValue(node) {
+  const parent = node.getParent();
+
+  if (parent.getKind() === SyntaxKind.CaseClause) {
+    return parent.getExpression() === node;
+  }
+
+  return parent.getKind() === SyntaxKind.BinaryExpression
+    && COMPARISON_OPERATORS.includes(parent.getOperatorToken().getKind());
+}
+
+/**
+ * 替换 Vue 单文件组件中的中文文本
+ * @param {string} content - .vue 文件内容
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 替换选项 { fn, vueFn, importFrom } 及提取规则
+ * @returns {{code: string, count: number}} 替换后的内容和替换次数
+ */
+function replaceInVue(content, filePath, options) {
+  const { vueFn } = options;
+  const { template, scripts } = splitVueFile(content, filePath);
+  const edits = [];
+  let count = 0;
+
+  const rules = compileExclusionRules(options);
+  const i18nRules = compileI18nRules(null, options);
+
+  collectTemplateParts(template).forEach((part, index) => {
+    if (part.ignore || (part.name && isExcludedAttribute(part.name, rules)) || isInI18nComponent(part.tags, i18nRules)) {
+      return;
+    }
+
+    if (part.type === 'text' || part.type === 'message') {
+      const text = part.type === 'message' ? stripPlaceholders(part.value) : part.value;
+      const key = isValidChineseText(text, options) ? resolveKey(part.value, options) : null;
+      if (key === null) {
+        return;
+      }
+      // 保留文本节点两侧的空白和换行，消息中的插值改为参数：共 {{ n }} 条 -> {{ $t('共{n}条', { n }) }}
+      const raw = content.slice(part.loc.start.offset, part.loc.end.offset);
+      const start = part.loc.start.offset + (raw.length - raw.trimStart().length);
+      edits.push({
+        start,
+        end: start + raw.trim().length,
+        text: `{{ ${formatCall(vueFn, key, part.params)} }}`
+      });
+      count++;
+    } else if (part.type === 'attribute') {
+      const key = isValidChineseText(part.value, options) ? resolveKey(part.value, options) : null;
+      if (key === null) {
+        return;
+      }
+      // 静态属性改为绑定属性：title="标题" -> :title="$t('标题')"
+      edits.push({
+        start: part.attributeLoc.start.offset,
+        end: part.attributeLoc.end.offset,
+        text: `:${part.name}="${vueFn}(${quote(key).replace(/"/g, '&quot;')})"`
+      });
+      count++;
+    } else {
+      const result = replaceInSource(part.value, `${filePath}.template-${index}.ts`, { ...options, fn: vueFn, importFrom: undefined });
+      if (result.count === 0) {
+        return;
+      }
+      edits.push({
+        start: part.offset,
+        end: part.offset + part.source.length,
+        text: part.wrapped ? result.code.slice(1, -1) : result.code
+      });
+      count += result.count;
+    }
+  });
+
+  // <script> 与 <script setup> 使用脚本的翻译函数和导入
+  scripts.forEach(script => {
+    const scriptPath = `${filePath}.${script.setup ? 'setup' : 'script'}.${script.extension}`;
+    const result = replaceInSource(script.content, scriptPath, options);
+    if (result.count === 0) {
+      return;
+    }
+    edits.push({
+      start: script.loc.start.offset,
+      end: script.loc.end.offset,
+      text: result.code
+    });
+    count += result.count;
+  });
+
+  return { code: applyEdits(content, edits), count };
+}
+
+/**
+ * 确保翻译函数已导入
+ * @param {string} code - 源码
+ * @param {string} filePath - 文件路径
+ * @param {string} fn - 翻译函数，如 t 或 i18n.t（导入 i18n）
+ * @param {string} importFrom - 导入模块
+ * @returns {string} 添加导入后的源码
+ */
+function ensureImport(code, filePath, fn, importFrom) {
+  const name = fn.split('.')[0];
+
+  // this.$t 之类的实例方法无需导入
+  if (name === 'this') {
+    return code;
+  }
+
+  const sourceFile = createSourceFile(code, filePath);
+
+  const imported = sourceFile.getImportDeclarations().some(declaration => {
+    const defaultImport = declaration.getDefaultImport();
+    if (defaultImport && defaultImport.getText() === name) {
+      return true;
+    }
+    return declaration.getNamedImports().some(specifier =>
+      (specifier.getAliasNode() || specifier.getNameNode()).getText() === name
+    );
+  });
+
+  // 已在文件中声明（如 const { t } = useI18n()）也不再导入
+  const declared = [SyntaxKind.VariableDeclaration, SyntaxKind.BindingElement, SyntaxKind.FunctionDeclaration]
+    .some(kind => sourceFile.getDescendantsOfKind(kind).some(node =>
+      node.getNameNode() && node.getNameNode().getText() === name
+    ));
+
+  if (imported || declared) {
+    return code;
+  }
+
+  const importText = `import { ${name} } from ${quote(importFrom)};`;
+  const importDeclarations = sourceFile.getImportDeclarations();
+
+  // 追加在已有 import 之后，没有 import 时放在文件开头（保留 Vue script 块开头的换行）
+  if (importDeclarations.length > 0) {
+    const end = importDeclarations[importDeclarations.length - 1].getEnd();
+    return `${code.slice(0, end)}\n${importText}${code.slice(end)}`;
+  }
+
+  const start = code.length - code.trimStart().length;
+  return `${code.slice(0, start)}${importText}\n\n${code.slice(start)}`;
+}
+
+/**
+ * 按位置应用替换项
+ * @param {string} code - 原始源码
+ * @param {Object[]} edits - 替换项 { start, end, text }（互不重叠）
+ * @returns {string} 替换后的源码
+ */
+function applyEdits(code, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), code);
+}
+
+/**
+ * 生成翻译函数调用
+ * @param {string} fn - 翻译函数
+ * @param {string} key - 消息 key
+ * @param {Object[]} params - 占位符参数 [{ name, expression }]（可选）
+ * @returns {string} 调用源码，如 t('key') 或 t('key', { name, count: list.length })
+ */
+function formatCall(fn, key, params = []) {
+  if (params.length === 0) {
+    return `${fn}(${quote(key)})`;
+  }
+  const args = params.map(param =>
+    param.name === param.expression ? param.name : `${param.name}: ${param.expression}`
+  );
+  return `${fn}(${quote(key)}, { ${args.join(', ')} })`;
+}
+
+/**
+ * 将文本转换为单引号字符串字面量
+ * @param {string} text - 文本
+ * @returns {string} 字符串字面量源码
+ */
+function quote(text) {
+  const escaped = JSON.stringify(text)
+    .slice(1, -1)
+    .replace(/\\"/g, '"')
+    .replace(/'/g, "\\'");
+  return `'${escaped}'`;
+}
+
+module.exports = {
+  replace,
+  replaceInSource,
+  replaceInVue
+};
@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// 上下文类型的可读名称，用于 gettext 风格的引用视图
+const CONTEXT_LABELS = {
+  'jsx-text': 'JSX 文本',
+  'jsx-attribute': 'JSX 属性',
+  'jsx-expression': 'JSX 表达式',
+  'object-property': '对象属性',
+  'enum-member': '枚举成员',
+  'call-argument': '函数参数',
+  'variable': '变量',
+  'template': '模板字符串',
+  'string': '字符串',
+  'vue-text': 'Vue 模板文本',
+  'vue-attribute': 'Vue 模板属性',
+  'vue-binding': 'Vue 绑定表达式',
+  'vue-interpolation': 'Vue 插值'
+};
+
+/**
+ * 将出现位置转换为报告中的引用（文件路径相对于源目录）
+ * @param {Object} occurrence - 中文文本出现位置
+ * @param {string} sourcePath - 源目录路径
+ * @returns {Object} 引用 { file, line, column, context, container }
+ */
+function toReference(occurrence, sourcePath) {
+  const { file, line, column, context, container } = occurrence;
+  return {
+    file: path.relative(sourcePath, file).split(path.sep).join('/'),
+    line,
+    column,
+    context,
+    container
+  };
+}
+
+/**
+ * 生成可读的上下文描述
+ * @param {Object} reference - 引用
+ * @returns {string} 如 "JSX 属性 title · OrderDetail"
+ */
+function describeReference(reference) {
+  const { context, container } = reference;
+  const label = CONTEXT_LABELS[context.kind] || context.kind;
+  const description = context.name ? `${label} ${context.name}` : label;
+  return container ? `${description} · ${container}` : description;
+}
+
+/**
+ * 转义 gettext 字符串
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapePoString(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+}
+
+/**
+ * 生成 gettext 风格的引用视图（.pot）
+ * @param {Object} references - 引用报告 { 中文: 引用数组 }
+ * @returns {string} .pot 文件内容
+ */
+function formatReferencesAsPot(references) {
+  const entries = Object.entries(references).map(([text, items]) => {
+    const lines = [];
+
+    // 相同的上下文只输出一次
+    const descriptions = [...new Set(items.map(describeReference))];
+    descriptions.forEach(description => lines.push(`#. ${description}`));
+    items.forEach(item => lines.push(`#: ${item.file}:${item.line}`));
+
+    lines.push(`msgid "${escapePoString(text)}"`);
+    lines.push('msgstr ""');
+    return lines.join('\n');
+  });
+
+  return entries.join('\n\n') + '\n';
+}
+
+/**
+ * 写入引用报告：JSON 报告和 gettext 风格的 .pot 引用视图
+ * @param {Object} references - 引用报告 { 中文: 出现位置数组 }
+ * @param {string} sourcePath - 源目录路径（报告中的文件路径相对于该目录）
+ * @param {string} basePath - 报告文件路径（不含扩展名）
+ * @returns {Promise<string[]>} 写入的文件路径
+ */
+async function writeReferenceReport(references, sourcePath, basePath) {
+  const report = {};
+  for (const [text, occurrences] of Object.entries(references)) {
+    report[text] = occurrences.map(occurrence => toReference(occurrence, sourcePath));
+  }
+
+  const jsonPath = `${basePath}.references.json`;
+  const potPath = `${basePath}.references.pot`;
+
+  await fs.writeJson(jsonPath, report, { spaces: 2 });
+  await fs.writeFile(potPath, formatReferencesAsPot(report));
+
+  return [jsonPath, potPath];
+}
+
+/**
+ * 写入忽略报告：被 .pickcnignore 忽略的文件，以及被忽略指令忽略的文件和文本，便于审查
+ * @param {Object[]} ignored - extract 返回的忽略项 { file, reason } 或 { text, file, line, column, context, container, reason }
+ * @param {string} sourcePath - 源目录路径（报告中的文件路径相对于该目录）
+ * @param {string} basePath - 报告文件路径（不含扩展名）
+ * @returns {Promise<string>} 写入的文件路径
+ */
+async function writeIgnoredReport(ignored, sourcePath, basePath) {
+  const report = { files: [], texts: [] };
+  ignored.forEach(item => {
+    const file = path.relative(sourcePath, item.file).split(path.sep).join('/');
+    if (item.text === undefined) {
+      report.files.push({ file, reason: item.reason });
+    } else {
+      report.texts.push({ text: item.text, ...toReference(item, sourcePath), reason: item.reason });
+    }
+  });
+
+  const jsonPath = `${basePath}.ignored.json`;
+  await fs.writeJson(jsonPath, report, { spaces: 2 });
+  return jsonPath;
+}
+
+/**
+ * 生成忽略项的单行描述，如 src/mock.ts:12:8 "测试数据"（pick-cn-ignore-next-line）
+ * @param {Object} item - 忽略项
+ * @param {string} sourcePath - 源目录路径
+ * @returns {string} 描述
+ */
+function describeIgnored(item, sourcePath) {
+  const file = path.relative(sourcePath, item.file).split(path.sep).join('/');
+  if (item.text === undefined) {
+    return `${file}（${item.reason}）`;
+  }
+  return `${file}:${item.line}:${item.column} "${item.text}"（${item.reason}）`;
+}
+
+module.exports = {
+  toReference,
+  describeReference,
+  describeIgnored,
+  escapePoString,
+  writeReferenceReport,
+  writeIgnoredReport
+};
@@ -0,0 +1,217 @@
+const { RateLimitError } = require('./errors');
+
+/**
+ * 默认的调度参数
+ *   qps - 每秒最多发送的请求数（令牌桶的填充速度，0 表示不限制）
+ *   concurrency - 同时进行的请求数
+ *   maxRetries - 限流或网络错误时的最大重试次数
+ *   backoff - 指数退避的初始等待时间（毫秒）
+ *   maxBackoff - 指数退避的最长等待时间（毫秒）
+ */
+const DEFAULT_LIMITS = {
+  qps: 2,
+  concurrency: 1,
+  maxRetries: 5,
+  backoff: 1000,
+  maxBackoff: 30000
+};
+
+// 可以重试的网络错误
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+// 默认使用系统时间和 setTimeout 计时
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  sleep
+};
+
+/**
+ * 请求调度器：令牌桶控制 QPS，信号量控制并发，限流时按 Retry-After 或带抖动的指数退避重试
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} limits - 调度参数（见 DEFAULT_LIMITS）
+   * @param {Object} options - 选项
+   * @param {string} options.name - 名称（用于日志）
+   * @param {Object} options.logger - 日志对象（默认 console）
+   * @param {Object} options.clock - 计时 { now(), sleep(ms) }（默认为系统时间，测试时可替换为模拟时钟）
+   */
+  constructor(limits = {}, options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.name = options.name || '';
+    this.logger = options.logger || console;
+    this.clock = options.clock || SYSTEM_CLOCK;
+
+    // 令牌桶容量为 1：请求之间至少间隔 1/qps 秒，避免瞬间突发触发服务端限流
+    this.tokens = 1;
+    this.refilledAt = this.clock.now();
+    this.pausedUntil = 0;
+
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * 按调度参数执行请求，限流或网络错误时重试
+   * @param {Function} task - 发送请求的函数，返回 Promise
+   * @returns {Promise<*>} 请求结果
+   */
+  async schedule(task) {
+    for (let attempt = 0; ; attempt++) {
+      let failure;
+      await this.acquireSlot();
+      try {
+        await this.acquireToken();
+        return await task();
+      } catch (error) {
+        failure = error;
+      } finally {
+        this.releaseSlot();
+      }
+
+      if (!isRetryableError(failure) || attempt >= this.limits.maxRetries) {
+        throw failure;
+      }
+
+      const delay = this.getRetryDelay(failure, attempt);
+      if (failure instanceof RateLimitError) {
+        // 限流时暂停该服务的所有请求，而不只是当前请求
+        this.pausedUntil = Math.max(this.pausedUntil, this.clock.now() + delay);
+        this.logger.log(`⏳ ${this.name} 限流，${(delay / 1000).toFixed(1)} 秒后重试第 ${attempt + 1} 次...`);
+      } else {
+        this.logger.log(`🔄 ${this.name} 网络错误（${failure.code}），${(delay / 1000).toFixed(1)} 秒后重试第 ${attempt + 1} 次...`);
+      }
+      await this.clock.sleep(delay);
+    }
+  }
+
+  /**
+   * 计算重试前的等待时间：优先使用服务返回的 Retry-After，否则为带抖动的指数退避
+   * @param {Error} error - 请求错误
+   * @param {number} attempt - 已重试次数
+   * @returns {number} 等待时间（毫秒）
+   */
+  getRetryDelay(error, attempt) {
+    if (typeof error.retryAfter === 'number' && error.retryAfter >= 0) {
+      return error.retryAfter;
+    }
+    const { backoff, maxBackoff } = this.limits;
+    const delay = Math.min(maxBackoff, backoff * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * 等待令牌桶中有可用的令牌
+   */
+  async acquireToken() {
+    const { qps } = this.limits;
+    for (;;) {
+      const now = this.clock.now();
+      if (now < this.pausedUntil) {
+        await this.clock.sleep(this.pausedUntil - now);
+        continue;
+      }
+      if (!qps || qps === Infinity) {
+        return;
+      }
+
+      this.tokens = Math.min(1, this.tokens + (now - this.refilledAt) / 1000 * qps);
+      this.refilledAt = now;
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await this.clock.sleep(Math.ceil((1 - this.tokens) / qps * 1000));
+    }
+  }
+
+  /**
+   * 等待空闲的并发名额
+   */
+  async acquireSlot() {
+    if (this.active < Math.max(1, this.limits.concurrency)) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * 释放并发名额（有等待的请求时直接交给它）
+   */
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * 判断错误是否可以重试：限流错误或临时的网络错误
+ * @param {Error} error - 请求错误
+ * @returns {boolean} 是否可以重试
+ */
+function isRetryableError(error) {
+  return error instanceof RateLimitError || Boolean(error && RETRYABLE_CODES.includes(error.code));
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string|number} value - 响应头的值
+ * @returns {number|undefined} 等待时间（毫秒），无法解析时为 undefined
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * 包装 HTTP 请求错误：HTTP 429 转换为 RateLimitError（带 Retry-After），其它错误保留网络错误码
+ * @param {Error} error - axios 等抛出的错误
+ * @param {string} prefix - 错误信息前缀，如 "百度翻译请求失败"
+ * @returns {Error} 包装后的错误
+ */
+function wrapRequestError(error, prefix) {
+  if (error instanceof RateLimitError) {
+    return error;
+  }
+
+  const { response } = error;
+  if (response && response.status === 429) {
+    const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+    return new RateLimitError(`${prefix}: 请求过于频繁（HTTP 429）`, { retryAfter, cause: error });
+  }
+
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  if (error.code) {
+    wrapped.code = error.code;
+  }
+  return wrapped;
+}
+
+/**
+ * 等待一段时间
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  RequestScheduler,
+  isRetryableError,
+  parseRetryAfter,
+  wrapRequestError
+};
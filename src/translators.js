@@ -1,154 +1,406 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const path = require('path');
 const querystring = require('querystring');
+const { ConfigError, RateLimitError } = require('./errors');
+const { RequestScheduler, wrapRequestError } = require('./scheduler');
+const { Glossary } = require('./glossary');
+const { OpenAITranslator } = require('./llm');
+
+/**
+ * 目标语言代码与各翻译服务语言代码的对应关系
+ * 未列出的语言代码会原样传给翻译服务
+ */
+const LANGUAGE_CODES = {
+  'en': { baidu: 'en', youdao: 'en', google: 'en' },
+  'ja': { baidu: 'jp', youdao: 'ja', google: 'ja' },
+  'ko': { baidu: 'kor', youdao: 'ko', google: 'ko' },
+  'zh-TW': { baidu: 'cht', youdao: 'zh-CHT', google: 'zh-TW' },
+  'fr': { baidu: 'fra', youdao: 'fr', google: 'fr' },
+  'de': { baidu: 'de', youdao: 'de', google: 'de' },
+  'es': { baidu: 'spa', youdao: 'es', google: 'es' },
+  'ru': { baidu: 'ru', youdao: 'ru', google: 'ru' },
+  'vi': { baidu: 'vie', youdao: 'vi', google: 'vi' },
+  'th': { baidu: 'th', youdao: 'th', google: 'th' }
+};
+
+/**
+ * 获取翻译服务使用的语言代码
+ * @param {string} service - 翻译服务名称 (baidu, youdao, google)
+ * @param {string} language - 目标语言代码，如 en、ja、zh-TW
+ * @returns {string} 翻译服务的语言代码
+ */
+function getLanguageCode(service, language) {
+  const codes = LANGUAGE_CODES[language];
+  return codes && codes[service] ? codes[service] : language;
+}
+
+// 百度、有道表示限流的错误码
+const BAIDU_RATE_LIMIT_CODES = ['54003', '54005'];
+const YOUDAO_RATE_LIMIT_CODES = ['411', '412'];
+
+// 批量翻译接口单次最多处理的文本数（provider 未声明 maxBatchSize 时使用）
+const DEFAULT_MAX_BATCH_SIZE = 20;
+
+/**
+ * 翻译服务 provider 接口
+ *
+ * 注册到 registry 的可以是 provider 对象、provider 类，或返回 provider 的工厂函数 (options) => provider，
+ * 类和工厂函数会收到 { logger, credentials }，credentials 为 api-config.json 中与服务同名的配置（缺少的字段从环境变量补充）
+ *
+ * provider 的成员：
+ *   translate(text, to, context) - 翻译单个文本，返回译文（必须）
+ *   batchTranslate(texts, to, context) - 批量翻译，返回与 texts 顺序一致的译文数组（可选）
+ *     context 为 { references: { 文本: [{ file, line, context, container }] }, glossary: { 术语: 译文 } }，可用于大模型提示词
+ *   maxBatchSize - batchTranslate 单次最多处理的文本数（默认 20）
+ *   rateLimit - 限流提示 { qps, concurrency, maxRetries }（默认见 scheduler.js，可被项目配置 rateLimits 覆盖）
+ *   credentials - 需要的凭证 [{ key, env, required }]，key 为 api-config.json 中的字段，env 为备用的环境变量；
+ *     类和工厂函数可以把 credentials 声明为静态属性，缺少 required 不为 false 的凭证时不发送请求
+ *   languageCodes - 目标语言代码与服务语言代码的对应关系，如 { ja: 'jp' }（可选，默认使用 LANGUAGE_CODES）
+ *
+ * 服务端限流时 provider 应抛出 RateLimitError（可带 retryAfter 毫秒），调度器会退避后重试；
+ * HTTP 请求可以用 scheduler.js 的 wrapRequestError 把 429 响应转换为 RateLimitError
+ */
+
+// 已注册的翻译服务 { 名称: provider 对象、类或工厂函数 }
+const registry = new Map();
+
+/**
+ * 注册翻译服务，同名时覆盖已有的服务
+ * @param {string} name - 翻译服务名称
+ * @param {Object|Function} provider - provider 对象、类或工厂函数
+ */
+function registerTranslator(name, provider) {
+  const valid = typeof provider === 'function' || (provider && typeof provider.translate === 'function');
+  if (!valid) {
+    throw new ConfigError(`翻译服务 ${name} 无效：需要提供 translate 方法，或导出返回 provider 的类或工厂函数`);
+  }
+  registry.set(name, provider);
+}
+
+/**
+ * 获取已注册的翻译服务名称
+ * @returns {string[]} 翻译服务名称
+ */
+function getTranslatorNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * 注册配置文件中声明的翻译服务
+ * @param {Object} translators - { 名称: 模块路径、npm 包名或 provider }
+ * @param {string} basePath - 解析 npm 包名的目录（默认当前目录）
+ */
+function registerTranslators(translators = {}, basePath = process.cwd()) {
+  for (const [name, provider] of Object.entries(translators)) {
+    registerTranslator(name, typeof provider === 'string' ? loadTranslatorModule(provider, basePath) : provider);
+  }
+}
+
+/**
+ * 解析 --translator 参数：已注册的服务直接使用，否则作为模块路径或 npm 包名加载并以该名称注册
+ * @param {string} service - 翻译服务名称、模块路径或 npm 包名
+ * @param {string} basePath - 解析 npm 包名的目录（默认当前目录）
+ * @returns {string} 翻译服务名称
+ */
+function resolveTranslator(service, basePath = process.cwd()) {
+  if (!registry.has(service)) {
+    registerTranslator(service, loadTranslatorModule(service, basePath));
+  }
+  return service;
+}
+
+/**
+ * 解析翻译服务链，如 baidu,youdao,google：前一个服务失败或返回空译文的文本交给下一个服务
+ * @param {string|string[]} translator - 逗号分隔的翻译服务或数组
+ * @returns {string[]} 去重后的翻译服务（默认 baidu）
+ */
+function parseTranslatorChain(translator) {
+  const list = Array.isArray(translator) ? translator : String(translator || 'baidu').split(',');
+  const services = [...new Set(list.map(service => service.trim()).filter(Boolean))];
+  return services.length > 0 ? services : ['baidu'];
+}
+
+/**
+ * 加载翻译服务模块
+ * @param {string} spec - 模块路径（相对路径相对于当前目录）或 npm 包名
+ * @param {string} basePath - 解析 npm 包名的目录
+ * @returns {Object|Function} 模块导出的 provider
+ */
+function loadTranslatorModule(spec, basePath) {
+  const isPath = /^\.{1,2}[\\/]/.test(spec) || path.isAbsolute(spec);
+
+  let modulePath;
+  try {
+    modulePath = isPath
+      ? require.resolve(path.resolve(spec))
+      : require.resolve(spec, { paths: [basePath, process.cwd(), __dirname] });
+  } catch (error) {
+    throw new ConfigError(`不支持的翻译服务: ${spec}（可选 ${getTranslatorNames().join('、')}，或可加载的模块路径、npm 包名）`, { cause: error });
+  }
+
+  try {
+    const exported = require(modulePath);
+    return exported && exported.__esModule ? exported.default : exported;
+  } catch (error) {
+    throw new ConfigError(`翻译服务模块加载失败: ${spec}（${error.message}）`, { cause: error });
+  }
+}
+
+/**
+ * 按凭证声明整理凭证：api-config.json 中的配置优先，缺少的字段从环境变量读取
+ * @param {Object[]} declarations - 凭证声明 [{ key, env }]
+ * @param {Object} config - api-config.json 中该服务的配置
+ * @returns {Object} 凭证
+ */
+function resolveCredentials(declarations = [], config = {}) {
+  const credentials = { ...config };
+  declarations.forEach(({ key, env }) => {
+    if (!credentials[key] && env && process.env[env]) {
+      credentials[key] = process.env[env];
+    }
+  });
+  return credentials;
+}
 
 /**
  * 翻译服务管理器
  */
 class TranslationManager {
-  constructor() {
-    this.translators = {
-      baidu: new BaiduTranslator(),
-      youdao: new YoudaoTranslator(),
-      google: new GoogleTranslator()
-    };
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.logger - 日志对象（默认 console）
+   * @param {Object} options.apiConfig - 合并后的 API 配置 { 服务名称: 凭证 }（缺少时从环境变量读取）
+   * @param {Object} options.references - 文本在代码中的引用 { 中文: 引用数组 }（作为翻译上下文传给 provider）
+   * @param {Glossary} options.glossary - 项目术语表（作为翻译上下文传给 provider，并用于整句覆盖和译文检查）
+   * @param {Object} options.rateLimits - 各翻译服务的调度参数 { 服务名称: { qps, concurrency, maxRetries } }
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.apiConfig = options.apiConfig || {};
+    this.references = options.references || {};
+    this.glossary = options.glossary || new Glossary();
+    this.rateLimits = options.rateLimits || {};
+    this.translators = {}; // 按需创建的 provider 实例
+    this.schedulers = {}; // 各翻译服务的请求调度器
     this.currentTranslator = 'baidu'; // 默认使用百度翻译
+    this.chain = [this.currentTranslator]; // 按顺序尝试的翻译服务
+  }
+
+  /**
+   * 设置翻译服务链，当前服务为链中的第一个
+   * @param {string[]} services - 已注册的翻译服务名称（按尝试顺序）
+   * @throws {ConfigError} 翻译服务未注册
+   */
+  setTranslatorChain(services) {
+    services.forEach(service => this.setTranslator(service));
+    this.chain = [...services];
+    this.currentTranslator = this.chain[0];
   }
 
   /**
    * 设置当前使用的翻译服务
-   * @param {string} service - 翻译服务名称 (baidu, youdao, google)
+   * @param {string} service - 已注册的翻译服务名称
+   * @throws {ConfigError} 翻译服务未注册
    */
   setTranslator(service) {
-    if (this.translators[service]) {
+    if (registry.has(service)) {
       this.currentTranslator = service;
     } else {
-      throw new Error(`不支持的翻译服务: ${service}`);
+      throw new ConfigError(`不支持的翻译服务: ${service}（可选 ${getTranslatorNames().join('、')}）`);
     }
   }
 
+  /**
+   * 获取翻译服务的 provider 实例，并检查凭证是否齐全
+   * @param {string} service - 翻译服务名称（默认当前服务）
+   * @returns {Object} provider 实例
+   * @throws {ConfigError} 翻译服务未注册、未提供 translate 方法或缺少凭证
+   */
+  getTranslator(service = this.currentTranslator) {
+    if (!this.translators[service]) {
+      const provider = registry.get(service);
+      if (!provider) {
+        throw new ConfigError(`不支持的翻译服务: ${service}`);
+      }
+
+      const credentials = resolveCredentials(provider.credentials, this.apiConfig[service]);
+      const translator = typeof provider !== 'function'
+        ? provider
+        : provider.prototype && typeof provider.prototype.translate === 'function'
+          ? new provider({ logger: this.logger, credentials })
+          : provider({ logger: this.logger, credentials });
+      if (!translator || typeof translator.translate !== 'function') {
+        throw new ConfigError(`翻译服务 ${service} 未提供 translate 方法`);
+      }
+
+      // 实例上声明的凭证在创建后从环境变量补充到同一个 credentials 对象
+      const declarations = translator.credentials || provider.credentials || [];
+      Object.assign(credentials, resolveCredentials(declarations, credentials));
+
+      const missing = declarations
+        .filter(({ key, required }) => required !== false && !credentials[key]);
+      if (missing.length > 0) {
+        const hints = missing.map(({ key, env }) => env ? `${key}（或环境变量 ${env}）` : key);
+        throw new ConfigError(`翻译服务 ${service} 缺少凭证: ${hints.join('、')}，请在 api-config.json 的 "${service}" 中配置`);
+      }
+
+      this.translators[service] = translator;
+    }
+    return this.translators[service];
+  }
+
+  /**
+   * 获取当前翻译服务使用的语言代码
+   * @param {string} language - 目标语言代码
+   * @returns {string} 翻译服务的语言代码
+   */
+  getLanguageCode(language) {
+    const { languageCodes } = this.getTranslator();
+    return languageCodes && languageCodes[language] ? languageCodes[language] : getLanguageCode(this.currentTranslator, language);
+  }
+
   /**
    * 翻译文本
    * @param {string} text - 要翻译的中文文本
+   * @param {string} to - 目标语言代码
+   * @param {Object} context - 翻译上下文 { references, glossary }
    * @returns {Promise<string>} 翻译结果
    */
-  async translate(text) {
-    const translator = this.translators[this.currentTranslator];
-    return await translator.translate(text);
+  async translate(text, to = 'en', context = {}) {
+    const translator = this.getTranslator();
+    return await translator.translate(text, this.getLanguageCode(to), context);
   }
 
   /**
    * 批量翻译文本
+   * 支持批量翻译的 provider 每批最多发送 maxBatchSize 个文本，失败时回退到逐个翻译；
+   * 请求由该服务的调度器按 QPS 和并发数发送，限流时自动退避重试
    * @param {string[]} texts - 要翻译的中文文本数组
+   * @param {string} to - 目标语言代码
+   * @param {Object} context - 翻译上下文 { references: { 文本: 引用数组 }, glossary: { 术语: 译文 } }
    * @returns {Promise<Object>} 翻译结果映射
    */
-  async batchTranslate(texts) {
+  async batchTranslate(texts, to = 'en', context = {}) {
     const results = {};
-    const translator = this.translators[this.currentTranslator];
-    
-    // 如果是百度翻译，使用其原生批量翻译能力
-    if (this.currentTranslator === 'baidu' && translator.batchTranslate) {
-      const batchSize = 20; // 百度API支持一次翻译20个文本
-      
-      for (let i = 0; i < texts.length; i += batchSize) {
-        const batch = texts.slice(i, i + batchSize);
-        
-        console.log(`📡 正在翻译第 ${Math.floor(i/batchSize) + 1} 批，共 ${Math.ceil(texts.length/batchSize)} 批（${batch.length} 个文本）`);
-        
-        try {
-          const translations = await translator.batchTranslate(batch);
-          
-          // 合并结果
-          for (let j = 0; j < batch.length; j++) {
-            const text = batch[j];
-            const translation = translations[j];
-            results[text] = translation;
-            console.log(`✅ ${text} -> ${translation}`);
-          }
-          
-        } catch (error) {
-          console.warn(`⚠️  批量翻译失败: ${error.message}`);
-          
-          // 批量翻译失败，回退到单个翻译
-          for (const text of batch) {
-            try {
-              const translation = await translator.translate(text);
-              results[text] = translation;
-              console.log(`✅ 单个翻译: ${text} -> ${translation}`);
-              await new Promise(resolve => setTimeout(resolve, 500));
-            } catch (singleError) {
-              console.warn(`⚠️  单个翻译失败: ${text} - ${singleError.message}`);
-              results[text] = null;
-              await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-          }
-        }
+    const translator = this.getTranslator();
+    const scheduler = this.getScheduler();
+    const { qps, concurrency } = scheduler.limits;
+
+    if (!translator.batchTranslate) {
+      this.logger.log(`📡 正在逐个翻译 ${texts.length} 个文本（并发 ${concurrency}，每秒最多 ${qps || '不限'} 个请求）`);
+      await this.translateEach(texts, to, context, results);
+      return results;
+    }
 
-        // 批次之间的延迟
-        if (i + batchSize < texts.length) {
-          console.log('🕰️  等待 5 秒后继续下一批...');
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-      }
-    } else {
-      // 其他翻译服务使用原有的串行处理逻辑
-      const batchSize = 3;
-      for (let i = 0; i < texts.length; i += batchSize) {
-        const batch = texts.slice(i, i + batchSize);
-        
-        console.log(`📡 正在翻译第 ${Math.floor(i/batchSize) + 1} 批，共 ${Math.ceil(texts.length/batchSize)} 批（${batch.length} 个文本）`);
-        
-        for (const text of batch) {
-          try {
-            const translation = await this.translate(text);
-            results[text] = translation;
-            console.log(`✅ ${text} -> ${translation}`);
-            await new Promise(resolve => setTimeout(resolve, 500));
-          } catch (error) {
-            console.warn(`⚠️  翻译失败: ${text} - ${error.message}`);
-            results[text] = null;
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
+    const batchSize = translator.maxBatchSize || DEFAULT_MAX_BATCH_SIZE;
+    const batchCount = Math.ceil(texts.length / batchSize);
+    this.logger.log(`📡 分 ${batchCount} 批翻译 ${texts.length} 个文本（并发 ${concurrency}，每秒最多 ${qps || '不限'} 个请求）`);
 
-        if (i + batchSize < texts.length) {
-          console.log('🕰️  等待 3 秒后继续下一批...');
-          await new Promise(resolve => setTimeout(resolve, 3000));
+    const batches = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+      batches.push(texts.slice(i, i + batchSize));
+    }
+
+    await Promise.all(batches.map(async (batch, index) => {
+      try {
+        const translations = await scheduler.schedule(() => translator.batchTranslate(batch, this.getLanguageCode(to), context));
+        this.logger.log(`📡 第 ${index + 1}/${batchCount} 批完成（${batch.length} 个文本）`);
+
+        // 合并结果
+        for (let j = 0; j < batch.length; j++) {
+          const text = batch[j];
+          const translation = translations[j];
+          results[text] = translation;
+          this.logger.log(`✅ ${text} -> ${translation}`);
         }
+
+      } catch (error) {
+        this.logger.warn(`⚠️  第 ${index + 1}/${batchCount} 批翻译失败: ${error.message}`);
+
+        // 批量翻译失败，回退到单个翻译
+        await this.translateEach(batch, to, context, results, '单个翻译: ');
       }
-    }
+    }));
 
     return results;
   }
+
+  /**
+   * 逐个翻译文本（经调度器并发发送），失败的文本结果为 null
+   * @param {string[]} texts - 中文文本数组
+   * @param {string} to - 目标语言代码
+   * @param {Object} context - 翻译上下文
+   * @param {Object} results - 翻译结果映射（就地写入）
+   * @param {string} label - 日志前缀
+   */
+  async translateEach(texts, to, context, results, label = '') {
+    const scheduler = this.getScheduler();
+    await Promise.all(texts.map(async text => {
+      try {
+        const translation = await scheduler.schedule(() => this.translate(text, to, context));
+        results[text] = translation;
+        this.logger.log(`✅ ${label}${text} -> ${translation}`);
+      } catch (error) {
+        this.logger.warn(`⚠️  ${label ? '单个翻译失败' : '翻译失败'}: ${text} - ${error.message}`);
+        results[text] = null;
+      }
+    }));
+  }
+
+  /**
+   * 获取翻译服务的请求调度器（同一服务的所有请求共用，限流时一起暂停）
+   * 调度参数：provider 的 rateLimit 提示 < 项目配置 rateLimits 中该服务的设置
+   * @param {string} service - 翻译服务名称（默认当前服务）
+   * @returns {RequestScheduler} 调度器
+   */
+  getScheduler(service = this.currentTranslator) {
+    if (!this.schedulers[service]) {
+      const translator = this.getTranslator(service);
+      const limits = { ...translator.rateLimit, ...this.rateLimits[service] };
+      this.schedulers[service] = new RequestScheduler(limits, { name: service, logger: this.logger });
+    }
+    return this.schedulers[service];
+  }
 }
 
 /**
  * 百度翻译 API
  */
 class BaiduTranslator {
-  constructor() {
-    this.appId = process.env.BAIDU_TRANSLATE_APP_ID;
-    this.secretKey = process.env.BAIDU_TRANSLATE_SECRET_KEY;
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.logger - 日志对象（默认 console）
+   * @param {Object} options.credentials - 凭证 { appId, secretKey }（默认读取环境变量）
+   */
+  constructor(options = {}) {
+    const credentials = options.credentials || resolveCredentials(BaiduTranslator.credentials);
+    this.logger = options.logger || console;
+    this.appId = credentials.appId;
+    this.secretKey = credentials.secretKey;
     this.apiUrl = 'https://fanyi-api.baidu.com/api/trans/vip/translate';
+    this.maxBatchSize = 20; // 百度API支持一次翻译20个文本
+    this.rateLimit = { qps: 1, concurrency: 1 }; // 标准版 QPS 为 1，高级版可在项目配置 rateLimits 中调高
   }
 
   /**
    * 翻译单个文本
    * @param {string} text - 中文文本
-   * @returns {Promise<string>} 英文翻译
+   * @param {string} to - 百度翻译的目标语言代码
+   * @returns {Promise<string>} 译文
    */
-  async translate(text) {
-    const results = await this.batchTranslate([text]);
+  async translate(text, to = 'en') {
+    const results = await this.batchTranslate([text], to);
     return results[0];
   }
 
   /**
    * 批量翻译文本（百度 API 原生支持）
    * @param {string[]} texts - 中文文本数组（最多20个）
-   * @param {number} retryCount - 重试次数
-   * @returns {Promise<string[]>} 英文翻译数组
+   * @param {string} to - 百度翻译的目标语言代码
+   * @returns {Promise<string[]>} 译文数组
    */
-  async batchTranslate(texts, retryCount = 0) {
+  async batchTranslate(texts, to = 'en') {
     if (!this.appId || !this.secretKey) {
       throw new Error('百度翻译API配置缺失，请设置 BAIDU_TRANSLATE_APP_ID 和 BAIDU_TRANSLATE_SECRET_KEY 环境变量');
     }
@@ -165,7 +417,7 @@ class BaiduTranslator {
     const params = {
       q: query,
       from: 'zh',
-      to: 'en',
+      to,
       appid: this.appId,
       salt: salt,
       sign: sign
@@ -177,12 +429,9 @@ class BaiduTranslator {
       if (response.data.error_code) {
         const errorMsg = response.data.error_msg;
         
-        // 如果是限流错误且还有重试次数，则重试
-        if (errorMsg.includes('Invalid Access Limit') && retryCount < 3) {
-          const waitTime = (retryCount + 1) * 5000; // 递增等待时间：5s, 10s, 15s
-          console.log(`⏳ API限流，${waitTime/1000}秒后重试第${retryCount + 1}次...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          return await this.batchTranslate(texts, retryCount + 1);
+        // 54003 访问频率受限、54005 长文本请求频繁：交给调度器退避重试
+        if (BAIDU_RATE_LIMIT_CODES.includes(String(response.data.error_code))) {
+          throw new RateLimitError(`百度翻译API限流: ${errorMsg}`);
         }
         
         throw new Error(`百度翻译API错误: ${errorMsg}`);
@@ -195,17 +444,8 @@ class BaiduTranslator {
 
       throw new Error('百度翻译API返回结果为空');
     } catch (error) {
-      // 网络错误也可以重试
-      if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-        if (retryCount < 2) {
-          const waitTime = (retryCount + 1) * 3000;
-          console.log(`🔄 网络错误，${waitTime/1000}秒后重试...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          return await this.batchTranslate(texts, retryCount + 1);
-        }
-      }
-      
-      throw new Error(`百度翻译请求失败: ${error.message}`);
+      // 限流和网络错误保留类型，由调度器重试
+      throw wrapRequestError(error, '百度翻译请求失败');
     }
   }
 
@@ -225,18 +465,25 @@ class BaiduTranslator {
  * 有道翻译 API
  */
 class YoudaoTranslator {
-  constructor() {
-    this.appKey = process.env.YOUDAO_TRANSLATE_APP_KEY;
-    this.appSecret = process.env.YOUDAO_TRANSLATE_APP_SECRET;
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.credentials - 凭证 { appKey, appSecret }（默认读取环境变量）
+   */
+  constructor(options = {}) {
+    const credentials = options.credentials || resolveCredentials(YoudaoTranslator.credentials);
+    this.appKey = credentials.appKey;
+    this.appSecret = credentials.appSecret;
     this.apiUrl = 'https://openapi.youdao.com/api';
+    this.rateLimit = { qps: 2, concurrency: 2 };
   }
 
   /**
    * 翻译文本
    * @param {string} text - 中文文本
-   * @returns {Promise<string>} 英文翻译
+   * @param {string} to - 有道翻译的目标语言代码
+   * @returns {Promise<string>} 译文
    */
-  async translate(text) {
+  async translate(text, to = 'en') {
     if (!this.appKey || !this.appSecret) {
       throw new Error('有道翻译API配置缺失，请设置 YOUDAO_TRANSLATE_APP_KEY 和 YOUDAO_TRANSLATE_APP_SECRET 环境变量');
     }
@@ -248,7 +495,7 @@ class YoudaoTranslator {
     const params = {
       q: text,
       from: 'zh-CHS',
-      to: 'en',
+      to,
       appKey: this.appKey,
       salt: salt,
       sign: sign,
@@ -264,6 +511,10 @@ class YoudaoTranslator {
       });
 
       if (response.data.errorCode !== '0') {
+        // 411 访问频率受限、412 长请求过于频繁：交给调度器退避重试
+        if (YOUDAO_RATE_LIMIT_CODES.includes(response.data.errorCode)) {
+          throw new RateLimitError(`有道翻译API限流: ${response.data.errorCode}`);
+        }
         throw new Error(`有道翻译API错误: ${response.data.errorCode}`);
       }
 
@@ -273,7 +524,7 @@ class YoudaoTranslator {
 
       throw new Error('有道翻译API返回结果为空');
     } catch (error) {
-      throw new Error(`有道翻译请求失败: ${error.message}`);
+      throw wrapRequestError(error, '有道翻译请求失败');
     }
   }
 
@@ -295,17 +546,24 @@ class YoudaoTranslator {
  * Google 翻译 API
  */
 class GoogleTranslator {
-  constructor() {
-    this.apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.credentials - 凭证 { apiKey }（默认读取环境变量）
+   */
+  constructor(options = {}) {
+    const credentials = options.credentials || resolveCredentials(GoogleTranslator.credentials);
+    this.apiKey = credentials.apiKey;
     this.apiUrl = 'https://translation.googleapis.com/language/translate/v2';
+    this.rateLimit = { qps: 10, concurrency: 5 };
   }
 
   /**
    * 翻译文本
    * @param {string} text - 中文文本
-   * @returns {Promise<string>} 英文翻译
+   * @param {string} to - Google 翻译的目标语言代码
+   * @returns {Promise<string>} 译文
    */
-  async translate(text) {
+  async translate(text, to = 'en') {
     if (!this.apiKey) {
       throw new Error('Google翻译API配置缺失，请设置 GOOGLE_TRANSLATE_API_KEY 环境变量');
     }
@@ -314,7 +572,7 @@ class GoogleTranslator {
       key: this.apiKey,
       q: text,
       source: 'zh',
-      target: 'en',
+      target: to,
       format: 'text'
     };
 
@@ -335,12 +593,55 @@ class GoogleTranslator {
 
       throw new Error('Google翻译API返回结果为空');
     } catch (error) {
-      throw new Error(`Google翻译请求失败: ${error.message}`);
+      // 配额超限时 Google 返回 403 rateLimitExceeded / userRateLimitExceeded
+      if (isGoogleRateLimit(error)) {
+        throw new RateLimitError(`Google翻译API限流: ${error.message}`, { cause: error });
+      }
+      throw wrapRequestError(error, 'Google翻译请求失败');
     }
   }
 }
 
+/**
+ * 判断 Google 翻译的错误响应是否为限流
+ * @param {Error} error - axios 错误
+ * @returns {boolean} 是否为限流
+ */
+function isGoogleRateLimit(error) {
+  const { response } = error;
+  if (!response || response.status !== 403 || !response.data || !response.data.error) {
+    return false;
+  }
+  const reasons = (response.data.error.errors || []).map(item => item.reason);
+  return reasons.some(reason => /rateLimitExceeded/i.test(reason));
+}
+
+// 内置翻译服务需要的凭证：api-config.json 中的字段和备用的环境变量
+BaiduTranslator.credentials = [
+  { key: 'appId', env: 'BAIDU_TRANSLATE_APP_ID' },
+  { key: 'secretKey', env: 'BAIDU_TRANSLATE_SECRET_KEY' }
+];
+YoudaoTranslator.credentials = [
+  { key: 'appKey', env: 'YOUDAO_TRANSLATE_APP_KEY' },
+  { key: 'appSecret', env: 'YOUDAO_TRANSLATE_APP_SECRET' }
+];
+GoogleTranslator.credentials = [
+  { key: 'apiKey', env: 'GOOGLE_TRANSLATE_API_KEY' }
+];
+
+registerTranslator('baidu', BaiduTranslator);
+registerTranslator('youdao', YoudaoTranslator);
+registerTranslator('google', GoogleTranslator);
+registerTranslator('openai', OpenAITranslator);
+
 module.exports = {
+  LANGUAGE_CODES,
+  getLanguageCode,
+  registerTranslator,
+  registerTranslators,
+  resolveTranslator,
+  parseTranslatorChain,
+  getTranslatorNames,
   TranslationManager,
   BaiduTranslator,
   YoudaoTranslator,
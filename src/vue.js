@@ -0,0 +1,308 @@
+const { parse } = require('@vue/compiler-sfc');
+const { DIRECTIVES, getIgnoredLines, isNodeDirectiveComment } = require('./ignore');
+
+// @vue/compiler-core 的 AST 节点类型
+const NodeTypes = {
+  ELEMENT: 1,
+  TEXT: 2,
+  COMMENT: 3,
+  INTERPOLATION: 5,
+  ATTRIBUTE: 6,
+  DIRECTIVE: 7
+};
+
+// 中文字符、全角标点与插值之间的空白只用于排版，不计入消息
+const SPACE_BEFORE_PLACEHOLDER = /([\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uff00-\uffef])\s+(\{\w+\})/g;
+const SPACE_AFTER_PLACEHOLDER = /(\{\w+\})\s+(?=[\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uff00-\uffef])/g;
+
+// 判断文本和插值中是否含有中文
+const CHINESE_PATTERN = /[\u4e00-\u9fff]/;
+
+/**
+ * 拆分 Vue 单文件组件
+ * @param {string} content - .vue 文件内容
+ * @param {string} filePath - 文件路径（用于错误信息）
+ * @returns {{template: Object|null, scripts: Object[]}} template 块与 script 块
+ */
+function splitVueFile(content, filePath) {
+  const { descriptor, errors } = parse(content, { filename: filePath });
+
+  if (errors.length > 0) {
+    throw new Error(`Vue 文件解析失败: ${errors[0].message}`);
+  }
+
+  const scripts = [];
+  if (descriptor.script) {
+    scripts.push(toScriptBlock(descriptor.script, false));
+  }
+  if (descriptor.scriptSetup) {
+    scripts.push(toScriptBlock(descriptor.scriptSetup, true));
+  }
+
+  // 只处理 HTML 模板，pug 等预处理语言暂不支持
+  let template = null;
+  if (descriptor.template && (!descriptor.template.lang || descriptor.template.lang === 'html')) {
+    template = descriptor.template;
+  }
+
+  return { template, scripts };
+}
+
+/**
+ * 转换 script 块为统一结构
+ * @param {Object} block - compiler-sfc 的 script 块
+ * @param {boolean} setup - 是否为 <script setup>
+ * @returns {Object} script 块信息
+ */
+function toScriptBlock(block, setup) {
+  const lang = block.lang || 'js';
+  return {
+    content: block.content,
+    setup,
+    // ts-morph 根据扩展名决定解析方式
+    extension: ['ts', 'tsx', 'jsx'].includes(lang) ? lang : 'js',
+    loc: block.loc
+  };
+}
+
+/**
+ * 收集模板中可能包含中文的片段
+ * @param {Object} template - compiler-sfc 的 template 块
+ * @returns {Object[]} 片段数组，type 为 text（文本节点）、message（相邻的文本与插值合并的消息）、attribute（静态属性）或 expression（绑定表达式）。
+ *   message 片段的 value 为 {name} 形式的消息，params 为占位符参数 [{ name, expression }]；
+ *   expression 片段的 value 为可直接交给 ts-morph 解析的代码，source/offset 为其在 .vue 文件中对应的原始源码和位置；
+ *   被 <!-- pick-cn-ignore --> 或 <!-- pick-cn-ignore-next-line --> 忽略的片段带有 ignore（指令名称）；
+ *   tags 为片段所在元素及其父元素的标签名
+ */
+function collectTemplateParts(template) {
+  const parts = [];
+  if (!template || !template.ast) {
+    return parts;
+  }
+
+  const ignoredLines = getIgnoredLines(template.ast.source || '');
+  const add = (part, ignore, tags) => {
+    part.tags = tags;
+    if (!ignore && ignoredLines.has(getPartLine(part))) {
+      ignore = DIRECTIVES.nextLine;
+    }
+    if (ignore) {
+      part.ignore = ignore;
+    }
+    parts.push(part);
+  };
+
+  // ignore 为父节点或前一个 <!-- pick-cn-ignore --> 注释带来的忽略指令，tags 为所在元素及其父元素的标签名
+  const visit = (node, ignore, tags) => {
+    if (node.type === NodeTypes.ELEMENT) {
+      tags = [...tags, node.tag];
+    }
+
+    if (node.type === NodeTypes.TEXT) {
+      add({ type: 'text', value: node.content.trim(), loc: node.loc }, ignore, tags);
+    } else if (node.type === NodeTypes.INTERPOLATION) {
+      if (node.content && node.content.content.trim()) {
+        add(toExpressionPart(node.content.content, node.content.loc, 0, true), ignore, tags);
+      }
+    } else if (node.type === NodeTypes.ELEMENT) {
+      node.props.forEach(prop => {
+        if (prop.type === NodeTypes.ATTRIBUTE) {
+          if (prop.value) {
+            add({ type: 'attribute', name: prop.name, value: prop.value.content, loc: prop.value.loc, attributeLoc: prop.loc }, ignore, tags);
+          }
+        } else if (prop.type === NodeTypes.DIRECTIVE) {
+          const expression = getDirectiveExpression(prop);
+          if (expression) {
+            const part = toExpressionPart(expression.source, prop.exp.loc, expression.start, expression.wrap);
+            part.name = prop.rawName || prop.name;
+            add(part, ignore, tags);
+          }
+        }
+      });
+    }
+
+    if (node.children) {
+      let pending = null;
+      groupMessages(node.children).forEach(child => {
+        if (Array.isArray(child)) {
+          add(toMessagePart(child), ignore || pending, tags);
+          pending = null;
+          return;
+        }
+        if (child.type === NodeTypes.COMMENT) {
+          pending = isNodeDirectiveComment(child.content) ? DIRECTIVES.node : pending;
+          return;
+        }
+        if (child.type === NodeTypes.TEXT && !child.content.trim()) {
+          return;
+        }
+        visit(child, ignore || pending, tags);
+        pending = null;
+      });
+    }
+  };
+
+  visit(template.ast, null, []);
+  return parts;
+}
+
+/**
+ * 把相邻的文本与插值子节点合并为一条消息，如 共 {{ n }} 条记录 -> 共{n}条记录
+ * 只合并包含中文文本的组；插值中含有中文时不合并，仍分别提取
+ * @param {Object[]} children - 子节点
+ * @returns {Array<Object|Object[]>} 子节点，合并的节点为数组
+ */
+function groupMessages(children) {
+  const result = [];
+  let run = [];
+
+  const flush = () => {
+    const interpolations = run.filter(node => node.type === NodeTypes.INTERPOLATION);
+    const mergeable = interpolations.length > 0
+      && interpolations.every(node => node.content && node.content.content.trim() && !CHINESE_PATTERN.test(node.content.content))
+      && run.some(node => node.type === NodeTypes.TEXT && CHINESE_PATTERN.test(node.content));
+    if (mergeable) {
+      result.push(run);
+    } else {
+      result.push(...run);
+    }
+    run = [];
+  };
+
+  children.forEach(child => {
+    if (child.type === NodeTypes.TEXT || child.type === NodeTypes.INTERPOLATION) {
+      run.push(child);
+    } else {
+      flush();
+      result.push(child);
+    }
+  });
+  flush();
+
+  return result;
+}
+
+/**
+ * 构造消息片段：插值替换为命名占位符，相同表达式复用同一个占位符
+ * @param {Object[]} nodes - 相邻的文本与插值节点
+ * @returns {Object} 消息片段
+ */
+function toMessagePart(nodes) {
+  const params = [];
+  let message = '';
+
+  nodes.forEach((node, index) => {
+    if (node.type === NodeTypes.TEXT) {
+      message += node.content;
+      return;
+    }
+
+    const expression = node.content.content.trim();
+    let param = params.find(item => item.expression === expression);
+    if (!param) {
+      const baseName = getPlaceholderName(expression, index);
+      let name = baseName;
+      for (let i = 2; params.some(item => item.name === name); i++) {
+        name = `${baseName}${i}`;
+      }
+      param = { name, expression };
+      params.push(param);
+    }
+    message += `{${param.name}}`;
+  });
+
+  const first = nodes[0];
+  const last = nodes[nodes.length - 1];
+  return {
+    type: 'message',
+    value: message.replace(SPACE_BEFORE_PLACEHOLDER, '$1$2').replace(SPACE_AFTER_PLACEHOLDER, '$1').trim(),
+    params,
+    loc: { start: first.loc.start, end: last.loc.end, source: nodes.map(node => node.loc.source).join('') }
+  };
+}
+
+/**
+ * 根据插值表达式推导占位符名称：变量名或属性访问的最后一个属性名，其它表达式为 arg + 序号
+ * @param {string} expression - 插值表达式源码
+ * @param {number} index - 插值在消息中的序号
+ * @returns {string} 占位符名称
+ */
+function getPlaceholderName(expression, index) {
+  const match = /^[A-Za-z_$][\w$]*(?:\??\.([A-Za-z_$][\w$]*))*$/.exec(expression);
+  if (!match) {
+    return `arg${index}`;
+  }
+  return match[1] || expression;
+}
+
+/**
+ * 获取片段中文本起始处的行号（文本节点跳过开头的空白）
+ * @param {Object} part - 模板片段
+ * @returns {number} 行号（从 1 开始）
+ */
+function getPartLine(part) {
+  if (part.type === 'text' || part.type === 'message') {
+    const raw = part.loc.source;
+    return part.loc.start.line + (raw.slice(0, raw.length - raw.trimStart().length).match(/\n/g) || []).length;
+  }
+  return part.loc.start.line;
+}
+
+/**
+ * 构造表达式片段
+ * @param {string} source - 表达式源码
+ * @param {Object} loc - 所在表达式节点的位置
+ * @param {number} start - source 在表达式节点中的起始位置
+ * @param {boolean} wrap - 是否需要包裹括号才能按语句解析
+ * @returns {Object} 表达式片段
+ */
+function toExpressionPart(source, loc, start, wrap) {
+  return {
+    type: 'expression',
+    value: wrap ? `(${source})` : source,
+    source,
+    offset: loc.start.offset + start,
+    wrapped: wrap,
+    loc
+  };
+}
+
+/**
+ * 获取指令中可解析为 JS 的表达式
+ * @param {Object} directive - 指令节点
+ * @returns {{source: string, start: number, wrap: boolean}|null} 表达式源码、在指令值中的起始位置及是否需要包裹括号
+ */
+function getDirectiveExpression(directive) {
+  if (!directive.exp || !directive.exp.content.trim()) {
+    return null;
+  }
+
+  const content = directive.exp.content;
+
+  // v-slot 的表达式是参数解构，不包含需要翻译的文本
+  if (directive.name === 'slot') {
+    return null;
+  }
+
+  // v-for 只取 in/of 右侧的数据源表达式
+  if (directive.name === 'for') {
+    const match = content.match(/\s+(?:in|of)\s+/);
+    if (!match) {
+      return null;
+    }
+    const start = match.index + match[0].length;
+    return { source: content.slice(start), start, wrap: true };
+  }
+
+  // v-on 的值可能是语句（如 msg = '点击'），直接按语句解析
+  if (directive.name === 'on') {
+    return { source: content, start: 0, wrap: false };
+  }
+
+  return { source: content, start: 0, wrap: true };
+}
+
+module.exports = {
+  splitVueFile,
+  collectTemplateParts
+};
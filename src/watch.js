@@ -0,0 +1,339 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { findSourceFiles } = require('./extractor');
+const { extractChineseFromFiles } = require('./parallel');
+const { translate, writeOutput } = require('./index');
+const { deduplicateTexts, groupReferences } = require('./dedupe');
+const { SOURCE_LOCALE, parseLanguages, resolveOutputPath, loadExistingLocales } = require('./output');
+const { writeReferenceReport, writeIgnoredReport } = require('./report');
+const { TranslationMemory, resolveMemoryPath } = require('./memory');
+const { parseKeyStrategy, applyKeyStrategy, toTextLocales } = require('./keys');
+const { silentLogger } = require('./logger');
+const { ConfigError } = require('./errors');
+
+// 文件变化后等待的时间，编辑器一次保存可能触发多个事件
+const DEBOUNCE_DELAY = 200;
+
+// 不支持递归监听时重新扫描的间隔
+const POLL_INTERVAL = 1000;
+
+// 这些目录中的变化不触发重新扫描（翻译记忆、依赖和构建产物）
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', '.git', '.pick-cn'];
+
+// 每次最多列出的 key 数量
+const MAX_LISTED_KEYS = 10;
+
+/**
+ * 源文件索引：按文件保存提取结果，文件变化时只重新提取变化的文件
+ */
+class SourceIndex {
+  /**
+   * @param {Object} options - 提取选项（同 extractChineseFromFiles）
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.entries = new Map(); // 文件路径 -> { mtimeMs, size, occurrences, ignored }
+  }
+
+  /**
+   * 按最新的文件列表更新索引：删除已不存在的文件，重新提取新增和修改过（修改时间或大小变化）的文件
+   * @param {string[]} files - 文件路径数组
+   * @returns {Promise<{added: string[], changed: string[], removed: string[]}>} 变化的文件
+   */
+  async update(files) {
+    const changes = { added: [], changed: [], removed: [] };
+    const current = new Set(files);
+
+    for (const file of this.entries.keys()) {
+      if (!current.has(file)) {
+        this.entries.delete(file);
+        changes.removed.push(file);
+      }
+    }
+
+    const modified = [];
+    for (const file of files) {
+      const entry = this.entries.get(file);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat) {
+        // 扫描后到读取前被删除
+        if (entry) {
+          this.entries.delete(file);
+          changes.removed.push(file);
+        }
+        continue;
+      }
+      if (!entry || entry.mtimeMs !== stat.mtimeMs || entry.size !== stat.size) {
+        modified.push({ file, stat, isNew: !entry });
+      }
+    }
+
+    // 首次扫描时使用提取缓存，之后只有少量文件变化，直接解析
+    const cache = this.entries.size === 0 ? this.options.cache : false;
+    const results = await extractChineseFromFiles(modified.map(item => item.file), { ...this.options, silent: true, cache });
+    modified.forEach(({ file, stat, isNew }, index) => {
+      const { occurrences, ignored } = results[index];
+      this.entries.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, occurrences, ignored });
+      (isNew ? changes.added : changes.changed).push(file);
+    });
+
+    return changes;
+  }
+
+  /**
+   * 所有文件中的中文文本出现位置
+   * @returns {Object[]} 出现位置数组
+   */
+  getOccurrences() {
+    return [...this.entries.values()].flatMap(entry => entry.occurrences);
+  }
+
+  /**
+   * 去重后的中文文本
+   * @returns {string[]} 中文文本数组
+   */
+  getTexts() {
+    return deduplicateTexts([...new Set(this.getOccurrences().map(occurrence => occurrence.text))]);
+  }
+
+  /**
+   * 被忽略指令忽略的文件和文本
+   * @returns {Object[]} 忽略项
+   */
+  getIgnored() {
+    return [...this.entries.values()].flatMap(entry => entry.ignored);
+  }
+}
+
+/**
+ * 监听模式：首次运行与 execute --merge 相同，之后监听源目录，
+ * 只重新提取新增、修改或删除的文件，只翻译新出现的文本，并就地更新映射文件
+ * @param {Object} options - 配置选项（同 execute）
+ * @returns {Promise<Function>} 停止监听的函数（命令行中按 Ctrl+C 退出，首次运行出错时以退出码 1 结束）
+ */
+async function watch(options) {
+  try {
+    return await startWatching(options);
+  } catch (error) {
+    console.error('❌ 执行失败:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * 首次运行并开始监听
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Function>} 停止监听的函数
+ */
+async function startWatching(options) {
+  if (options.since || options.staged) {
+    throw new ConfigError('--watch 不能与 --since、--staged 同时使用');
+  }
+  const { source, target, output, untranslated, prune, report, combined, format = 'json' } = options;
+  const languages = parseLanguages(options.to);
+  const keyStrategy = parseKeyStrategy(options.keyStrategy);
+  const keyed = keyStrategy !== 'text';
+  const outputPath = resolveOutputPath(path.join(target || source, output), format);
+  const reportBasePath = path.join(target || source, path.basename(output, path.extname(output)));
+
+  // 翻译记忆只创建一次，每轮翻译复用
+  const translationMemory = untranslated || options.translationMemory === false
+    ? false
+    : new TranslationMemory(resolveMemoryPath(source, options.translationMemory));
+
+  // 之后每轮只输出警告和错误，进度由监听模式自己输出
+  const roundLogger = { ...silentLogger, warn: console.warn.bind(console), error: console.error.bind(console) };
+
+  const index = new SourceIndex(options);
+  let textLocales = {};
+  let activeTexts = new Set();
+  let previousKeys = {};
+  let writtenKeys = [];
+
+  /**
+   * 扫描源目录并更新映射文件
+   * @param {boolean} initial - 是否为首次运行
+   */
+  async function refresh(initial) {
+    const ignoredFiles = [];
+    const files = await findSourceFiles(source, { ...options, ignored: ignoredFiles });
+    const changes = await index.update(files);
+    if (!initial && changes.added.length + changes.changed.length + changes.removed.length === 0) {
+      return;
+    }
+
+    if (initial) {
+      console.log(`🔍 找到 ${files.length} 个文件，提取到 ${index.getOccurrences().length} 处中文文本`);
+    } else {
+      logChanges(changes, source);
+    }
+
+    const texts = index.getTexts();
+    const current = new Set(texts);
+    const added = texts.filter(text => !activeTexts.has(text));
+    const removed = [...activeTexts].filter(text => !current.has(text));
+
+    if (added.length > 0) {
+      if (!initial) {
+        console.log(`🌐 翻译 ${added.length} 个新文本...`);
+      }
+      textLocales = await translate(added, {
+        ...options,
+        existing: textLocales,
+        prune: initial && prune,
+        occurrences: index.getOccurrences(),
+        translationMemory,
+        logger: initial ? console : roundLogger
+      });
+    } else if (initial && prune) {
+      // 没有新文本时也要删除已有映射文件中的过期 key
+      textLocales = await translate([], { ...options, existing: textLocales, prune, translationMemory, logger: console });
+    }
+
+    // 源码中已删除的文本从映射中删除（首次运行前已有的过期 key 按 --prune 处理）
+    for (const language of Object.keys(textLocales)) {
+      removed.forEach(text => delete textLocales[language][text]);
+    }
+    activeTexts = current;
+
+    let locales = textLocales;
+    if (keyed) {
+      locales = applyKeyStrategy(textLocales, { strategy: keyStrategy, occurrences: index.getOccurrences(), previous: previousKeys });
+      previousKeys = locales[SOURCE_LOCALE];
+    }
+
+    const keys = Object.keys(locales[keyed ? SOURCE_LOCALE : languages[0]] || {});
+    const outputPaths = await writeOutput(locales, { output: outputPath, combined, format });
+    if (initial) {
+      console.log(`✅ 映射文件已保存到: ${outputPaths.join(', ')}`);
+    } else {
+      logKeyDiff(writtenKeys, keys);
+    }
+    writtenKeys = keys;
+
+    if (report) {
+      await writeReferenceReport(groupReferences(index.getOccurrences(), texts), source, reportBasePath);
+      await writeIgnoredReport([...ignoredFiles, ...index.getIgnored()], source, reportBasePath);
+    }
+  }
+
+  console.log(`📂 源目录: ${source}`);
+  console.log(`📄 输出文件: ${outputPath}（格式: ${format}）`);
+  console.log(`🌐 目标语言: ${languages.join(', ')}${combined ? '（合并输出）' : ''}`);
+
+  // 沿用已有映射文件中的翻译（监听模式始终合并）
+  const previous = keyed ? (await loadExistingLocales(outputPath, [SOURCE_LOCALE], combined, format))[SOURCE_LOCALE] : {};
+  textLocales = await loadExistingLocales(outputPath, languages, combined, format);
+  if (keyed) {
+    textLocales = toTextLocales(textLocales, previous);
+    previousKeys = previous;
+  }
+
+  await refresh(true);
+
+  // 同一时间只运行一轮，运行期间的变化在本轮结束后再处理
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  async function run() {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await refresh(false);
+    } catch (error) {
+      console.error('❌ 更新失败:', error.message);
+    }
+    running = false;
+    if (pending) {
+      pending = false;
+      await run();
+    }
+  }
+
+  const stop = watchDirectory(source, () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, DEBOUNCE_DELAY);
+  });
+
+  console.log('👀 正在监听文件变化（Ctrl+C 退出）...');
+  return () => {
+    clearTimeout(timer);
+    stop();
+  };
+}
+
+/**
+ * 监听目录中的文件变化（不支持递归监听的平台改为定时重新扫描）
+ * @param {string} directory - 目录路径
+ * @param {Function} onChange - 变化时的回调
+ * @returns {Function} 停止监听的函数
+ */
+function watchDirectory(directory, onChange) {
+  try {
+    const watcher = fs.watch(directory, { recursive: true }, (event, filename) => {
+      if (filename && isIgnoredChange(filename)) {
+        return;
+      }
+      onChange();
+    });
+    return () => watcher.close();
+  } catch (error) {
+    const timer = setInterval(onChange, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }
+}
+
+/**
+ * 判断变化是否发生在忽略的目录中
+ * @param {string} filename - 相对于监听目录的路径
+ * @returns {boolean} 是否忽略
+ */
+function isIgnoredChange(filename) {
+  return String(filename).split(/[\\/]/).some(segment => IGNORED_DIRECTORIES.includes(segment));
+}
+
+/**
+ * 输出变化的文件
+ * @param {Object} changes - SourceIndex.update 的结果
+ * @param {string} source - 源目录路径
+ */
+function logChanges(changes, source) {
+  const relative = file => path.relative(source, file).split(path.sep).join('/');
+  changes.added.forEach(file => console.log(`🆕 ${relative(file)}`));
+  changes.changed.forEach(file => console.log(`✏️  ${relative(file)}`));
+  changes.removed.forEach(file => console.log(`🗑️  ${relative(file)}`));
+}
+
+/**
+ * 输出映射文件中新增和删除的 key
+ * @param {string[]} before - 更新前的 key
+ * @param {string[]} after - 更新后的 key
+ */
+function logKeyDiff(before, after) {
+  const previous = new Set(before);
+  const current = new Set(after);
+  const added = after.filter(key => !previous.has(key));
+  const removed = before.filter(key => !current.has(key));
+
+  if (added.length === 0 && removed.length === 0) {
+    console.log('✅ 映射文件无变化');
+    return;
+  }
+
+  console.log(`✅ 映射文件已更新（+${added.length} -${removed.length}）`);
+  added.slice(0, MAX_LISTED_KEYS).forEach(key => console.log(`   + ${key}`));
+  removed.slice(0, MAX_LISTED_KEYS).forEach(key => console.log(`   - ${key}`));
+  const hidden = Math.max(added.length - MAX_LISTED_KEYS, 0) + Math.max(removed.length - MAX_LISTED_KEYS, 0);
+  if (hidden > 0) {
+    console.log(`   ... 另有 ${hidden} 个 key`);
+  }
+}
+
+module.exports = {
+  SourceIndex,
+  watch
+};
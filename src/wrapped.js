@@ -0,0 +1,117 @@
+const { SyntaxKind } = require('ts-morph');
+const { DEFAULT_CONFIG } = require('./config');
+const { toNamePattern, getCalleeName, matchesAny } = require('./exclusions');
+
+// 出现位置的分类：已包裹在翻译函数或组件中，或仍为硬编码
+const STATUS = {
+  wrapped: 'wrapped',
+  hardcoded: 'hardcoded'
+};
+
+/**
+ * 编译已国际化写法的识别规则
+ * @param {SourceFile} sourceFile - ts-morph 源文件（从中查找 i18n hook 解构出的翻译函数，可选）
+ * @param {Object} options - 配置选项
+ * @param {string[]} options.i18nFunctions - 翻译函数，支持 * 通配符，如 t、$t、i18n.t
+ * @param {string[]} options.i18nComponents - 翻译组件，如 Trans、i18n-t
+ * @param {string[]} options.i18nHooks - 返回翻译函数的 hook，如 useTranslation、useI18n
+ * @param {string} options.fn - replace 使用的翻译函数（始终识别）
+ * @param {string} options.vueFn - replace 在 Vue 模板中使用的翻译函数（始终识别）
+ * @returns {Object} 编译后的规则 { functions, components }
+ */
+function compileI18nRules(sourceFile, options = {}) {
+  const {
+    i18nFunctions = DEFAULT_CONFIG.i18nFunctions,
+    i18nComponents = DEFAULT_CONFIG.i18nComponents,
+    i18nHooks = DEFAULT_CONFIG.i18nHooks,
+    fn = DEFAULT_CONFIG.fn,
+    vueFn = DEFAULT_CONFIG.vueFn
+  } = options;
+
+  const functions = new Set([...i18nFunctions, fn, vueFn]);
+  if (sourceFile) {
+    findHookFunctions(sourceFile, i18nHooks).forEach(name => functions.add(name));
+  }
+
+  return {
+    functions: [...functions].map(name => toNamePattern(name, '[\\w$]*')),
+    components: i18nComponents.map(name => toNamePattern(name, '[\\w$.-]*'))
+  };
+}
+
+/**
+ * 查找从 i18n hook 解构出的翻译函数名，如 const { t: translate } = useTranslation() 中的 translate
+ * @param {SourceFile} sourceFile - ts-morph 源文件
+ * @param {string[]} hooks - hook 名称
+ * @returns {string[]} 翻译函数名
+ */
+function findHookFunctions(sourceFile, hooks) {
+  const names = [];
+  // 没有用到 hook 的文件无需遍历
+  const content = sourceFile.getFullText();
+  if (!hooks.some(hook => content.includes(hook))) {
+    return names;
+  }
+  sourceFile.getDescendantsOfKind(SyntaxKind.VariableDeclaration).forEach(declaration => {
+    const initializer = declaration.getInitializer();
+    const nameNode = declaration.getNameNode();
+    if (!initializer || initializer.getKind() !== SyntaxKind.CallExpression || nameNode.getKind() !== SyntaxKind.ObjectBindingPattern) {
+      return;
+    }
+    if (!hooks.includes(getCalleeName(initializer))) {
+      return;
+    }
+    nameNode.getElements().forEach(element => {
+      const property = element.getPropertyNameNode();
+      if ((property ? property.getText() : element.getName()) === 't') {
+        names.push(element.getName());
+      }
+    });
+  });
+  return names;
+}
+
+/**
+ * 判断包含中文的节点是否已国际化：位于翻译函数的参数中，或位于翻译组件内（不限层级）
+ * @param {Node} node - 包含中文的节点
+ * @param {Object} rules - compileI18nRules 返回的规则
+ * @returns {boolean} 是否已包裹
+ */
+function isWrapped(node, rules) {
+  let child = null;
+  for (let current = node; current; child = current, current = current.getParent()) {
+    const kind = current.getKind();
+
+    if (kind === SyntaxKind.CallExpression) {
+      if (child && current.getArguments().includes(child) && matchesAny(getCalleeName(current), rules.functions)) {
+        return true;
+      }
+    } else if (kind === SyntaxKind.JsxElement) {
+      if (matchesAny(current.getOpeningElement().getTagNameNode().getText(), rules.components)) {
+        return true;
+      }
+    } else if (kind === SyntaxKind.JsxSelfClosingElement) {
+      if (matchesAny(current.getTagNameNode().getText(), rules.components)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * 判断 Vue 模板片段是否位于翻译组件内
+ * @param {string[]} tags - 片段所在元素及其父元素的标签名
+ * @param {Object} rules - compileI18nRules 返回的规则
+ * @returns {boolean} 是否已包裹
+ */
+function isInI18nComponent(tags, rules) {
+  return (tags || []).some(tag => matchesAny(tag, rules.components));
+}
+
+module.exports = {
+  STATUS,
+  compileI18nRules,
+  isWrapped,
+  isInI18nComponent
+};
@@ -0,0 +1,222 @@
+const path = require('path');
+const { createZip, readZip } = require('./zip');
+const { escapeXml, parseXml, getXmlText } = require('./xml');
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// 数据验证下拉列表覆盖的最大行号
+const MAX_VALIDATION_ROW = 1048576;
+
+/**
+ * 生成只有一个工作表的 XLSX 文件（所有单元格为文本，首行冻结）
+ * @param {string[][]} rows - 行数组，第一行为表头
+ * @param {Object} options - 选项
+ * @param {string} options.sheetName - 工作表名称（默认 Sheet1）
+ * @param {number[]} options.columnWidths - 各列宽度（字符数，可选）
+ * @param {Object} options.validations - 下拉列表 { 列序号（从 0 开始）: 可选值数组 }，应用于表头以下的所有行
+ * @returns {Buffer} XLSX 文件内容
+ */
+function writeXlsx(rows, options = {}) {
+  const { sheetName = 'Sheet1', columnWidths = [], validations = {} } = options;
+
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const reference = `${toColumnName(columnIndex)}${rowIndex + 1}`;
+      const text = value === undefined || value === null ? '' : String(value);
+      return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeCellText(text)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const cols = columnWidths.length > 0
+    ? `<cols>${columnWidths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  const validationEntries = Object.entries(validations);
+  const dataValidations = validationEntries.length > 0
+    ? [
+      `<dataValidations count="${validationEntries.length}">`,
+      ...validationEntries.map(([columnIndex, values]) => {
+        const column = toColumnName(Number(columnIndex));
+        return `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="${column}2:${column}${MAX_VALIDATION_ROW}"><formula1>"${escapeXml(values.join(','))}"</formula1></dataValidation>`;
+      }),
+      '</dataValidations>'
+    ].join('')
+    : '';
+
+  const sheet = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<worksheet xmlns="${SPREADSHEET_NS}">`,
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    cols,
+    `<sheetData>${sheetRows.join('')}</sheetData>`,
+    dataValidations,
+    '</worksheet>'
+  ].join('');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+        '</Types>'
+      ].join('')
+    },
+    {
+      name: '_rels/.rels',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`,
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+        '</Relationships>'
+      ].join('')
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">`,
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`,
+        '</workbook>'
+      ].join('')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`,
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+        '</Relationships>'
+      ].join('')
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet }
+  ]);
+}
+
+/**
+ * 读取 XLSX 文件的第一个工作表
+ * @param {Buffer} buffer - XLSX 文件内容
+ * @returns {string[][]} 行数组，每行为各单元格的文本（空单元格为空字符串，跳过空行）
+ * @throws {Error} 不是有效的 XLSX 文件
+ */
+function readXlsx(buffer) {
+  const files = readZip(buffer);
+  const readPart = name => {
+    const data = files.get(name);
+    return data ? parseXml(data.toString('utf-8'), ['sheet', 'Relationship', 'si', 'r', 'row', 'c']) : null;
+  };
+
+  const sheetPath = findFirstSheet(readPart('xl/workbook.xml'), readPart('xl/_rels/workbook.xml.rels'));
+  const worksheet = readPart(sheetPath);
+  if (!worksheet || !worksheet.worksheet) {
+    throw new Error('不是有效的 XLSX 文件（找不到工作表）');
+  }
+
+  const sharedStrings = readPart('xl/sharedStrings.xml');
+  const strings = ((sharedStrings && sharedStrings.sst && sharedStrings.sst.si) || []).map(getRichText);
+
+  const sheetData = worksheet.worksheet.sheetData || {};
+  const rows = [];
+  (sheetData.row || []).forEach((row, position) => {
+    const rowIndex = row.r ? Number(row.r) - 1 : position;
+    const values = [];
+    (row.c || []).forEach((cell, cellPosition) => {
+      const columnIndex = cell.r ? fromColumnName(cell.r) : cellPosition;
+      values[columnIndex] = getCellText(cell, strings);
+    });
+    rows[rowIndex] = Array.from(values, value => value || '');
+  });
+
+  return rows.filter(row => row && row.some(value => value.trim() !== ''));
+}
+
+/**
+ * 查找工作簿中第一个工作表的文件路径
+ * @param {Object} workbook - 解析后的 xl/workbook.xml
+ * @param {Object} relationships - 解析后的 xl/_rels/workbook.xml.rels
+ * @returns {string} 工作表在压缩包中的路径
+ */
+function findFirstSheet(workbook, relationships) {
+  const [sheet] = (workbook && workbook.workbook && workbook.workbook.sheets && workbook.workbook.sheets.sheet) || [];
+  const items = (relationships && relationships.Relationships && relationships.Relationships.Relationship) || [];
+  const relationship = sheet && items.find(item => item.Id === sheet['r:id']);
+  if (!relationship) {
+    return 'xl/worksheets/sheet1.xml';
+  }
+  // Target 相对于 xl 目录，也可能是以 / 开头的绝对路径
+  const target = relationship.Target;
+  return target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+}
+
+/**
+ * 获取单元格的文本
+ * @param {Object} cell - 解析后的 c 节点
+ * @param {string[]} strings - 共享字符串
+ * @returns {string} 文本
+ */
+function getCellText(cell, strings) {
+  if (cell.t === 'inlineStr') {
+    return getRichText(cell.is || {});
+  }
+  const value = getXmlText(cell.v);
+  if (cell.t === 's') {
+    return strings[Number(value)] || '';
+  }
+  return value;
+}
+
+/**
+ * 获取字符串节点的文本（普通文本 <t>，或多段富文本 <r><t>）
+ * @param {Object} node - 解析后的 si 或 is 节点
+ * @returns {string} 文本
+ */
+function getRichText(node) {
+  if (node.t !== undefined) {
+    return getXmlText(node.t);
+  }
+  return (node.r || []).map(run => getXmlText(run.t)).join('');
+}
+
+/**
+ * 列序号转换为列名，如 0 -> A、26 -> AA
+ * @param {number} index - 列序号（从 0 开始）
+ * @returns {string} 列名
+ */
+function toColumnName(index) {
+  let name = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    name = String.fromCharCode(65 + ((value - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * 单元格引用转换为列序号，如 B3 -> 1
+ * @param {string} reference - 单元格引用
+ * @returns {number} 列序号（从 0 开始）
+ */
+function fromColumnName(reference) {
+  const letters = /^[A-Z]+/i.exec(reference)[0].toUpperCase();
+  return [...letters].reduce((value, letter) => value * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * 转义单元格文本（去掉 XML 不允许的控制字符）
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeCellText(text) {
+  return escapeXml(text.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+}
+
+module.exports = {
+  writeXlsx,
+  readXlsx
+};
@@ -0,0 +1,54 @@
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * 转义 XML 文本和属性值
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 解析 XML 文档
+ * @param {string} xml - XML 内容
+ * @param {string[]} arrayTags - 始终解析为数组的标签名（避免只有一个元素时被解析为对象，同名属性不受影响）
+ * @returns {Object} 解析结果，属性名不带前缀，文本保持原样（不转换数字、不去除空白）
+ */
+function parseXml(xml, arrayTags = []) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    isArray: (name, jPath, isLeafNode, isAttribute) => !isAttribute && arrayTags.includes(name)
+  });
+  return parser.parse(xml);
+}
+
+/**
+ * 获取解析后节点的文本内容
+ * @param {*} node - 解析后的节点（字符串，或带属性/子元素的对象）
+ * @returns {string} 文本内容
+ */
+function getXmlText(node) {
+  if (node === undefined || node === null) {
+    return '';
+  }
+  if (typeof node === 'object') {
+    return node['#text'] !== undefined ? String(node['#text']) : '';
+  }
+  return String(node);
+}
+
+module.exports = {
+  escapeXml,
+  parseXml,
+  getXmlText
+};
@@ -0,0 +1,162 @@
+const zlib = require('zlib');
+
+// ZIP 记录的签名
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// 压缩方式：0 为不压缩，8 为 deflate
+const STORED = 0;
+const DEFLATED = 8;
+
+// 通用标志位：文件名为 UTF-8
+const UTF8_FLAG = 0x0800;
+
+// CRC32 查找表
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * 计算 CRC32 校验值
+ * @param {Buffer} buffer - 数据
+ * @returns {number} 校验值
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 转换为 DOS 格式的日期和时间
+ * @param {Date} date - 时间
+ * @returns {{time: number, date: number}} DOS 时间和日期
+ */
+function toDosTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * 生成 ZIP 文件（deflate 压缩，不支持 ZIP64，用于生成 XLSX 等小文件）
+ * @param {Array<{name: string, data: string|Buffer}>} entries - 文件名和内容
+ * @returns {Buffer} ZIP 文件内容
+ */
+function createZip(entries) {
+  const { time, date } = toDosTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * 读取 ZIP 文件中的所有文件（支持不压缩和 deflate，不支持 ZIP64 和加密）
+ * @param {Buffer} buffer - ZIP 文件内容
+ * @returns {Map<string, Buffer>} 文件名 -> 内容
+ * @throws {Error} 不是有效的 ZIP 文件或使用了不支持的压缩方式
+ */
+function readZip(buffer) {
+  // 目录结束记录位于文件末尾（其后可能有最长 65535 字节的注释）
+  let end = -1;
+  for (let index = buffer.length - 22; index >= Math.max(0, buffer.length - 22 - 0xffff); index--) {
+    if (buffer.readUInt32LE(index) === END_OF_CENTRAL_DIRECTORY) {
+      end = index;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('不是有效的 ZIP 文件');
+  }
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('ZIP 文件目录已损坏');
+    }
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf-8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    // 本地文件头中的文件名和扩展字段长度可能与目录中的不同
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === STORED) {
+      files.set(name, Buffer.from(data));
+    } else if (method === DEFLATED) {
+      files.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`不支持的 ZIP 压缩方式: ${method}（${name}）`);
+    }
+  }
+
+  return files;
+}
+
+module.exports = {
+  createZip,
+  readZip
+};
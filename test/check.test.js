@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { findIssues, formatReport } = require('../src/check');
+
+const SOURCE = path.resolve('/project');
+
+/**
+ * 生成中文文本的出现位置
+ * @param {string} text - 中文文本
+ * @param {number} line - 行号
+ * @returns {Object} 出现位置
+ */
+const occurrence = (text, line) => ({ text, file: path.join(SOURCE, 'src', 'App.tsx'), line, column: 10 });
+
+describe('findIssues', () => {
+  it('报告缺失、未翻译和占位符的文本，已翻译的文本不报告', () => {
+    const occurrences = [occurrence('保存', 1), occurrence('取消', 2), occurrence('删除', 3), occurrence('新增', 4)];
+    const locales = { en: { '保存': 'Save', '取消': 'to do translate', '删除': 'translate_abc123' } };
+
+    const issues = findIssues(occurrences, locales, SOURCE);
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.text]), [
+      ['untranslated', '取消'],
+      ['placeholder', '删除'],
+      ['new-string', '新增']
+    ]);
+    assert.deepEqual(issues[2], {
+      rule: 'new-string',
+      language: 'en',
+      text: '新增',
+      value: undefined,
+      file: 'src/App.tsx',
+      line: 4,
+      column: 10
+    });
+  });
+
+  it('按去重规则匹配只有标点、空格不同的文本', () => {
+    const issues = findIssues([occurrence('确定删除吗。', 1), occurrence('  保存 ', 2)], { en: { '确定删除吗': 'Delete?', '保存': 'Save' } }, SOURCE);
+    assert.deepEqual(issues, []);
+  });
+
+  it('分别检查每种语言', () => {
+    const locales = { en: { '保存': 'Save' }, ja: { '保存': '' } };
+    const issues = findIssues([occurrence('保存', 1)], locales, SOURCE);
+    assert.deepEqual(issues.map(issue => [issue.language, issue.rule]), [['ja', 'untranslated']]);
+  });
+});
+
+describe('formatReport', () => {
+  const issues = findIssues([occurrence('新增', 4)], { en: {} }, SOURCE);
+
+  it('text 报告每行一个问题', () => {
+    assert.equal(formatReport(issues, 'text'), 'src/App.tsx:4:10  [new-string] (en) 新增\n');
+  });
+
+  it('json 和 sarif 报告可以被解析', () => {
+    assert.equal(JSON.parse(formatReport(issues, 'json')).issues.length, 1);
+    const sarif = JSON.parse(formatReport(issues, 'sarif'));
+    assert.equal(sarif.runs[0].results[0].ruleId, 'new-string');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { compileExclusionRules, isExcludedAttribute, toNamePattern } = require('../src/exclusions');
+const { extractChineseFromFile } = require('../src/extractor');
+
+// 提取测试的源文件目录
+const fixtures = path.join(os.tmpdir(), `pick-cn-exclusions-${process.pid}`);
+
+/**
+ * 把代码写入临时文件，按排除规则提取中文文本
+ * @param {string} code - 文件内容
+ * @param {Object} options - 排除规则
+ * @param {string} fileName - 文件名（决定解析方式）
+ * @returns {Promise<string[]>} 中文文本
+ */
+const textsOf = async (code, options = {}, fileName = 'app.tsx') => {
+  const filePath = path.join(fixtures, fileName);
+  await fs.outputFile(filePath, code);
+  const occurrences = await extractChineseFromFile(filePath, { ...options, silent: true });
+  return occurrences.map(occurrence => occurrence.text);
+};
+
+after(async () => {
+  await fs.remove(fixtures);
+});
+
+describe('toNamePattern', () => {
+  it('* 匹配一段标识符，其它字符按原样匹配', () => {
+    assert.equal(toNamePattern('console.*', '[\\w$]*').test('console.error'), true);
+    assert.equal(toNamePattern('console.*', '[\\w$]*').test('console.error.bind'), false);
+    assert.equal(toNamePattern('console.*', '[\\w$]*').test('consoleXlog'), false);
+  });
+});
+
+describe('ignoredCallees', () => {
+  it('默认只排除 console 的参数，任意层级的嵌套文本都被排除', async () => {
+    assert.deepEqual(await textsOf("console.error('失败', { detail: ['原因'] });\nalert('提示');"), ['提示']);
+  });
+
+  it('支持通配符、可选链和 new 开头的构造调用', async () => {
+    const options = { ignoredCallees: ['logger.*', 'new *Error'] };
+    const code = [
+      "logger.warn('警告');",
+      "this.logger?.info('信息');",
+      "logger?.debug('调试');",
+      "throw new TypeError('类型错误');",
+      "toast('保存成功');"
+    ].join('\n');
+    assert.deepEqual(await textsOf(code, options), ['信息', '保存成功']);
+  });
+
+  it('对象形式的规则只排除指定位置的参数', async () => {
+    const options = { ignoredCallees: [{ callee: 'notify', arguments: [1] }] };
+    assert.deepEqual(await textsOf("notify('保存成功', '调试信息');", options), ['保存成功']);
+  });
+});
+
+describe('ignoredAttributes / ignoredDecorators', () => {
+  it('排除 JSX 属性，* 可以匹配 -', async () => {
+    const options = { ignoredAttributes: ['className', 'data-*'] };
+    assert.deepEqual(await textsOf('const el = <div className="红色" data-test-id="按钮" title="标题">内容</div>;', options), ['标题', '内容']);
+  });
+
+  it('Vue 模板的绑定属性按去掉 :、v-bind: 前缀后的名称匹配', async () => {
+    const rules = compileExclusionRules({ ignoredAttributes: ['title'] });
+    assert.equal(isExcludedAttribute(':title', rules), true);
+    assert.equal(isExcludedAttribute('v-bind:title', rules), true);
+    assert.equal(isExcludedAttribute('label', rules), false);
+
+    const code = '<template><p title="标题" :title="\'绑定\'" label="标签">内容</p></template>';
+    assert.deepEqual(await textsOf(code, { ignoredAttributes: ['title'] }, 'App.vue'), ['标签', '内容']);
+  });
+
+  it('排除装饰器参数', async () => {
+    const code = [
+      'class UserDto {',
+      "  @ApiProperty({ description: '用户名' })",
+      '  name: string;',
+      "  @Validate.Length({ message: '长度不正确' })",
+      '  title: string;',
+      "  label = '标签';",
+      '}'
+    ].join('\n');
+    assert.deepEqual(await textsOf(code, { ignoredDecorators: ['ApiProperty', 'Validate.*'] }), ['标签']);
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractChineseFromSource } = require('../src/extractor');
+
+/**
+ * 提取 TS 源码中的中文文本
+ * @param {string} code - 源码
+ * @returns {string[]} 中文文本
+ */
+const textsOf = code => extractChineseFromSource(code, '/project/src/app.tsx').map(occurrence => occurrence.text);
+
+describe('模板字符串', () => {
+  it('整个模板字符串作为一条消息提取，插值转换为命名占位符', () => {
+    assert.deepEqual(textsOf('const message = `用户${userName}在${date}提交了订单`;'), ['用户{userName}在{date}提交了订单']);
+  });
+
+  it('占位符名称取自属性名，其它表达式使用 arg 加序号，相同表达式复用同一个占位符', () => {
+    assert.deepEqual(
+      textsOf('const message = `${user.name}你好，${user.name}有${list.length + 1}条消息`;'),
+      ['{name}你好，{name}有{arg2}条消息']
+    );
+  });
+
+  it('不同表达式的名称相同时追加序号', () => {
+    assert.deepEqual(textsOf('const message = `${a.name}和${b.name}是好友`;'), ['{name}和{name2}是好友']);
+  });
+
+  it('去掉占位符后不是有效中文的模板字符串不提取', () => {
+    assert.deepEqual(textsOf('const url = `/api/${id}`;'), []);
+  });
+});
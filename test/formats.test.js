@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMATS, getFormat } = require('../src/formats');
+const { OutputError, ConfigError } = require('../src/errors');
+
+// 中文作为 key 的映射：占位符、vue-i18n 特殊字符、含 . 的文本、换行和引号
+const TEXT_MAPPING = {
+  '保存': 'Save',
+  '你好，{name}': 'Hello, {name}',
+  '加载中...': 'Loading...',
+  '邮箱@地址|x': 'Email @ address | x',
+  '换行\n"引号"': 'Line\n"quote"'
+};
+
+// 生成的 key 的映射和 key 文件
+const KEYED_MAPPING = { 'order.submit': 'Submit', 'order.title': 'Order {id}' };
+const SOURCE_LOCALE = { 'order.submit': '提交', 'order.title': '订单 {id}' };
+
+const TRANSLATED_FORMATS = Object.keys(FORMATS).filter(name => !FORMATS[name].template);
+const COMBINED_FORMATS = Object.keys(FORMATS).filter(name => FORMATS[name].writeCombined);
+
+describe('formats', () => {
+  TRANSLATED_FORMATS.forEach(name => {
+    it(`${name}: 中文 key 的映射写入后可以原样读回`, () => {
+      const format = getFormat(name);
+      const content = format.write(TEXT_MAPPING, { language: 'en', source: null });
+      assert.deepEqual(format.read(content), TEXT_MAPPING);
+    });
+
+    it(`${name}: 生成的 key 的映射写入后可以原样读回`, () => {
+      const format = getFormat(name);
+      const content = format.write(KEYED_MAPPING, { language: 'en', source: SOURCE_LOCALE });
+      assert.deepEqual(format.read(content), KEYED_MAPPING);
+    });
+  });
+
+  COMBINED_FORMATS.forEach(name => {
+    it(`${name}: 合并输出的多语言文件可以原样读回`, () => {
+      const format = getFormat(name);
+      const locales = { en: KEYED_MAPPING, ja: { 'order.submit': '送信', 'order.title': '注文 {id}' }, 'zh-CN': SOURCE_LOCALE };
+      const content = format.writeCombined(locales, { source: SOURCE_LOCALE });
+      assert.deepEqual(format.readCombined(content, ['en', 'ja', 'zh-CN']), locales);
+    });
+  });
+
+  it('pot: 模板只包含原文，读回源语言映射', () => {
+    const format = getFormat('pot');
+    const content = format.write(TEXT_MAPPING, { language: null, source: null });
+    const expected = Object.fromEntries(Object.keys(TEXT_MAPPING).map(text => [text, text]));
+    assert.deepEqual(format.read(content), expected);
+  });
+
+  ['po', 'xliff'].forEach(name => {
+    it(`${name}: 未翻译的条目读回为空字符串`, () => {
+      const format = getFormat(name);
+      const content = format.write({ '保存': 'Save', '取消': 'to do translate' }, { language: 'en', source: null });
+      assert.deepEqual(format.read(content), { '保存': 'Save', '取消': '' });
+    });
+  });
+
+  ['vue-i18n', 'i18next'].forEach(name => {
+    it(`${name}: 生成的 key 按 . 拆分为嵌套对象，中文 key 保持扁平`, () => {
+      const format = getFormat(name);
+      const keyed = JSON.parse(format.write(KEYED_MAPPING, { language: 'en', source: SOURCE_LOCALE }));
+      assert.deepEqual(Object.keys(keyed), ['order']);
+      assert.deepEqual(Object.keys(keyed.order), ['submit', 'title']);
+
+      const flat = JSON.parse(format.write({ '加载中...': 'Loading...' }, { language: 'en', source: null }));
+      assert.deepEqual(Object.keys(flat), ['加载中...']);
+    });
+
+    it(`${name}: 嵌套时 key 同时是其它 key 的前缀会报错`, () => {
+      const format = getFormat(name);
+      const mapping = { 'order': 'Order', 'order.submit': 'Submit' };
+      assert.throws(() => format.write(mapping, { language: 'en', source: { 'order': '订单', 'order.submit': '提交' } }), OutputError);
+    });
+  });
+
+  it('i18next: 占位符转换为 {{name}}', () => {
+    const content = getFormat('i18next').write({ '你好，{name}': 'Hello, {name}' }, { language: 'en', source: null });
+    assert.deepEqual(JSON.parse(content), { '你好，{name}': 'Hello, {{name}}' });
+  });
+
+  it('不支持的格式抛出 ConfigError', () => {
+    assert.throws(() => getFormat('yaml'), ConfigError);
+  });
+});
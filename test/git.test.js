@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { resolveGitScope, getGitChanges } = require('../src/git');
+const { compareWithGit } = require('../src/changes');
+const { findSourceFiles } = require('../src/extractor');
+const { extractChineseFromFiles } = require('../src/parallel');
+const { ConfigError } = require('../src/errors');
+
+describe('git 变更范围', () => {
+  let source;
+
+  /**
+   * 在测试仓库中执行 git 命令
+   * @param {...string} args - 参数
+   * @returns {string} 标准输出
+   */
+  const git = (...args) => execFileSync('git', args, { cwd: source, encoding: 'utf8' });
+
+  /**
+   * 写入仓库中的文件
+   * @param {string} file - 相对于仓库的路径
+   * @param {string} content - 文件内容
+   * @returns {Promise<void>}
+   */
+  const write = (file, content) => fs.outputFile(path.join(source, file), content);
+
+  /**
+   * 转为相对于仓库的路径并排序，便于比较
+   * @param {string[]} files - 文件路径数组
+   * @returns {string[]} 相对路径
+   */
+  const relative = files => files.map(file => path.relative(source, file).split(path.sep).join('/')).sort();
+
+  before(async () => {
+    source = await fs.mkdtemp(path.join(os.tmpdir(), 'pick-cn-git-'));
+    git('init', '-q');
+    git('config', 'user.name', 'test');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'commit.gpgsign', 'false');
+    await write('src/kept.ts', "const a = '保存';\n");
+    await write('src/edited.ts', "const b = '取消';\nconst c = '确定';\n");
+    await write('src/deleted.ts', "const d = '删除';\n");
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    git('tag', 'base');
+
+    // 已暂存的修改、新增和删除
+    await write('src/edited.ts', "const b = '取消';\nconst c = '确定';\nconst e = '编辑';\n");
+    await write('src/staged.ts', "const f = '提交';\n");
+    git('add', 'src/edited.ts', 'src/staged.ts');
+    git('rm', '-q', 'src/deleted.ts');
+    // 暂存后在工作区中又改动的内容（--staged 时不应读取）
+    await write('src/edited.ts', "const b = '取消';\nconst e = '编辑';\nconst g = '未暂存';\n");
+    // 暂存后从工作区删除的文件
+    await write('src/removed.ts', "const h = '已暂存';\n");
+    git('add', 'src/removed.ts');
+    await fs.remove(path.join(source, 'src', 'removed.ts'));
+    // 未跟踪的新文件
+    await write('src/untracked.ts', "const i = '新文件';\n");
+  });
+
+  after(async () => {
+    await fs.remove(source);
+  });
+
+  it('--since 和 --staged 不能同时使用', () => {
+    assert.throws(() => resolveGitScope({ since: 'main', staged: true }), ConfigError);
+    assert.deepEqual(resolveGitScope({ staged: true }), { ref: 'HEAD', staged: true });
+    assert.deepEqual(resolveGitScope({ since: 'main' }), { ref: 'main', staged: false });
+  });
+
+  it('引用不存在时抛出 ConfigError', async () => {
+    await assert.rejects(getGitChanges(source, { since: 'no-such-ref' }), ConfigError);
+  });
+
+  it('--since 返回相对引用有变更的文件，包括未暂存的修改和未跟踪的新文件', async () => {
+    assert.deepEqual(relative(await findSourceFiles(source, { since: 'base' })), [
+      'src/edited.ts',
+      'src/staged.ts',
+      'src/untracked.ts'
+    ]);
+  });
+
+  it('--staged 只返回暂存区中的变更，包括已从工作区删除的文件', async () => {
+    assert.deepEqual(relative(await findSourceFiles(source, { staged: true })), [
+      'src/edited.ts',
+      'src/removed.ts',
+      'src/staged.ts'
+    ]);
+  });
+
+  it('--staged 时提取暂存区中的内容', async () => {
+    const files = await findSourceFiles(source, { staged: true });
+    const results = await extractChineseFromFiles(files, { source, staged: true, cache: false, jobs: 1, silent: true });
+    assert.deepEqual(
+      results.map(result => [path.basename(result.file), result.occurrences.map(occurrence => occurrence.text)]).sort(),
+      [['edited.ts', ['取消', '确定', '编辑']], ['removed.ts', ['已暂存']], ['staged.ts', ['提交']]]
+    );
+  });
+
+  it('compareWithGit 列出相对基准新增和删除的文本', async () => {
+    const since = await compareWithGit(source, { since: 'base' });
+    assert.deepEqual(since.introduced.map(occurrence => occurrence.text).sort(), ['提交', '新文件', '未暂存', '编辑'].sort());
+    assert.deepEqual(since.removed.map(occurrence => occurrence.text).sort(), ['删除', '确定'].sort());
+
+    const staged = await compareWithGit(source, { staged: true });
+    assert.equal(staged.ref, 'HEAD');
+    assert.deepEqual(staged.introduced.map(occurrence => occurrence.text).sort(), ['已暂存', '提交', '编辑'].sort());
+    assert.deepEqual(staged.removed.map(occurrence => [occurrence.text, occurrence.line]), [['删除', 1]]);
+  });
+});
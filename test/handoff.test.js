@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyReviewedRows } = require('../src/handoff');
+const { TranslationMemory, REVIEWED_PROVIDER, NEEDS_WORK_PROVIDER } = require('../src/memory');
+const { ConfigError } = require('../src/errors');
+
+const HEADER = ['key', 'source', 'language', 'machine_translation', 'translation', 'status', 'references'];
+
+/**
+ * 生成审校文件的一行
+ * @param {string} key - key
+ * @param {string} language - 目标语言
+ * @param {string} machine - 导出时的机器译文
+ * @param {string} translation - 审校后的译文
+ * @param {string} status - 审校状态
+ * @returns {string[]} 行
+ */
+const row = (key, language, machine, translation, status) => [key, key, language, machine, translation, status, ''];
+
+describe('applyReviewedRows', () => {
+  let context;
+
+  beforeEach(() => {
+    const locales = {
+      en: { '保存': 'Save', '取消': 'Cancel', '你好，{name}': 'Hello, {name}', '删除': 'Delete' },
+      ja: { '保存': '保存する', '取消': 'キャンセル', '你好，{name}': 'こんにちは、{name}', '删除': '削除' }
+    };
+    context = {
+      languages: ['en', 'ja'],
+      locales,
+      keys: Object.keys(locales.en),
+      memory: new TranslationMemory('/nonexistent/translation-memory.json'),
+      getSourceText: key => key
+    };
+  });
+
+  it('应用审校后的译文，并记录为人工审校', () => {
+    const result = applyReviewedRows([
+      HEADER,
+      row('保存', 'en', 'Save', 'Save changes', 'reviewed'),
+      row('取消', 'en', 'Cancel', 'Cancel', 'reviewed'),
+      row('删除', 'en', 'Delete', 'Remove', 'machine')
+    ], context);
+
+    assert.deepEqual(result.updated, [{ key: '保存', language: 'en', from: 'Save', to: 'Save changes' }]);
+    assert.equal(result.unchanged, 1);
+    assert.deepEqual(result.issues, []);
+    assert.equal(context.locales.en['保存'], 'Save changes');
+    // machine 状态的行不导入
+    assert.equal(context.locales.en['删除'], 'Delete');
+    assert.equal(context.memory.lookup('保存', 'en', REVIEWED_PROVIDER).target, 'Save changes');
+    assert.equal(context.memory.lookup('取消', 'en', REVIEWED_PROVIDER).target, 'Cancel');
+  });
+
+  it('needs-work 只记录状态，不修改映射', () => {
+    context.memory.record('保存', 'Save', 'en', REVIEWED_PROVIDER);
+    const result = applyReviewedRows([HEADER, row('保存', 'en', 'Save', 'Keep', 'needs-work')], context);
+
+    assert.equal(result.flagged, 1);
+    assert.equal(context.locales.en['保存'], 'Save');
+    assert.equal(context.memory.lookup('保存', 'en', REVIEWED_PROVIDER), null);
+    assert.equal(context.memory.lookup('保存', 'en', NEEDS_WORK_PROVIDER).target, 'Keep');
+  });
+
+  it('报告有问题的行，这些行不导入', () => {
+    const result = applyReviewedRows([
+      HEADER,
+      row('不存在', 'en', '', 'Missing', 'reviewed'),
+      row('保存', 'fr', '', 'Enregistrer', 'reviewed'),
+      row('保存', 'en', 'Save', 'Save', 'done'),
+      row('取消', 'en', 'Cancel', '  ', 'reviewed'),
+      row('你好，{name}', 'en', 'Hello, {name}', 'Hello, {user}', 'reviewed'),
+      row('删除', 'ja', '削除', '削除する', 'reviewed'),
+      row('删除', 'ja', '削除', '消去', 'reviewed')
+    ], context);
+
+    assert.deepEqual(result.issues.map(issue => [issue.row, issue.rule]), [
+      [2, 'unknown-key'],
+      [3, 'unknown-language'],
+      [4, 'invalid-status'],
+      [5, 'empty'],
+      [6, 'placeholder'],
+      [8, 'duplicate']
+    ]);
+    assert.equal(context.locales.en['取消'], 'Cancel');
+    assert.equal(context.locales.en['你好，{name}'], 'Hello, {name}');
+    assert.equal(context.locales.ja['删除'], '削除する');
+  });
+
+  it('导出后映射中的译文被修改时报告冲突，不覆盖', () => {
+    context.locales.en['保存'] = 'Save now';
+    const result = applyReviewedRows([HEADER, row('保存', 'en', 'Save', 'Store', 'reviewed')], context);
+
+    assert.deepEqual(result.issues.map(issue => issue.rule), ['conflict']);
+    assert.equal(context.locales.en['保存'], 'Save now');
+  });
+
+  it('缺少必需的列时抛出 ConfigError', () => {
+    assert.throws(() => applyReviewedRows([['key', 'language', 'translation']], context), ConfigError);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { IGNORE_FILE, DIRECTIVES, loadIgnorePatterns, isIgnoredFile } = require('../src/ignore');
+const { findSourceFiles, extractChineseFromFile } = require('../src/extractor');
+
+// 忽略指令测试的源文件目录
+const fixtures = path.join(os.tmpdir(), `pick-cn-ignore-directives-${process.pid}`);
+
+/**
+ * 把代码写入临时文件并提取中文文本，同时收集被忽略的文本
+ * @param {string} code - 文件内容
+ * @param {string} fileName - 文件名（决定解析方式）
+ * @returns {Promise<{texts: string[], ignored: string[][]}>} 提取的文本和被忽略的 [文本, 指令]
+ */
+const extract = async (code, fileName = 'app.tsx') => {
+  const filePath = path.join(fixtures, fileName);
+  await fs.outputFile(filePath, code);
+  const ignored = [];
+  const occurrences = await extractChineseFromFile(filePath, { ignored, silent: true });
+  return {
+    texts: occurrences.map(occurrence => occurrence.text),
+    ignored: ignored.map(item => [item.text, item.reason])
+  };
+};
+
+describe('.pickcnignore', () => {
+  let source;
+
+  before(async () => {
+    source = await fs.mkdtemp(path.join(os.tmpdir(), 'pick-cn-ignore-'));
+    await fs.outputFile(path.join(source, IGNORE_FILE), ['# 测试夹具', '__mocks__', '/scripts/', '*.spec.ts', ''].join('\n'));
+    for (const file of ['src/app.ts', 'src/app.spec.ts', 'src/__mocks__/data.ts', 'scripts/build.js', 'src/scripts/run.js']) {
+      await fs.outputFile(path.join(source, file), "const label = '保存';\n");
+    }
+  });
+
+  after(async () => {
+    await fs.remove(source);
+  });
+
+  it('与 .gitignore 的写法一致：不含 / 的规则匹配任意层级，以 / 开头的规则相对于源目录', async () => {
+    const patterns = await loadIgnorePatterns(source);
+    assert.equal(isIgnoredFile(path.join('src', '__mocks__', 'data.ts'), patterns), true);
+    assert.equal(isIgnoredFile(path.join('src', 'app.spec.ts'), patterns), true);
+    assert.equal(isIgnoredFile(path.join('scripts', 'build.js'), patterns), true);
+    assert.equal(isIgnoredFile(path.join('src', 'scripts', 'run.js'), patterns), false);
+    assert.equal(isIgnoredFile(path.join('src', 'app.ts'), patterns), false);
+  });
+
+  it('查找源文件时跳过忽略的文件，并记录忽略原因', async () => {
+    const ignored = [];
+    const files = await findSourceFiles(source, { ignored });
+    assert.deepEqual(files.map(file => path.relative(source, file)).sort(), [path.join('src', 'app.ts'), path.join('src', 'scripts', 'run.js')]);
+    assert.equal(ignored.length, 3);
+    assert.ok(ignored.every(item => item.reason === IGNORE_FILE));
+  });
+
+  it('没有 .pickcnignore 时不忽略任何文件', async () => {
+    assert.deepEqual(await loadIgnorePatterns(path.join(source, 'src')), []);
+  });
+});
+
+describe('忽略指令', () => {
+  after(async () => {
+    await fs.remove(fixtures);
+  });
+
+  it('pick-cn-ignore-file 忽略整个文件', async () => {
+    assert.deepEqual((await extract("// pick-cn-ignore-file\nconst label = '保存';")).texts, []);
+  });
+
+  it('pick-cn-ignore-next-line 只忽略下一行', async () => {
+    const { texts, ignored } = await extract("// pick-cn-ignore-next-line\nconst a = '测试数据';\nconst b = '保存';");
+    assert.deepEqual(texts, ['保存']);
+    assert.deepEqual(ignored, [['测试数据', DIRECTIVES.nextLine]]);
+  });
+
+  it('pick-cn-ignore 忽略紧随其后的语句及其中嵌套的所有文本', async () => {
+    const { texts, ignored } = await extract([
+      '/* pick-cn-ignore */',
+      "const mock = { name: '张三', tags: ['管理员', `${role}用户`] };",
+      "const label = '保存';"
+    ].join('\n'));
+    assert.deepEqual(texts, ['保存']);
+    assert.deepEqual(ignored.map(([text]) => text), ['张三', '管理员', '{role}用户']);
+  });
+
+  it('JSX 中用 {/* pick-cn-ignore */} 忽略下一个子节点', async () => {
+    const { texts } = await extract('const el = <div>\n  {/* pick-cn-ignore */}\n  <span>示例</span>\n  <span>保存</span>\n</div>;');
+    assert.deepEqual(texts, ['保存']);
+  });
+
+  it('pick-cn-ignore-file 之类的指令不会被当作 pick-cn-ignore', async () => {
+    assert.deepEqual((await extract("// pick-cn-ignore-files\nconst label = '保存';")).texts, ['保存']);
+  });
+
+  it('Vue 模板中的 <!-- pick-cn-ignore --> 和 <!-- pick-cn-ignore-next-line -->', async () => {
+    const { texts, ignored } = await extract([
+      '<template>',
+      '  <div>',
+      '    <!-- pick-cn-ignore -->',
+      '    <p title="示例标题">示例文本</p>',
+      '    <!-- pick-cn-ignore-next-line -->',
+      '    <span>调试信息</span>',
+      '    <span>保存</span>',
+      '  </div>',
+      '</template>'
+    ].join('\n'), 'App.vue');
+    assert.deepEqual(texts, ['保存']);
+    assert.deepEqual(ignored, [
+      ['示例标题', DIRECTIVES.node],
+      ['示例文本', DIRECTIVES.node],
+      ['调试信息', DIRECTIVES.nextLine]
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseKeyStrategy, assignKeys, applyKeyStrategy, toTextLocales } = require('../src/keys');
+const { ConfigError } = require('../src/errors');
+
+describe('parseKeyStrategy', () => {
+  it('默认为 text，不支持的策略抛出 ConfigError', () => {
+    assert.equal(parseKeyStrategy(), 'text');
+    assert.equal(parseKeyStrategy('hash'), 'hash');
+    assert.throws(() => parseKeyStrategy('uuid'), ConfigError);
+  });
+});
+
+describe('assignKeys', () => {
+  it('semantic: 根据英文译文和所在文件生成 key，出现在多个文件中的文本使用 common', () => {
+    const keys = assignKeys(['提交订单', '取消'], {
+      strategy: 'semantic',
+      english: { '提交订单': 'Submit the order', '取消': 'Cancel' },
+      references: {
+        '提交订单': [{ file: 'src/pages/order-detail.tsx' }],
+        '取消': [{ file: 'src/a.ts' }, { file: 'src/b.ts' }]
+      }
+    });
+    assert.deepEqual(keys, { '提交订单': 'orderDetail.submitTheOrder', '取消': 'common.cancel' });
+  });
+
+  it('semantic: index 文件使用目录名，重复的 key 追加序号', () => {
+    const keys = assignKeys(['确定', '好的'], {
+      strategy: 'semantic',
+      english: { '确定': 'OK', '好的': 'OK' },
+      references: { '确定': [{ file: 'src/cart/index.ts' }], '好的': [{ file: 'src/cart/index.ts' }] }
+    });
+    assert.deepEqual(keys, { '确定': 'cart.ok', '好的': 'cart.ok2' });
+  });
+
+  it('semantic: 没有英文译文时回退为哈希', () => {
+    const keys = assignKeys(['保存'], { strategy: 'semantic', english: { '保存': 'to do translate' } });
+    assert.match(keys['保存'], /^common\.[0-9a-f]{8}$/);
+  });
+
+  it('hash: 相同文本生成相同的 key', () => {
+    const first = assignKeys(['保存', '取消'], { strategy: 'hash' });
+    const second = assignKeys(['取消', '保存'], { strategy: 'hash' });
+    assert.match(first['保存'], /^[0-9a-f]{8}$/);
+    assert.equal(first['保存'], second['保存']);
+    assert.notEqual(first['保存'], first['取消']);
+  });
+
+  it('沿用已有 key 文件中的 key，并按文本顺序返回', () => {
+    const keys = assignKeys(['取消', '保存'], {
+      strategy: 'semantic',
+      english: { '保存': 'Save', '取消': 'Cancel' },
+      previous: { 'legacy.save': '保存', 'legacy.removed': '已删除' }
+    });
+    assert.deepEqual(keys, { '取消': 'common.cancel', '保存': 'legacy.save' });
+    assert.deepEqual(Object.keys(keys), ['取消', '保存']);
+  });
+});
+
+describe('applyKeyStrategy / toTextLocales', () => {
+  const locales = {
+    en: { '保存': 'Save', '取消': 'Cancel' },
+    ja: { '保存': '保存', '取消': 'キャンセル' }
+  };
+
+  it('各语言改为以 key 为 key，并生成 zh-CN key 文件', () => {
+    const keyed = applyKeyStrategy(locales, { strategy: 'semantic' });
+    assert.deepEqual(keyed, {
+      en: { 'common.save': 'Save', 'common.cancel': 'Cancel' },
+      ja: { 'common.save': '保存', 'common.cancel': 'キャンセル' },
+      'zh-CN': { 'common.save': '保存', 'common.cancel': '取消' }
+    });
+  });
+
+  it('通过 key 文件还原为以中文为 key 的映射', () => {
+    const keyed = applyKeyStrategy(locales, { strategy: 'hash' });
+    const { 'zh-CN': sourceLocale, ...targets } = keyed;
+    assert.deepEqual(toTextLocales(targets, sourceLocale), locales);
+  });
+
+  it('key 文件中没有的条目被忽略', () => {
+    assert.deepEqual(toTextLocales({ en: { a: 'A', b: 'B' } }, { a: '甲' }), { en: { '甲': 'A' } });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LINT_RULES, lintMapping, formatLintReport } = require('../src/lint');
+const { Glossary } = require('../src/glossary');
+
+/**
+ * 检查单个条目，返回触发的规则
+ * @param {string} text - 原文
+ * @param {string} value - 译文
+ * @param {Object} options - lintMapping 的选项
+ * @returns {string[]} 规则
+ */
+const rulesOf = (text, value, options = {}) => lintMapping({ [text]: value }, options).map(issue => issue.rule);
+
+describe('lintMapping', () => {
+  it('没有问题的译文不报告', () => {
+    assert.deepEqual(lintMapping({ '保存': 'Save', '你好，{name}！': 'Hello, {name}!', '加载中...': 'Loading...' }), []);
+  });
+
+  it('跳过未翻译和占位符的条目', () => {
+    assert.deepEqual(lintMapping({ '保存': 'to do translate', '取消': '', '删除': 'translate_abc123' }), []);
+  });
+
+  it('placeholder: 占位符缺失或被改名', () => {
+    const [issue] = lintMapping({ '你好，{name}': 'Hello, {user}' });
+    assert.equal(issue.rule, 'placeholder');
+    assert.equal(issue.severity, 'error');
+    assert.equal(issue.detail, '缺少 {name}，多出 {user}');
+  });
+
+  it('html-tags: 标签与原文不一致', () => {
+    assert.deepEqual(rulesOf('点击<b>这里</b>', 'Click here'), ['html-tags']);
+    assert.deepEqual(rulesOf('点击<b>这里</b>', 'Click <b>here</b>'), []);
+  });
+
+  it('leftover-cjk 和 identical: 目标语言使用汉字时不检查', () => {
+    assert.deepEqual(rulesOf('保存', 'Save 保存'), ['leftover-cjk']);
+    assert.deepEqual(rulesOf('保存', '保存'), ['identical']);
+    assert.deepEqual(rulesOf('保存', '保存', { language: 'ja' }), []);
+    assert.deepEqual(rulesOf('保存', '保存', { language: 'zh-TW' }), []);
+  });
+
+  it('too-long: 按显示宽度比较，原文较短时不检查', () => {
+    assert.deepEqual(rulesOf('确认删除吗', 'Are you sure you want to permanently delete it'), ['too-long']);
+    assert.deepEqual(rulesOf('确认删除吗', 'Are you sure you want to permanently delete it', { maxLengthRatio: 5 }), []);
+    assert.deepEqual(rulesOf('删除', 'Delete permanently'), []);
+  });
+
+  it('punctuation: 结尾标点类型不一致，中英文标点视为同一类', () => {
+    assert.deepEqual(rulesOf('加载中...', 'Loading'), ['punctuation']);
+    assert.deepEqual(rulesOf('确定吗？', 'Are you sure?'), []);
+    assert.equal(lintMapping({ '保存。': 'Save' })[0].detail, '原文以句号结尾，译文没有结尾标点');
+  });
+
+  it('glossary: 指定术语表时检查术语的译法', () => {
+    const glossary = new Glossary();
+    glossary.add('有赞', '*', 'Youzan');
+    const [issue] = lintMapping({ '欢迎使用有赞商城': 'Welcome to Like Mall' }, { glossary });
+    assert.equal(issue.rule, 'glossary');
+    assert.equal(issue.detail, '有赞 应译为 Youzan');
+    assert.deepEqual(rulesOf('欢迎使用有赞商城', 'Welcome to youzan Mall', { glossary }), []);
+  });
+
+  it('consistency: 没有术语表时检查映射内部的术语译法', () => {
+    const issues = lintMapping({
+      '订单': 'Order',
+      '提交订单': 'Submit purchase',
+      '订单详情': 'Order details',
+      '我的订单详情': 'My purchase info',
+      '正在加载中': 'Now loading',
+      '加载中': 'Loading'
+    });
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.text, issue.detail]), [
+      ['consistency', '提交订单', '订单 单独译为 Order'],
+      ['consistency', '我的订单详情', '订单详情 单独译为 Order details']
+    ]);
+  });
+
+  it('consistency: 术语表中已有的术语只按术语表检查', () => {
+    const glossary = new Glossary();
+    glossary.add('订单', 'en', 'Order');
+    const issues = lintMapping({ '订单': 'Order', '提交订单': 'Submit purchase' }, { glossary });
+    assert.deepEqual(issues.map(issue => issue.rule), ['glossary']);
+  });
+
+  it('使用 keys 时问题中记录 key', () => {
+    const [issue] = lintMapping({ '你好，{name}': 'Hello' }, { keys: { '你好，{name}': 'home.hello' } });
+    assert.equal(issue.key, 'home.hello');
+    assert.equal(issue.text, '你好，{name}');
+  });
+});
+
+describe('formatLintReport', () => {
+  it('json 报告包含汇总和每条问题的说明', () => {
+    const issues = lintMapping({ '你好，{name}': 'Hello', '保存': '保存' });
+    const report = JSON.parse(formatLintReport(issues, 'json'));
+    assert.equal(report.summary.errors, 1);
+    assert.equal(report.summary.warnings, 1);
+    assert.equal(report.issues[0].message, LINT_RULES.placeholder.description);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OpenAITranslator, SYSTEM_PROMPT } = require('../src/llm');
+const { RateLimitError } = require('../src/errors');
+
+/**
+ * 本地模拟的 OpenAI 兼容接口：记录收到的请求，按 respond 返回响应
+ */
+function createMockServer() {
+  const mock = {
+    requests: [],
+    respond: () => ({ status: 200, body: {} })
+  };
+
+  mock.server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(data || '{}') };
+      mock.requests.push(request);
+      const { status, body, headers = {} } = mock.respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return mock;
+}
+
+// 返回包含 content 的 chat/completions 响应
+const reply = content => () => ({ status: 200, body: { choices: [{ message: { role: 'assistant', content } }] } });
+
+// 用户消息的最后一段为 JSON 格式的请求 { targetLanguage, strings, glossary }
+const parsePrompt = request => {
+  const prompt = request.body.messages[1].content;
+  return JSON.parse(prompt.slice(prompt.indexOf('\n\n') + 2));
+};
+
+// 按请求中的编号原样返回 EN: 原文
+const echo = request => {
+  const { strings } = parsePrompt(request);
+  const translations = {};
+  strings.forEach(item => {
+    translations[item.id] = `EN:${item.text}`;
+  });
+  return reply(JSON.stringify(translations))();
+};
+
+describe('OpenAITranslator', () => {
+  const mock = createMockServer();
+  let baseURL;
+
+  before(async () => {
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${mock.server.address().port}/v1/`;
+  });
+
+  after(() => new Promise(resolve => mock.server.close(resolve)));
+
+  beforeEach(() => {
+    mock.requests = [];
+    mock.respond = echo;
+  });
+
+  const createTranslator = (credentials = {}) => new OpenAITranslator({
+    logger: { log() {}, warn() {}, error() {} },
+    credentials: { baseURL, model: 'local-model', ...credentials }
+  });
+
+  it('按批发送文本，返回与输入顺序一致的译文', async () => {
+    const results = await createTranslator({ apiKey: 'secret' }).batchTranslate(['保存', '取消'], 'en');
+
+    assert.deepEqual(results, ['EN:保存', 'EN:取消']);
+    assert.equal(mock.requests.length, 1);
+
+    const [request] = mock.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.body.model, 'local-model');
+    assert.equal(request.body.temperature, 0);
+    assert.deepEqual(request.body.response_format, { type: 'json_object' });
+    assert.equal(request.body.messages[0].role, 'system');
+    assert.equal(request.body.messages[0].content, SYSTEM_PROMPT);
+  });
+
+  it('未配置 apiKey 时不发送 Authorization，jsonMode 为 false 时不发送 response_format', async () => {
+    await createTranslator({ jsonMode: false }).translate('保存', 'en');
+
+    const [request] = mock.requests;
+    assert.equal(request.headers.authorization, undefined);
+    assert.equal(request.body.response_format, undefined);
+  });
+
+  it('提示词中附带代码上下文和本批文本涉及的术语', async () => {
+    const references = {
+      '提交订单': [{ file: 'src/Order.tsx', line: 3, column: 5, context: 'jsx-attribute', container: 'Order' }]
+    };
+    const glossary = { '订单': 'Order', '购物车': 'Cart' };
+    await createTranslator().batchTranslate(['提交订单'], 'ja', { references, glossary });
+
+    const request = parsePrompt(mock.requests[0]);
+    assert.match(request.targetLanguage, /Japanese/);
+    assert.deepEqual(request.glossary, { '订单': 'Order' });
+    assert.equal(request.strings[0].id, '1');
+    assert.match(request.strings[0].context[0], /src\/Order\.tsx:3/);
+  });
+
+  it('兼容代码块和 translations 包装的响应', async () => {
+    mock.respond = reply('```json\n{"translations": {"1": " Save "}}\n```');
+    assert.deepEqual(await createTranslator().batchTranslate(['保存'], 'en'), ['Save']);
+  });
+
+  it('响应缺少译文时报错', async () => {
+    mock.respond = reply('{"1": "Save"}');
+    await assert.rejects(createTranslator().batchTranslate(['保存', '取消'], 'en'), /缺少 1 条译文: 取消/);
+  });
+
+  it('占位符被修改时报错', async () => {
+    mock.respond = reply('{"1": "Hello, {user}"}');
+    await assert.rejects(createTranslator().batchTranslate(['你好，{name}'], 'en'), /占位符不完整/);
+  });
+
+  it('响应不是 JSON 时报错', async () => {
+    mock.respond = reply('Save');
+    await assert.rejects(createTranslator().batchTranslate(['保存'], 'en'), /不是 JSON/);
+  });
+
+  it('HTTP 429 转换为 RateLimitError，并读取 Retry-After', async () => {
+    mock.respond = () => ({ status: 429, body: { error: { message: 'Too many requests' } }, headers: { 'Retry-After': '2' } });
+    await assert.rejects(createTranslator().batchTranslate(['保存'], 'en'), error => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, 2000);
+      return true;
+    });
+  });
+
+  it('其它 HTTP 错误使用接口返回的错误说明', async () => {
+    mock.respond = () => ({ status: 400, body: { error: { message: 'model not found' } } });
+    await assert.rejects(createTranslator().batchTranslate(['保存'], 'en'), /大模型翻译请求失败: model not found/);
+  });
+});
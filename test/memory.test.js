@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { TranslationMemory, importTranslationMemory } = require('../src/memory');
+const { execute } = require('../src/index');
+
+/**
+ * 生成 TMX 文档
+ * @param {string[]} units - tu 节点
+ * @returns {string} TMX 文档
+ */
+const tmx = units => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<tmx version="1.4">',
+  '  <header srclang="zh-CN" creationtool="other-cat-tool"/>',
+  '  <body>',
+  ...units,
+  '  </body>',
+  '</tmx>'
+].join('\n');
+
+describe('TranslationMemory TMX', () => {
+  it('导出后可以原样导入', () => {
+    const memory = new TranslationMemory('/nonexistent/translation-memory.json');
+    memory.record('保存', 'Save', 'en', 'baidu');
+    memory.record('取消', 'キャンセル', 'ja', 'openai');
+
+    const imported = new TranslationMemory('/nonexistent/translation-memory.json');
+    assert.equal(imported.importTmx(memory.toTmx()), 2);
+    assert.equal(imported.lookup('保存', 'en', 'baidu').target, 'Save');
+    assert.equal(imported.lookup('取消', 'ja', 'openai').target, 'キャンセル');
+  });
+
+  it('没有 x-provider 属性的条目使用指定的翻译服务，不使用 creationid', () => {
+    const memory = new TranslationMemory('/nonexistent/translation-memory.json');
+    memory.importTmx(tmx([
+      '<tu creationid="translator-zhang"><tuv xml:lang="zh-CN"><seg>保存</seg></tuv><tuv xml:lang="en"><seg>Save</seg></tuv></tu>',
+      '<tu><prop type="x-provider">youdao</prop><tuv xml:lang="zh-CN"><seg>取消</seg></tuv><tuv xml:lang="en"><seg>Cancel</seg></tuv></tu>'
+    ]), 'baidu');
+
+    assert.equal(memory.lookup('保存', 'en', 'baidu').target, 'Save');
+    assert.equal(memory.lookup('保存', 'en', 'translator-zhang'), null);
+    assert.equal(memory.lookup('取消', 'en', 'youdao').target, 'Cancel');
+  });
+});
+
+describe('importTranslationMemory', () => {
+  let source;
+
+  before(async () => {
+    source = await fs.mkdtemp(path.join(os.tmpdir(), 'pick-cn-memory-'));
+  });
+
+  after(async () => {
+    await fs.remove(source);
+  });
+
+  it('导入的条目默认归属 --translator 中的翻译服务，之后运行 execute 时命中翻译记忆', async t => {
+    t.mock.method(console, 'log', () => {});
+    const file = path.join(source, 'memory.tmx');
+    await fs.writeFile(file, tmx([
+      '<tu creationid="translator-zhang"><tuv xml:lang="zh-CN"><seg>保存</seg></tuv><tuv xml:lang="en"><seg>Save changes</seg></tuv></tu>'
+    ]));
+    await fs.outputFile(path.join(source, 'src', 'app.js'), "const label = '保存';\n");
+
+    await importTranslationMemory(file, { source, translator: 'baidu' });
+    await execute({ source, output: 'en.json', translator: 'baidu' });
+
+    assert.deepEqual(await fs.readJson(path.join(source, 'en.json')), { '保存': 'Save changes' });
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { UNTRANSLATED_PLACEHOLDER, getTranslationStatus, isTranslated, diffWithExisting, mergeMappings } = require('../src/merge');
+
+describe('getTranslationStatus', () => {
+  it('区分缺失、未翻译、占位符和已翻译', () => {
+    assert.equal(getTranslationStatus(undefined), 'missing');
+    assert.equal(getTranslationStatus(''), 'untranslated');
+    assert.equal(getTranslationStatus('   '), 'untranslated');
+    assert.equal(getTranslationStatus(null), 'untranslated');
+    assert.equal(getTranslationStatus(UNTRANSLATED_PLACEHOLDER), 'untranslated');
+    assert.equal(getTranslationStatus('translate_1a2b3c'), 'placeholder');
+    assert.equal(getTranslationStatus('Save'), 'translated');
+  });
+
+  it('isTranslated 只对已翻译的值返回 true', () => {
+    assert.equal(isTranslated('Save'), true);
+    assert.equal(isTranslated(UNTRANSLATED_PLACEHOLDER), false);
+    assert.equal(isTranslated('translate_1a2b3c'), false);
+  });
+});
+
+describe('diffWithExisting', () => {
+  it('沿用已翻译的条目，未翻译和新增的文本需要翻译，源码中已不存在的 key 为过期', () => {
+    const existing = { '保存': 'Save', '取消': UNTRANSLATED_PLACEHOLDER, '旧文本': 'Old' };
+    const { kept, pending, stale } = diffWithExisting(['保存', '取消', '新增'], existing);
+
+    assert.deepEqual(kept, { '保存': 'Save' });
+    assert.deepEqual(pending, ['取消', '新增']);
+    assert.deepEqual(stale, ['旧文本']);
+  });
+});
+
+describe('mergeMappings', () => {
+  const existing = { '保存': 'Save', '取消': UNTRANSLATED_PLACEHOLDER, '旧文本': 'Old' };
+  const generated = { '取消': 'Cancel', '新增': 'New' };
+
+  it('保持已有条目的顺序，新条目追加在末尾，生成的译文覆盖未翻译的条目', () => {
+    const merged = mergeMappings(existing, generated, ['旧文本'], false);
+    assert.deepEqual(merged, { '保存': 'Save', '取消': 'Cancel', '旧文本': 'Old', '新增': 'New' });
+    assert.deepEqual(Object.keys(merged), ['保存', '取消', '旧文本', '新增']);
+  });
+
+  it('prune 时删除过期 key', () => {
+    assert.deepEqual(mergeMappings(existing, generated, ['旧文本'], true), { '保存': 'Save', '取消': 'Cancel', '新增': 'New' });
+  });
+
+  it('不修改传入的已有映射', () => {
+    mergeMappings(existing, generated, ['旧文本'], true);
+    assert.deepEqual(existing, { '保存': 'Save', '取消': UNTRANSLATED_PLACEHOLDER, '旧文本': 'Old' });
+  });
+});
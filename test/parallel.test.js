@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { extractChineseFromFiles } = require('../src/parallel');
+const { ExtractCache, hashContent, resolveCachePath } = require('../src/cache');
+const { ConfigError } = require('../src/errors');
+
+// 超过使用工作线程的文件数（MIN_PARALLEL_FILES）
+const FILE_COUNT = 210;
+
+/**
+ * 记录日志的日志对象
+ * @returns {{log: Function, warn: Function, error: Function, messages: string[]}}
+ */
+const createRecorder = () => {
+  const messages = [];
+  const record = (...args) => messages.push(args.join(' '));
+  return { log: record, warn: record, error: record, messages };
+};
+
+/**
+ * 取出提取结果中的文本，便于比较
+ * @param {Object[]} results - extractChineseFromFiles 的结果
+ * @returns {Array<Array>} [文件名, [文本, 行, 列]...]
+ */
+const summarize = results => results.map(result => [
+  path.basename(result.file),
+  ...result.occurrences.map(occurrence => [occurrence.text, occurrence.line, occurrence.column])
+]);
+
+describe('ExtractCache', () => {
+  let source;
+
+  before(async () => {
+    source = await fs.mkdtemp(path.join(os.tmpdir(), 'pick-cn-cache-'));
+    await fs.outputFile(path.join(source, 'src', 'a.ts'), "const a = '保存';\n");
+  });
+
+  after(async () => {
+    await fs.remove(source);
+  });
+
+  it('按文件内容哈希命中，内容变化后失效', async () => {
+    const file = path.join(source, 'src', 'a.ts');
+    const result = { occurrences: [{ text: '保存', file, line: 1, column: 11 }], ignored: [], messages: [] };
+    const cache = new ExtractCache(resolveCachePath(source), source, { minLength: 1 });
+    cache.set(file, hashContent('v1'), result);
+    await cache.save();
+
+    const loaded = await new ExtractCache(resolveCachePath(source), source, { minLength: 1 }).load();
+    assert.deepEqual(loaded.get(file, hashContent('v1')), result);
+    assert.equal(loaded.get(file, hashContent('v2')), null);
+  });
+
+  it('提取规则变化时整个缓存失效', async () => {
+    const file = path.join(source, 'src', 'a.ts');
+    const cache = new ExtractCache(resolveCachePath(source), source, { minLength: 1 });
+    cache.set(file, hashContent('v1'), { occurrences: [], ignored: [], messages: [] });
+    await cache.save();
+
+    const loaded = await new ExtractCache(resolveCachePath(source), source, { minLength: 2 }).load();
+    assert.equal(loaded.get(file, hashContent('v1')), null);
+  });
+
+  it('保存时删除已不存在的文件的条目', async () => {
+    const cache = new ExtractCache(resolveCachePath(source), source, {});
+    cache.set(path.join(source, 'src', 'a.ts'), 'a', { occurrences: [], ignored: [], messages: [] });
+    cache.set(path.join(source, 'src', 'deleted.ts'), 'b', { occurrences: [], ignored: [], messages: [] });
+    await cache.save();
+
+    assert.deepEqual(Object.keys((await fs.readJson(resolveCachePath(source))).files), ['src/a.ts']);
+  });
+});
+
+describe('extractChineseFromFiles', () => {
+  let source;
+  let files;
+
+  before(async () => {
+    source = await fs.mkdtemp(path.join(os.tmpdir(), 'pick-cn-parallel-'));
+    files = [];
+    for (let index = 0; index < FILE_COUNT; index++) {
+      const file = path.join(source, 'src', `file${String(index).padStart(3, '0')}.ts`);
+      await fs.outputFile(file, `// 第 ${index} 个文件\nconst label = '文件${index}';\nconst title = \`共\${count}条\`;\n`);
+      files.push(file);
+    }
+  });
+
+  after(async () => {
+    await fs.remove(source);
+  });
+
+  it('工作线程的结果与主线程逐个提取一致，并写入缓存；之后只重新解析修改过的文件', async () => {
+    const expected = summarize(await extractChineseFromFiles(files, { source, cache: false, jobs: 1, silent: true }));
+    assert.equal(expected.length, FILE_COUNT);
+    assert.deepEqual(expected[7], ['file007.ts', ['文件7', 2, 15], ['共{count}条', 3, 15]]);
+
+    const parallel = createRecorder();
+    assert.deepEqual(summarize(await extractChineseFromFiles(files, { source, jobs: 2, logger: parallel })), expected);
+    assert.ok(parallel.messages.includes(`⚡ 缓存命中 0 个文件，解析 ${FILE_COUNT} 个文件（2 个线程）`));
+
+    await fs.writeFile(files[7], "const label = '已修改';\n");
+    const cached = createRecorder();
+    const results = summarize(await extractChineseFromFiles(files, { source, jobs: 2, logger: cached }));
+    assert.deepEqual(results[7], ['file007.ts', ['已修改', 1, 15]]);
+    assert.deepEqual(results.filter((_, index) => index !== 7), expected.filter((_, index) => index !== 7));
+    assert.ok(cached.messages.includes(`⚡ 缓存命中 ${FILE_COUNT - 1} 个文件，解析 1 个文件`));
+  });
+
+  it('提取规则变化时重新解析所有文件', async () => {
+    const recorder = createRecorder();
+    const results = await extractChineseFromFiles(files, { source, jobs: 1, ignoreTexts: ['/^文件\\d+$/'], logger: recorder });
+    assert.ok(recorder.messages.includes(`⚡ 缓存命中 0 个文件，解析 ${FILE_COUNT} 个文件`));
+    assert.deepEqual(results[0].occurrences.map(occurrence => occurrence.text), ['共{count}条']);
+  });
+
+  it('工作线程数必须为正整数', async () => {
+    await assert.rejects(extractChineseFromFiles(files, { source, jobs: 0, silent: true }), ConfigError);
+  });
+});
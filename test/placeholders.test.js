@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getPlaceholders,
+  stripPlaceholders,
+  protectPlaceholders,
+  restorePlaceholders,
+  hasSamePlaceholders
+} = require('../src/placeholders');
+
+/**
+ * 模拟翻译 API：调整语序，并像部分翻译服务一样在花括号内插入空格
+ * @param {string} text - 发送给翻译 API 的文本
+ * @returns {string} 译文
+ */
+const fakeTranslate = text => ({
+  '用户{0}在{1}提交了订单': 'On { 1 }, user {0} submitted an order',
+  '{0}，你好！{0}有{1}条消息': 'Hello {0}! You have { 1 } messages'
+})[text];
+
+describe('getPlaceholders / stripPlaceholders', () => {
+  it('按出现顺序获取占位符名称，去掉占位符后只剩文本', () => {
+    assert.deepEqual(getPlaceholders('用户{userName}在{date}提交了{userName}的订单'), ['userName', 'date', 'userName']);
+    assert.equal(stripPlaceholders('用户{userName}在{date}提交了订单'), '用户在提交了订单');
+  });
+});
+
+describe('protectPlaceholders / restorePlaceholders', () => {
+  it('命名占位符替换为编号后发送，译文中的编号还原为原来的名称', () => {
+    const { text, names } = protectPlaceholders('用户{userName}在{date}提交了订单');
+    assert.equal(text, '用户{0}在{1}提交了订单');
+    assert.deepEqual(names, ['userName', 'date']);
+
+    const translation = restorePlaceholders(fakeTranslate(text), names);
+    assert.equal(translation, 'On {date}, user {userName} submitted an order');
+    assert.equal(hasSamePlaceholders('用户{userName}在{date}提交了订单', translation), true);
+  });
+
+  it('重复的占位符使用同一个编号', () => {
+    const { text, names } = protectPlaceholders('{name}，你好！{name}有{count}条消息');
+    assert.equal(text, '{0}，你好！{0}有{1}条消息');
+    assert.equal(restorePlaceholders(fakeTranslate(text), names), 'Hello {name}! You have {count} messages');
+  });
+
+  it('译文中多出的编号保持原样', () => {
+    assert.equal(restorePlaceholders('{0} and {2}', ['name']), '{name} and {2}');
+  });
+});
+
+describe('hasSamePlaceholders', () => {
+  it('译文丢失或改名占位符时返回 false，不要求顺序相同', () => {
+    assert.equal(hasSamePlaceholders('{a}和{b}', '{b} and {a}'), true);
+    assert.equal(hasSamePlaceholders('{a}和{b}', '{a} and b'), false);
+    assert.equal(hasSamePlaceholders('{a}', '{user}'), false);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { replaceInSource, replaceInVue } = require('../src/replace');
+
+const OPTIONS = { fn: 't', vueFn: '$t' };
+
+/**
+ * 替换 TS 源码中的中文
+ * @param {string} code - 源码
+ * @param {Object} options - 替换选项
+ * @returns {string} 替换后的源码
+ */
+const replaceTs = (code, options = {}) => replaceInSource(code, '/project/src/app.tsx', { ...OPTIONS, ...options }).code;
+
+describe('replaceInSource', () => {
+  it('替换字符串、JSX 文本和 JSX 属性', () => {
+    assert.equal(replaceTs("const label = '保存';"), "const label = t('保存');");
+    assert.equal(
+      replaceTs('const el = <div title="提示">\n  你好\n</div>;'),
+      'const el = <div title={t(\'提示\')}>\n  {t(\'你好\')}\n</div>;'
+    );
+  });
+
+  it('模板字符串替换为带参数的调用', () => {
+    assert.equal(
+      replaceTs('const message = `用户${userName}在${date}提交了订单`;'),
+      "const message = t('用户{userName}在{date}提交了订单', { userName, date });"
+    );
+    assert.equal(
+      replaceTs('const message = `${user.name}你好`;'),
+      "const message = t('{name}你好', { name: user.name });"
+    );
+  });
+
+  it('不替换属性名、枚举成员、类型字面量和模块路径', () => {
+    const code = [
+      "import icon from './图标.svg';",
+      "enum Status { Done = '完成' }",
+      "type Tab = '首页';",
+      "const map = { '名称': 1 };"
+    ].join('\n');
+    assert.equal(replaceTs(code), code);
+  });
+
+  it('case 标签和相等比较中的文本不替换，记录到 compared', () => {
+    const compared = new Set();
+    const code = [
+      'switch (type) {',
+      "  case '分支': return '分支页面';",
+      '}',
+      "if (status === '已完成' || '草稿' != status) {}"
+    ].join('\n');
+
+    assert.equal(replaceTs(code, { compared }), code.replace("'分支页面'", "t('分支页面')"));
+    assert.deepEqual([...compared], ["'分支'", "'已完成'", "'草稿'"]);
+  });
+
+  it('使用 key 文件时替换为 key，key 文件中没有的文本不替换，记录到 missing', () => {
+    const keys = new Map([['保存', 'common.save'], ['共{count}条', 'list.total']]);
+    const missing = new Set();
+    assert.equal(
+      replaceTs("const a = '保存';\nconst b = `共${count}条`;\nconst c = '取消';", { keys, missing }),
+      "const a = t('common.save');\nconst b = t('list.total', { count });\nconst c = '取消';"
+    );
+    assert.deepEqual([...missing], ['取消']);
+  });
+
+  it('文件中没有导入翻译函数时添加导入', () => {
+    assert.equal(
+      replaceTs("import React from 'react';\nconst label = '保存';", { importFrom: '@/i18n' }),
+      "import React from 'react';\nimport { t } from '@/i18n';\nconst label = t('保存');"
+    );
+    assert.equal(
+      replaceTs("const { t } = useI18n();\nconst label = '保存';", { importFrom: '@/i18n' }),
+      "const { t } = useI18n();\nconst label = t('保存');"
+    );
+  });
+});
+
+describe('replaceInVue', () => {
+  it('模板文本改为插值，静态属性改为绑定属性，脚本使用 fn', () => {
+    const code = [
+      '<template>',
+      '  <p title="标题">欢迎</p>',
+      '</template>',
+      '<script>',
+      "export default { data: () => ({ name: '张三' }) };",
+      '</script>'
+    ].join('\n');
+
+    const result = replaceInVue(code, '/project/src/App.vue', OPTIONS);
+    assert.equal(result.count, 3);
+    assert.equal(result.code, [
+      '<template>',
+      '  <p :title="$t(\'标题\')">{{ $t(\'欢迎\') }}</p>',
+      '</template>',
+      '<script>',
+      "export default { data: () => ({ name: t('张三') }) };",
+      '</script>'
+    ].join('\n'));
+  });
+
+  it('模板中相邻的文本和插值替换为带参数的调用', () => {
+    const code = '<template>\n  <p>共 {{ n }} 条，{{ user.name }} 已读</p>\n</template>';
+    assert.equal(
+      replaceInVue(code, '/project/src/App.vue', OPTIONS).code,
+      '<template>\n  <p>{{ $t(\'共{n}条，{name}已读\', { n, name: user.name }) }}</p>\n</template>'
+    );
+  });
+});
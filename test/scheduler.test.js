@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, isRetryableError, parseRetryAfter, wrapRequestError } = require('../src/scheduler');
+const { RateLimitError } = require('../src/errors');
+
+const SILENT = { log() {}, warn() {} };
+
+/**
+ * 模拟时钟：sleep 不真正等待，run 按到期时间依次推进时间
+ */
+class FakeClock {
+  constructor() {
+    this.time = 0;
+    this.timers = [];
+  }
+
+  /**
+   * 当前的模拟时间
+   * @returns {number} 毫秒
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * 等待一段模拟时间
+   * @param {number} ms - 毫秒
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => this.timers.push({ at: this.time + ms, resolve }));
+  }
+
+  /**
+   * 推进时间直到 promise 完成
+   * @param {Promise} promise - 等待的 Promise
+   * @returns {Promise<*>} promise 的结果
+   */
+  async run(promise) {
+    let settled = false;
+    const settle = () => { settled = true; };
+    promise.then(settle, settle);
+    for (;;) {
+      // 让已就绪的任务先执行完，再触发最早到期的定时器
+      await new Promise(resolve => setImmediate(resolve));
+      if (settled || this.timers.length === 0) {
+        break;
+      }
+      this.timers.sort((a, b) => a.at - b.at);
+      const timer = this.timers.shift();
+      this.time = Math.max(this.time, timer.at);
+      timer.resolve();
+    }
+    return promise;
+  }
+}
+
+/**
+ * 创建使用模拟时钟的调度器
+ * @param {Object} limits - 调度参数
+ * @returns {{scheduler: RequestScheduler, clock: FakeClock}}
+ */
+const createScheduler = limits => {
+  const clock = new FakeClock();
+  return { scheduler: new RequestScheduler(limits, { logger: SILENT, clock }), clock };
+};
+
+describe('RequestScheduler', () => {
+  it('令牌桶：请求之间至少间隔 1/qps 秒', async () => {
+    const { scheduler, clock } = createScheduler({ qps: 2, concurrency: 5 });
+    const startedAt = [];
+    await clock.run(Promise.all([1, 2, 3, 4].map(() => scheduler.schedule(async () => startedAt.push(clock.now())))));
+    assert.deepEqual(startedAt, [0, 500, 1000, 1500]);
+  });
+
+  it('并发：同时进行的请求数不超过 concurrency', async () => {
+    const { scheduler, clock } = createScheduler({ qps: 0, concurrency: 2 });
+    let active = 0;
+    let maxActive = 0;
+    const finishedAt = [];
+    const task = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await clock.sleep(100);
+      active--;
+      finishedAt.push(clock.now());
+    };
+
+    await clock.run(Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(task))));
+    assert.equal(maxActive, 2);
+    assert.deepEqual(finishedAt, [100, 100, 200, 200, 300]);
+  });
+
+  it('限流时按 Retry-After 等待，并暂停该服务的其它请求', async () => {
+    const { scheduler, clock } = createScheduler({ qps: 0, concurrency: 2 });
+    const attempts = [];
+    const limited = scheduler.schedule(async () => {
+      attempts.push(['a', clock.now()]);
+      if (attempts.length === 1) {
+        throw new RateLimitError('too many requests', { retryAfter: 2000 });
+      }
+      return 'A';
+    });
+    const later = clock.sleep(10).then(() => scheduler.schedule(async () => {
+      attempts.push(['b', clock.now()]);
+      return 'B';
+    }));
+
+    assert.deepEqual(await clock.run(Promise.all([limited, later])), ['A', 'B']);
+    assert.deepEqual(attempts, [['a', 0], ['a', 2000], ['b', 2000]]);
+  });
+
+  it('网络错误按指数退避重试，超过 maxRetries 后抛出', async t => {
+    t.mock.method(Math, 'random', () => 0);
+    const { scheduler, clock } = createScheduler({ qps: 0, backoff: 1000, maxRetries: 3 });
+    const attempts = [];
+    const error = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+    await assert.rejects(clock.run(scheduler.schedule(async () => {
+      attempts.push(clock.now());
+      throw error;
+    })), error);
+    // 抖动为 0 时等待 backoff * 2^n 的一半：500、1000、2000
+    assert.deepEqual(attempts, [0, 500, 1500, 3500]);
+  });
+
+  it('退避时间不超过 maxBackoff，Retry-After 优先', () => {
+    const { scheduler } = createScheduler({ backoff: 1000, maxBackoff: 30000 });
+    const delay = scheduler.getRetryDelay(new Error('timeout'), 10);
+    assert.ok(delay >= 15000 && delay <= 30000);
+    assert.equal(scheduler.getRetryDelay(new RateLimitError('limited', { retryAfter: 0 }), 3), 0);
+  });
+
+  it('其它错误不重试', async () => {
+    const { scheduler, clock } = createScheduler({ qps: 0 });
+    let attempts = 0;
+    await assert.rejects(clock.run(scheduler.schedule(async () => {
+      attempts++;
+      throw new Error('invalid sign');
+    })), /invalid sign/);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('isRetryableError / parseRetryAfter / wrapRequestError', () => {
+  it('限流错误和临时的网络错误可以重试', () => {
+    assert.equal(isRetryableError(new RateLimitError('limited')), true);
+    assert.equal(isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })), true);
+    assert.equal(isRetryableError(new Error('bad request')), false);
+  });
+
+  it('Retry-After 支持秒数和 HTTP 日期', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+    assert.equal(parseRetryAfter(''), undefined);
+    assert.equal(parseRetryAfter('soon'), undefined);
+  });
+
+  it('HTTP 429 转换为带 retryAfter 的 RateLimitError，其它错误保留错误码', () => {
+    const limited = wrapRequestError({ message: 'Request failed', response: { status: 429, headers: { 'retry-after': '2' } } }, '请求失败');
+    assert.ok(limited instanceof RateLimitError);
+    assert.equal(limited.retryAfter, 2000);
+
+    const network = wrapRequestError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), '请求失败');
+    assert.equal(network.message, '请求失败: socket hang up');
+    assert.equal(network.code, 'ECONNRESET');
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitVueFile, collectTemplateParts } = require('../src/vue');
+
+/**
+ * 收集模板片段
+ * @param {string} template - <template> 中的内容
+ * @returns {Object[]} 模板片段
+ */
+const partsOf = template => collectTemplateParts(splitVueFile(`<template>${template}</template>`, '/project/src/App.vue').template);
+
+describe('splitVueFile', () => {
+  it('拆分模板、script 和 script setup，并按 lang 决定解析方式', () => {
+    const { template, scripts } = splitVueFile([
+      '<template><p>你好</p></template>',
+      "<script>export default { name: 'App' };</script>",
+      "<script setup lang=\"ts\">const tip: string = '保存成功';</script>"
+    ].join('\n'), '/project/src/App.vue');
+
+    assert.ok(template);
+    assert.deepEqual(scripts.map(script => [script.setup, script.extension]), [[false, 'js'], [true, 'ts']]);
+  });
+
+  it('不处理 pug 等预处理语言的模板', () => {
+    assert.equal(splitVueFile('<template lang="pug">p 你好</template>', '/project/src/App.vue').template, null);
+  });
+});
+
+describe('collectTemplateParts', () => {
+  it('收集文本节点、静态属性和绑定表达式', () => {
+    const parts = partsOf('<el-button title="提交表单" :label="isNew ? \'新建\' : \'编辑\'">保存</el-button>');
+    assert.deepEqual(parts.map(part => [part.type, part.name, part.value]), [
+      ['attribute', 'title', '提交表单'],
+      ['expression', ':label', "(isNew ? '新建' : '编辑')"],
+      ['text', undefined, '保存']
+    ]);
+  });
+
+  it('相邻的文本和插值合并为一条消息，插值转换为命名占位符', () => {
+    const [part] = partsOf('<p>共 {{ n }} 条记录</p>');
+    assert.equal(part.type, 'message');
+    assert.equal(part.value, '共{n}条记录');
+    assert.deepEqual(part.params, [{ name: 'n', expression: 'n' }]);
+    assert.equal(part.loc.source, '共 {{ n }} 条记录');
+  });
+
+  it('占位符名称取自变量名或属性名，相同表达式复用同一个占位符', () => {
+    const [part] = partsOf('<p>{{ user.name }}，你好！{{ user.name }} 有 {{ list.length + 1 }} 条消息，{{ name }} 已读</p>');
+    assert.equal(part.value, '{name}，你好！{name}有{arg4}条消息，{name2}已读');
+    assert.deepEqual(part.params, [
+      { name: 'name', expression: 'user.name' },
+      { name: 'arg4', expression: 'list.length + 1' },
+      { name: 'name2', expression: 'name' }
+    ]);
+  });
+
+  it('插值中含有中文或文本中没有中文时不合并', () => {
+    assert.deepEqual(partsOf('<p>{{ ok ? \'是\' : \'否\' }} 状态</p>').map(part => part.type), ['expression', 'text']);
+    assert.deepEqual(partsOf('<p>{{ done }} / {{ total }}</p>').map(part => part.type), ['expression', 'text', 'expression']);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SourceIndex } = require('../src/watch');
+
+describe('SourceIndex', () => {
+  let source;
+  let files;
+
+  /**
+   * 写入源文件，并把修改时间设为指定的秒数（避免同一毫秒内的两次写入无法区分）
+   * @param {string} name - 文件名
+   * @param {string} content - 文件内容
+   * @param {number} mtime - 修改时间（秒）
+   * @returns {Promise<string>} 文件路径
+   */
+  const writeSource = async (name, content, mtime) => {
+    const file = path.join(source, 'src', name);
+    await fs.outputFile(file, content);
+    await fs.utimes(file, mtime, mtime);
+    return file;
+  };
+
+  before(async () => {
+    source = await fs.mkdtemp(path.join(os.tmpdir(), 'pick-cn-watch-'));
+    files = [
+      await writeSource('a.ts', "const a = '保存';\n", 1000),
+      await writeSource('b.ts', "const b = '取消';\nconst c = '保存';\n", 1000)
+    ];
+  });
+
+  after(async () => {
+    await fs.remove(source);
+  });
+
+  it('按文件增量更新：只重新提取新增和修改过的文件，删除的文件从索引中移除', async () => {
+    const index = new SourceIndex({ cache: false });
+
+    assert.deepEqual(await index.update(files), { added: files, changed: [], removed: [] });
+    assert.deepEqual(index.getTexts(), ['保存', '取消']);
+
+    // 没有变化时不重新提取
+    assert.deepEqual(await index.update(files), { added: [], changed: [], removed: [] });
+
+    // 修改 a.ts，新增 c.ts
+    await writeSource('a.ts', "const a = '保存成功';\n", 2000);
+    const added = await writeSource('c.ts', "const d = '删除';\n", 2000);
+    assert.deepEqual(await index.update([...files, added]), { added: [added], changed: [files[0]], removed: [] });
+    assert.deepEqual(index.getTexts(), ['保存成功', '取消', '保存', '删除']);
+
+    // 删除 b.ts
+    await fs.remove(files[1]);
+    assert.deepEqual(await index.update([files[0], added]), { added: [], changed: [], removed: [files[1]] });
+    assert.deepEqual(index.getTexts(), ['保存成功', '删除']);
+  });
+
+  it('文件列表中的文件在读取前被删除时视为删除', async () => {
+    const index = new SourceIndex({ cache: false });
+    const file = await writeSource('d.ts', "const e = '编辑';\n", 1000);
+    await index.update([file]);
+    await fs.remove(file);
+
+    assert.deepEqual(await index.update([file]), { added: [], changed: [], removed: [file] });
+    assert.deepEqual(index.getTexts(), []);
+  });
+
+  it('未修改的文件沿用已有的提取结果', async () => {
+    const index = new SourceIndex({ cache: false });
+    const first = await writeSource('e.ts', "const f = '确定';\n", 1000);
+    const second = await writeSource('f.ts', "const g = '返回';\n", 1000);
+    await index.update([first, second]);
+    const [kept] = index.getOccurrences();
+
+    await writeSource('f.ts', "const g = '返回首页';\n", 2000);
+    assert.deepEqual(await index.update([first, second]), { added: [], changed: [second], removed: [] });
+    assert.equal(index.getOccurrences()[0], kept);
+    assert.deepEqual(index.getTexts(), ['确定', '返回首页']);
+  });
+});
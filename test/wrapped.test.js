@@ -0,0 +1,120 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STATUS } = require('../src/wrapped');
+const { extractChineseFromFile } = require('../src/extractor');
+const { summarizeProgress } = require('../src/progress');
+
+const SOURCE = path.resolve('/project');
+
+// 提取测试的源文件目录
+const fixtures = path.join(os.tmpdir(), `pick-cn-wrapped-${process.pid}`);
+
+/**
+ * 把代码写入临时文件，提取中文文本及其迁移状态
+ * @param {string} code - 文件内容
+ * @param {Object} options - 识别规则
+ * @param {string} fileName - 文件名（决定解析方式）
+ * @returns {Promise<string[][]>} [文本, 状态]
+ */
+const statusesOf = async (code, options = {}, fileName = 'app.tsx') => {
+  const filePath = path.join(fixtures, fileName);
+  await fs.outputFile(filePath, code);
+  const occurrences = await extractChineseFromFile(filePath, { ...options, silent: true });
+  return occurrences.map(occurrence => [occurrence.text, occurrence.status]);
+};
+
+describe('已包裹与硬编码', () => {
+  after(async () => {
+    await fs.remove(fixtures);
+  });
+
+  it('翻译函数的参数（不限层级）为已包裹，其它为硬编码', async () => {
+    const code = [
+      "t('保存');",
+      "i18n.t('订单', { defaultValue: '订单' });",
+      "this.$t(isNew ? '新建' : '编辑');",
+      "alert('提示');"
+    ].join('\n');
+    assert.deepEqual(await statusesOf(code), [
+      ['保存', STATUS.wrapped],
+      ['订单', STATUS.wrapped],
+      ['订单', STATUS.wrapped],
+      ['新建', STATUS.wrapped],
+      ['编辑', STATUS.wrapped],
+      ['提示', STATUS.hardcoded]
+    ]);
+  });
+
+  it('翻译组件中的文本和属性为已包裹', async () => {
+    const code = 'const el = <div><Trans title="标题">欢迎<b>回来</b></Trans><span>退出</span></div>;';
+    assert.deepEqual(await statusesOf(code), [
+      ['标题', STATUS.wrapped],
+      ['欢迎', STATUS.wrapped],
+      ['回来', STATUS.wrapped],
+      ['退出', STATUS.hardcoded]
+    ]);
+  });
+
+  it('识别从 hook 解构出的翻译函数', async () => {
+    const code = "const { t: translate } = useTranslation();\ntranslate('保存');\nformat('取消');";
+    assert.deepEqual(await statusesOf(code), [['保存', STATUS.wrapped], ['取消', STATUS.hardcoded]]);
+  });
+
+  it('可以通过 i18nFunctions 修改翻译函数，fn 始终识别', async () => {
+    const code = "intl.formatMessage('保存');\ntr('取消');\nt('确定');";
+    assert.deepEqual(await statusesOf(code, { i18nFunctions: ['intl.*'], fn: 'tr' }), [
+      ['保存', STATUS.wrapped],
+      ['取消', STATUS.wrapped],
+      ['确定', STATUS.hardcoded]
+    ]);
+  });
+
+  it('Vue 模板中的 $t 和 <i18n-t>', async () => {
+    const code = '<template><p :title="$t(\'标题\')">{{ $t(\'欢迎\') }}</p><i18n-t keypath="tip" tag="p">提示</i18n-t><span>退出</span></template>';
+    assert.deepEqual(await statusesOf(code, {}, 'App.vue'), [
+      ['标题', STATUS.wrapped],
+      ['欢迎', STATUS.wrapped],
+      ['提示', STATUS.wrapped],
+      ['退出', STATUS.hardcoded]
+    ]);
+  });
+});
+
+describe('summarizeProgress', () => {
+  /**
+   * 生成出现位置
+   * @param {string} file - 相对于源目录的文件路径
+   * @param {string} status - 迁移状态
+   * @returns {Object} 出现位置
+   */
+  const occurrence = (file, status) => ({ text: '保存', file: path.join(SOURCE, file), line: 1, column: 1, status });
+
+  const occurrences = [
+    occurrence('src/pages/order/List.tsx', STATUS.wrapped),
+    occurrence('src/pages/order/List.tsx', STATUS.hardcoded),
+    occurrence('src/pages/user/Profile.tsx', STATUS.wrapped),
+    occurrence('src/App.tsx', STATUS.wrapped)
+  ];
+
+  it('按文件所在目录统计，并列出硬编码的文本', () => {
+    const summary = summarizeProgress(occurrences, SOURCE);
+    assert.deepEqual(summary.total, { wrapped: 3, hardcoded: 1, progress: 75 });
+    assert.deepEqual(summary.directories.map(item => [item.directory, item.progress]), [
+      ['src', 100],
+      ['src/pages/order', 50],
+      ['src/pages/user', 100]
+    ]);
+    assert.deepEqual(summary.hardcoded.map(item => item.file), ['src/pages/order/List.tsx']);
+  });
+
+  it('指定 depth 时按前几级目录汇总', () => {
+    const summary = summarizeProgress(occurrences, SOURCE, 2);
+    assert.deepEqual(summary.directories.map(item => [item.directory, item.wrapped, item.hardcoded]), [
+      ['src', 1, 0],
+      ['src/pages', 2, 1]
+    ]);
+  });
+});